@@ -0,0 +1,239 @@
+/**
+ * Local LLM Client
+ *
+ * Runs chat prompts on this machine, so transcripts never leave it. Two
+ * backends are supported:
+ * 1. server - an OpenAI-compatible server on localhost (llama.cpp's
+ *    llama-server, Ollama, LM Studio, ...)
+ * 2. binary - a llama.cpp-compatible CLI (llama-cli) run once per prompt
+ *
+ * Server URLs are restricted to loopback addresses so that a typo cannot
+ * send a sensitive transcript to a remote machine.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawn } = require("child_process");
+
+const fetch = (...args) =>
+  import("node-fetch").then(({ default: fetch }) => fetch(...args));
+
+const LOOPBACK_HOSTS = ["localhost", "127.0.0.1", "[::1]"];
+
+// Local models on modest hardware can take minutes per prompt
+const REQUEST_TIMEOUT_MS = 10 * 60 * 1000;
+
+class LocalLLMClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.mode - "server" or "binary"
+   * @param {string} options.serverUrl - Base URL of the OpenAI-compatible API
+   * @param {string} options.model - Model name sent to the server
+   * @param {string} options.binaryPath - Path to the llama.cpp CLI
+   * @param {string} options.modelPath - Path to the GGUF model for the CLI
+   * @param {number} options.temperature - Sampling temperature
+   * @param {number} options.maxTokens - Maximum tokens per response
+   * @param {number} options.threads - CPU threads for the CLI
+   */
+  constructor(options = {}) {
+    this.mode = options.mode === "binary" ? "binary" : "server";
+    this.serverUrl = (options.serverUrl || "http://127.0.0.1:8080/v1").replace(
+      /\/+$/,
+      ""
+    );
+    this.model = options.model || "local";
+    this.binaryPath = options.binaryPath || "";
+    this.modelPath = options.modelPath || "";
+    this.temperature = options.temperature ?? 0.3;
+    this.maxTokens = options.maxTokens ?? 1024;
+    this.threads = options.threads || 4;
+  }
+
+  /**
+   * Check that the configured backend can be used, without running a prompt
+   * @returns {Object} { available, error }
+   */
+  isAvailable() {
+    if (this.mode === "server") {
+      try {
+        const url = new URL(this.serverUrl);
+        if (!["http:", "https:"].includes(url.protocol)) {
+          return { available: false, error: "Server URL must use http or https" };
+        }
+        if (!LOOPBACK_HOSTS.includes(url.hostname)) {
+          return {
+            available: false,
+            error: `Local summarization only talks to servers on this machine (localhost), not ${url.hostname}`,
+          };
+        }
+        return { available: true };
+      } catch (error) {
+        return { available: false, error: `Invalid server URL: ${this.serverUrl}` };
+      }
+    }
+
+    if (!this.binaryPath || !fs.existsSync(this.binaryPath)) {
+      return {
+        available: false,
+        error: `llama.cpp binary not found at ${this.binaryPath || "(not set)"}`,
+      };
+    }
+    if (!this.modelPath || !fs.existsSync(this.modelPath)) {
+      return {
+        available: false,
+        error: `Model not found at ${this.modelPath || "(not set)"}`,
+      };
+    }
+    return { available: true };
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Array<Object>} messages - Chat messages with role and content
+   * @returns {Promise<string>} Trimmed response text
+   */
+  async chat(messages) {
+    const status = this.isAvailable();
+    if (!status.available) {
+      throw new Error(status.error);
+    }
+
+    return this.mode === "server"
+      ? this._chatWithServer(messages)
+      : this._chatWithBinary(messages);
+  }
+
+  /**
+   * @private
+   */
+  async _chatWithServer(messages) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+    try {
+      const response = await fetch(`${this.serverUrl}/chat/completions`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          model: this.model,
+          messages,
+          temperature: this.temperature,
+          max_tokens: this.maxTokens,
+        }),
+        signal: controller.signal,
+      });
+
+      if (!response.ok) {
+        const text = await response.text().catch(() => "");
+        throw new Error(
+          `Local LLM server error ${response.status}${text ? `: ${text.slice(0, 300)}` : ""}`
+        );
+      }
+
+      const data = await response.json();
+      return data.choices?.[0]?.message?.content?.trim() || "";
+    } catch (error) {
+      if (error.name === "AbortError") {
+        throw new Error("Local LLM server did not answer in time");
+      }
+      if (error.code === "ECONNREFUSED") {
+        throw new Error(
+          `Could not reach the local LLM server at ${this.serverUrl}. Is it running?`
+        );
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  /**
+   * Run the llama.cpp CLI once. The prompt goes through a temporary file, as
+   * transcripts easily exceed command line length limits.
+   * @private
+   */
+  _chatWithBinary(messages) {
+    const prompt =
+      messages
+        .map((message) => `${message.role.toUpperCase()}:\n${message.content}`)
+        .join("\n\n") + "\n\nASSISTANT:\n";
+
+    const promptFile = path.join(
+      os.tmpdir(),
+      `privote-prompt-${Date.now()}-${Math.random().toString(36).slice(2)}.txt`
+    );
+    fs.writeFileSync(promptFile, prompt, { mode: 0o600 });
+
+    const args = [
+      "-m",
+      this.modelPath,
+      "-f",
+      promptFile,
+      "-n",
+      String(this.maxTokens),
+      "--temp",
+      String(this.temperature),
+      "-t",
+      String(this.threads),
+      "--no-display-prompt",
+      "-no-cnv",
+    ];
+
+    return new Promise((resolve, reject) => {
+      const llamaProcess = spawn(this.binaryPath, args, {
+        stdio: ["ignore", "pipe", "pipe"],
+      });
+
+      let stdout = "";
+      let stderr = "";
+
+      const timeout = setTimeout(() => {
+        llamaProcess.kill();
+      }, REQUEST_TIMEOUT_MS);
+
+      llamaProcess.stdout.on("data", (data) => {
+        stdout += data.toString();
+      });
+
+      llamaProcess.stderr.on("data", (data) => {
+        stderr += data.toString();
+      });
+
+      const cleanup = () => {
+        clearTimeout(timeout);
+        fs.rm(promptFile, { force: true }, () => {});
+      };
+
+      llamaProcess.on("close", (code, signal) => {
+        cleanup();
+
+        if (signal) {
+          reject(new Error("llama.cpp did not finish in time"));
+          return;
+        }
+        if (code !== 0) {
+          reject(
+            new Error(
+              `llama.cpp exited with code ${code}\nStderr: ${stderr.slice(-1000)}`
+            )
+          );
+          return;
+        }
+
+        resolve(stdout.replace(/\[end of text\]\s*$/, "").trim());
+      });
+
+      llamaProcess.on("error", (error) => {
+        cleanup();
+        reject(
+          new Error(
+            `Failed to start llama.cpp at ${this.binaryPath}: ${error.message}`
+          )
+        );
+      });
+    });
+  }
+}
+
+module.exports = LocalLLMClient;
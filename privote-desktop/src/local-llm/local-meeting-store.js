@@ -0,0 +1,192 @@
+/**
+ * Local Meeting Store
+ *
+ * Meetings summarized on this machine, kept in a JSON file in the app's data
+ * directory and never sent to the Worker. Meetings have the same shape as
+ * the Worker's, plus `local: true`, so the Summaries view can show both.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const ACTION_ITEM_STATUSES = ["open", "done", "dropped"];
+
+function generateId(prefix) {
+  return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+class LocalMeetingStore {
+  /**
+   * @param {string} filePath - Path of the JSON file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * @private
+   */
+  _read() {
+    if (!fs.existsSync(this.filePath)) {
+      return [];
+    }
+    const data = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+    return Array.isArray(data.meetings) ? data.meetings : [];
+  }
+
+  /**
+   * Write through a temporary file, so a crash cannot leave half a file
+   * @private
+   */
+  _write(meetings) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ meetings }, null, 2), {
+      mode: 0o600,
+    });
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  /**
+   * @private
+   */
+  _toActionItems(meetingId, items, timestamp) {
+    return items.map((item, position) => ({
+      id: item.id || generateId("local_action"),
+      meeting_id: meetingId,
+      text: item.text,
+      assignee: item.assignee || null,
+      due_date: item.due_date || null,
+      source_quote: item.source_quote || null,
+      source_start_ms: item.source_start_ms ?? null,
+      status: ACTION_ITEM_STATUSES.includes(item.status) ? item.status : "open",
+      position,
+      created_at: item.created_at || timestamp,
+      updated_at: timestamp,
+    }));
+  }
+
+  /**
+   * List meetings, newest first
+   * @returns {Array<Object>} Meetings without transcripts
+   */
+  list() {
+    return this._read()
+      .map(({ transcript, segments, ...meeting }) => meeting)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  /**
+   * Find meetings whose title, summary, transcript or action items contain
+   * every word of the query
+   * @param {string} query - Search query
+   * @returns {Array<Object>} Matching meetings without transcripts, newest first
+   */
+  search(query) {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+    return this._read()
+      .filter((meeting) => {
+        const text = [
+          meeting.title,
+          meeting.summary,
+          meeting.transcript,
+          ...(meeting.action_items || []).map((item) => item.text),
+        ]
+          .join("\n")
+          .toLowerCase();
+        return words.every((word) => text.includes(word));
+      })
+      .map(({ transcript, segments, ...meeting }) => meeting)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  /**
+   * @param {string} id - Meeting ID
+   * @returns {Object|null} Meeting with transcript, segments and action items
+   */
+  get(id) {
+    return this._read().find((meeting) => meeting.id === id) || null;
+  }
+
+  /**
+   * @param {Object} meeting - Title, transcript, timestamped segments, summary,
+   *   date, time and action items
+   * @returns {Object} Stored meeting
+   */
+  create(meeting) {
+    const meetings = this._read();
+    const timestamp = new Date().toISOString();
+    const id = generateId("local_meeting");
+
+    const stored = {
+      id,
+      title: meeting.title,
+      transcript: meeting.transcript,
+      segments: meeting.segments || [],
+      summary: meeting.summary,
+      meeting_date: meeting.meeting_date,
+      meeting_time: meeting.meeting_time,
+      action_items: this._toActionItems(id, meeting.action_items || [], timestamp),
+      local: true,
+      created_at: timestamp,
+      updated_at: timestamp,
+    };
+
+    meetings.push(stored);
+    this._write(meetings);
+    return stored;
+  }
+
+  /**
+   * @param {string} id - Meeting ID
+   * @param {Object} updates - Fields to change; action_items replaces the list
+   * @returns {Object|null} Updated meeting, or null if not found
+   */
+  update(id, updates) {
+    const meetings = this._read();
+    const index = meetings.findIndex((meeting) => meeting.id === id);
+    if (index === -1) {
+      return null;
+    }
+
+    const timestamp = new Date().toISOString();
+    const updated = { ...meetings[index], updated_at: timestamp };
+
+    for (const field of ["title", "transcript", "summary", "meeting_date", "meeting_time"]) {
+      if (typeof updates[field] === "string") {
+        updated[field] = updates[field];
+      }
+    }
+    // An edited transcript no longer lines up with the recording
+    if (
+      typeof updates.transcript === "string" &&
+      updates.transcript !== meetings[index].transcript
+    ) {
+      updated.segments = [];
+    }
+    if (Array.isArray(updates.action_items)) {
+      updated.action_items = this._toActionItems(id, updates.action_items, timestamp);
+    }
+
+    meetings[index] = updated;
+    this._write(meetings);
+    return updated;
+  }
+
+  /**
+   * @param {string} id - Meeting ID
+   * @returns {boolean} Whether the meeting existed
+   */
+  delete(id) {
+    const meetings = this._read();
+    const remaining = meetings.filter((meeting) => meeting.id !== id);
+    if (remaining.length === meetings.length) {
+      return false;
+    }
+    this._write(remaining);
+    return true;
+  }
+}
+
+module.exports = LocalMeetingStore;
@@ -0,0 +1,244 @@
+/**
+ * Local Summarizer
+ *
+ * Summarizes a transcript and extracts its action items with a local model,
+ * using the same prompts and output shape as the Worker. Local models tend to
+ * have small context windows, so long transcripts are summarized chunk by
+ * chunk and the partial summaries combined. Chunks run one at a time, as
+ * they share the same local model.
+ */
+
+// Roughly four characters per token; leaves room for the instructions and
+// the answer in a 4k context
+const CHUNK_CHARS = 8000;
+
+const SUMMARY_SYSTEM_PROMPT =
+  "You are a helpful meeting assistant that creates clear, concise summaries.";
+const ACTION_ITEMS_SYSTEM_PROMPT =
+  "You are a helpful meeting assistant that extracts action items accurately and answers in valid JSON.";
+
+/**
+ * Split a transcript into chunks on sentence boundaries
+ * @param {string} transcript - Transcript text
+ * @returns {Array<string>} Chunks of at most CHUNK_CHARS characters, except
+ *   for single sentences that are longer
+ */
+function chunkTranscript(transcript) {
+  const sentences = transcript
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map((s) => s.trim())
+    .filter((s) => s.length > 0);
+
+  const chunks = [];
+  let current = "";
+
+  for (const sentence of sentences) {
+    if (current && current.length + sentence.length + 1 > CHUNK_CHARS) {
+      chunks.push(current);
+      current = "";
+    }
+    current = current ? `${current} ${sentence}` : sentence;
+  }
+
+  if (current) {
+    chunks.push(current);
+  }
+
+  return chunks;
+}
+
+function summaryPrompt(transcript) {
+  return `You are a professional meeting assistant. Summarize the following meeting transcript in a concise, structured manner. Focus on the main topics discussed and overall context.
+
+Transcript:
+${transcript}
+
+Provide a clear and concise summary of the meeting.`;
+}
+
+function chunkSummaryPrompt(chunk, index, total) {
+  return `The following is part ${index + 1} of ${total} of a longer meeting transcript. Summarize the topics, decisions and open questions in this part only.
+
+Transcript part:
+${chunk}
+
+Provide a concise summary of this part of the meeting.`;
+}
+
+function combinePrompt(partials) {
+  return `You are a professional meeting assistant. Below are summaries of consecutive parts of a single meeting. Combine them into one concise, structured summary of the whole meeting. Remove repetition and keep the main topics, decisions and overall context.
+
+${partials.map((partial, i) => `Part ${i + 1}:\n${partial}`).join("\n\n")}
+
+Provide a clear and concise summary of the meeting.`;
+}
+
+function actionItemsPrompt(transcript, meetingDate) {
+  const dateHint = meetingDate
+    ? `The meeting took place on ${meetingDate}. Resolve relative due dates such as "Friday" or "next week" against that date.\n\n`
+    : "";
+
+  return `Analyze the following meeting transcript and extract all action items, tasks, and commitments mentioned.
+
+${dateHint}Transcript:
+${transcript}
+
+Respond with a JSON array only. Each element must be an object with these fields:
+- "text": the action item as a short imperative sentence
+- "assignee": the name of the person responsible, or null if nobody was named
+- "due_date": the due date as YYYY-MM-DD, or null if no date was mentioned
+- "source_quote": the exact sentence from the transcript the item comes from
+
+If no action items are found, respond with [].`;
+}
+
+function optionalString(value) {
+  if (typeof value !== "string") {
+    return null;
+  }
+  const trimmed = value.trim();
+  if (!trimmed || /^(null|none|n\/a|unknown|unassigned)$/i.test(trimmed)) {
+    return null;
+  }
+  return trimmed;
+}
+
+/**
+ * Parse the model's answer into action items. Small models often wrap the
+ * array in prose, so only the outermost array is read, and a bulleted list
+ * is accepted as a fallback.
+ * @param {string} raw - Model output
+ * @returns {Array<Object>} Action items
+ */
+function parseActionItems(raw) {
+  const start = raw.indexOf("[");
+  const end = raw.lastIndexOf("]");
+
+  if (start !== -1 && end > start) {
+    try {
+      const parsed = JSON.parse(raw.slice(start, end + 1));
+      if (Array.isArray(parsed)) {
+        return parsed
+          .filter((value) => value && typeof value === "object")
+          .map((value) => {
+            const dueDate = optionalString(value.due_date ?? value.dueDate);
+            return {
+              text: optionalString(value.text ?? value.task),
+              assignee: optionalString(value.assignee ?? value.owner),
+              due_date:
+                dueDate && /^\d{4}-\d{2}-\d{2}$/.test(dueDate) ? dueDate : null,
+              source_quote: optionalString(value.source_quote ?? value.quote),
+            };
+          })
+          .filter((item) => item.text);
+      }
+    } catch (error) {
+      console.warn("[LocalLLM] Failed to parse action items as JSON, falling back to bullets");
+    }
+  }
+
+  return raw
+    .split("\n")
+    .map((line) => line.trim())
+    .filter((line) => /^[•\-*]/.test(line))
+    .map((line) => line.replace(/^[•\-*]\s*/, "").trim())
+    .filter((line) => line.length > 0)
+    .map((text) => ({ text, assignee: null, due_date: null, source_quote: null }));
+}
+
+/**
+ * Merge action items found in several chunks, collapsing duplicates
+ * @param {Array<Array<Object>>} partials - Action items per chunk
+ * @returns {Array<Object>} Merged action items
+ */
+function combineActionItems(partials) {
+  const merged = new Map();
+
+  for (const item of partials.flat()) {
+    const key = item.text.toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+    const existing = merged.get(key);
+
+    if (!existing) {
+      merged.set(key, { ...item });
+      continue;
+    }
+
+    existing.assignee = existing.assignee || item.assignee;
+    existing.due_date = existing.due_date || item.due_date;
+    existing.source_quote = existing.source_quote || item.source_quote;
+  }
+
+  return Array.from(merged.values());
+}
+
+async function runPrompt(client, systemPrompt, prompt) {
+  return client.chat([
+    { role: "system", content: systemPrompt },
+    { role: "user", content: prompt },
+  ]);
+}
+
+/**
+ * Summarize a transcript and extract its action items
+ * @param {LocalLLMClient} client - Local LLM client
+ * @param {string} transcript - Transcript text
+ * @param {Object} options - Summarization options
+ * @param {string} options.meetingDate - Meeting date, used to resolve relative due dates
+ * @returns {Promise<Object>} { summary, actionItems, strategy, chunkCount }
+ */
+async function summarizeTranscript(client, transcript, options = {}) {
+  const chunks = chunkTranscript(transcript);
+
+  if (chunks.length <= 1) {
+    const summary = await runPrompt(client, SUMMARY_SYSTEM_PROMPT, summaryPrompt(transcript));
+    const rawItems = await runPrompt(
+      client,
+      ACTION_ITEMS_SYSTEM_PROMPT,
+      actionItemsPrompt(transcript, options.meetingDate)
+    );
+
+    return {
+      summary: summary || "Summary generation failed.",
+      actionItems: parseActionItems(rawItems),
+      strategy: "single_pass",
+      chunkCount: 1,
+    };
+  }
+
+  const partialSummaries = [];
+  const partialItems = [];
+
+  for (let i = 0; i < chunks.length; i++) {
+    partialSummaries.push(
+      await runPrompt(
+        client,
+        SUMMARY_SYSTEM_PROMPT,
+        chunkSummaryPrompt(chunks[i], i, chunks.length)
+      )
+    );
+    partialItems.push(
+      parseActionItems(
+        await runPrompt(
+          client,
+          ACTION_ITEMS_SYSTEM_PROMPT,
+          actionItemsPrompt(chunks[i], options.meetingDate)
+        )
+      )
+    );
+  }
+
+  const summary = await runPrompt(
+    client,
+    SUMMARY_SYSTEM_PROMPT,
+    combinePrompt(partialSummaries)
+  );
+
+  return {
+    summary: summary || "Summary generation failed.",
+    actionItems: combineActionItems(partialItems),
+    strategy: "map_reduce",
+    chunkCount: chunks.length,
+  };
+}
+
+module.exports = { summarizeTranscript, parseActionItems, chunkTranscript };
@@ -1,6 +1,7 @@
 const { app, BrowserWindow, ipcMain, dialog } = require("electron");
 const path = require("path");
 const fs = require("fs");
+const os = require("os");
 
 let mainWindow;
 
@@ -36,6 +37,22 @@ function createWindow() {
 app.whenReady().then(() => {
   createWindow();
 
+  try {
+    const settingsPath = path.join(app.getPath("userData"), "settings.json");
+    if (fs.existsSync(settingsPath)) {
+      const settings = JSON.parse(fs.readFileSync(settingsPath, "utf8"));
+      transcriptionQueue.setConcurrency(settings.transcriptionConcurrency || 1);
+    }
+  } catch (error) {
+    console.error("Error reading transcription settings:", error);
+  }
+
+  try {
+    transcriptionQueue.start();
+  } catch (error) {
+    console.error("Error starting transcription queue:", error);
+  }
+
   app.on("activate", () => {
     if (BrowserWindow.getAllWindows().length === 0) {
       createWindow();
@@ -43,6 +60,11 @@ app.whenReady().then(() => {
   });
 });
 
+// Running transcriptions are picked up again on the next launch
+app.on("before-quit", () => {
+  transcriptionQueue.stop();
+});
+
 app.on("window-all-closed", () => {
   if (process.platform !== "darwin") {
     app.quit();
@@ -73,25 +95,173 @@ ipcMain.handle("stop-recording", async () => {
 });
 
 // Save audio file
-ipcMain.handle("save-audio", async (event, audioData) => {
+function getRecordingsDir() {
+  const recordingsDir = path.join(app.getPath("userData"), "recordings");
+
+  // Create recordings directory if it doesn't exist
+  if (!fs.existsSync(recordingsDir)) {
+    fs.mkdirSync(recordingsDir, { recursive: true });
+  }
+
+  return recordingsDir;
+}
+
+// Formats MediaRecorder may produce, and the extensions they are saved with
+const RECORDING_EXTENSIONS = {
+  "audio/webm": ".webm",
+  "audio/ogg": ".ogg",
+  "audio/mp4": ".m4a",
+};
+
+// Recordings in progress are journaled to disk as MediaRecorder produces
+// them, so an unfinished recording can be recovered after a crash
+const RecordingJournal = require("./recording/recording-journal");
+
+const recordingJournal = new RecordingJournal(
+  path.join(app.getPath("userData"), "recording-journal")
+);
+
+/**
+ * Move a closed journal into the recordings folder as 16 kHz WAV. If
+ * ffmpeg is not available the original is moved there instead, and the
+ * renderer converts it.
+ * @param {Object} entry - Journal entry
+ * @param {boolean} keepJournal - Copy the original rather than move it, and
+ *   keep the journal, unless it was converted here. The renderer removes it
+ *   once it has converted the copy.
+ * @returns {Promise<Object>} { success, converted, filepath, filename }
+ */
+async function saveJournaledRecording(entry, keepJournal = false) {
+  const timestamp = entry.started_at.replace(/[:.]/g, "-");
+  const basePath = path.join(getRecordingsDir(), `recording-${timestamp}`);
+
+  const conversion = await createAudioConverter().convert(
+    entry.dataPath,
+    `${basePath}.wav`
+  );
+
+  let filepath = `${basePath}.wav`;
+  if (!conversion.success) {
+    console.warn("Could not convert recording:", conversion.error);
+    filepath = `${basePath}${entry.extension}`;
+    if (keepJournal) {
+      fs.copyFileSync(entry.dataPath, filepath);
+    } else {
+      fs.renameSync(entry.dataPath, filepath);
+    }
+  }
+
+  if (conversion.success || !keepJournal) {
+    recordingJournal.remove(entry.id);
+  }
+  return {
+    success: true,
+    converted: conversion.success,
+    filepath,
+    filename: path.basename(filepath),
+  };
+}
+
+ipcMain.handle("begin-recording-file", async (event, mimeType) => {
   try {
-    const recordingsDir = path.join(app.getPath("userData"), "recordings");
+    const extension =
+      RECORDING_EXTENSIONS[String(mimeType).split(";")[0]] || ".webm";
+    const { id } = await recordingJournal.begin(extension);
+    return { success: true, id };
+  } catch (error) {
+    console.error("Error starting recording file:", error);
+    return { success: false, error: error.message };
+  }
+});
 
-    // Create recordings directory if it doesn't exist
-    if (!fs.existsSync(recordingsDir)) {
-      fs.mkdirSync(recordingsDir, { recursive: true });
+ipcMain.handle("append-recording-chunk", async (event, id, chunk) => {
+  try {
+    // Chunks arrive as ArrayBuffers, copied without any encoding
+    await recordingJournal.append(id, Buffer.from(chunk));
+    return { success: true };
+  } catch (error) {
+    console.error("Error writing recording chunk:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("finish-recording-file", async (event, id) => {
+  try {
+    return await saveJournaledRecording(await recordingJournal.close(id));
+  } catch (error) {
+    console.error("Error finishing recording file:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Called when the renderer starts. Journals still open belong to a
+// renderer that has gone away, e.g. after a reload, so they are closed
+// first and count as unfinished too.
+ipcMain.handle("list-unfinished-recordings", async () => {
+  try {
+    await recordingJournal.closeAll();
+    return {
+      success: true,
+      recordings: recordingJournal
+        .listUnfinished()
+        .map(({ id, started_at, size }) => ({ id, started_at, size })),
+    };
+  } catch (error) {
+    console.error("Error listing unfinished recordings:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("recover-recording", async (event, id) => {
+  try {
+    const entry = recordingJournal.get(id);
+    if (!entry) {
+      return { success: false, error: "Unfinished recording not found" };
+    }
+    // A recording the renderer cannot convert either stays recoverable
+    return await saveJournaledRecording(entry, true);
+  } catch (error) {
+    console.error("Error recovering recording:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("discard-recording", async (event, id) => {
+  try {
+    if (!recordingJournal.get(id)) {
+      return { success: false, error: "Unfinished recording not found" };
+    }
+    recordingJournal.remove(id);
+    return { success: true };
+  } catch (error) {
+    console.error("Error discarding recording:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Read a saved recording, for converting it in the renderer
+ipcMain.handle("read-recording-file", async (event, filepath) => {
+  try {
+    // Only recordings are handed to the renderer, not arbitrary files
+    if (path.dirname(path.resolve(filepath)) !== getRecordingsDir()) {
+      throw new Error("Only files in the recordings folder can be read");
     }
 
+    return { success: true, data: fs.readFileSync(filepath) };
+  } catch (error) {
+    console.error("Error reading recording:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("save-audio", async (event, audioData) => {
+  try {
     const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
     const filename = `recording-${timestamp}.wav`;
-    const filepath = path.join(recordingsDir, filename);
+    const filepath = path.join(getRecordingsDir(), filename);
 
-    // Convert base64 to buffer if needed
-    const buffer = Buffer.from(
-      audioData.replace(/^data:audio\/\w+;base64,/, ""),
-      "base64"
-    );
-    fs.writeFileSync(filepath, buffer);
+    // WAV data arrives as an ArrayBuffer
+    fs.writeFileSync(filepath, Buffer.from(audioData));
 
     return { success: true, filepath, filename };
   } catch (error) {
@@ -100,15 +270,27 @@ ipcMain.handle("save-audio", async (event, audioData) => {
   }
 });
 
-// Load audio file
 ipcMain.handle("load-audio-file", async () => {
   try {
     const result = await dialog.showOpenDialog(mainWindow, {
       properties: ["openFile"],
       filters: [
         {
-          name: "Audio Files",
-          extensions: ["wav", "mp3", "m4a", "ogg", "webm"],
+          name: "Audio and Video Files",
+          extensions: [
+            "wav",
+            "mp3",
+            "m4a",
+            "aac",
+            "flac",
+            "ogg",
+            "opus",
+            "webm",
+            "mp4",
+            "mkv",
+            "mov",
+            "avi",
+          ],
         },
       ],
     });
@@ -117,16 +299,13 @@ ipcMain.handle("load-audio-file", async () => {
       return { success: false, canceled: true };
     }
 
+    // Only the path is returned; the file is read where it is transcribed
     const filepath = result.filePaths[0];
-    const audioData = fs.readFileSync(filepath);
-    const base64Audio = audioData.toString("base64");
-    const ext = path.extname(filepath).substring(1);
 
     return {
       success: true,
       filepath,
       filename: path.basename(filepath),
-      audioData: `data:audio/${ext};base64,${base64Audio}`,
     };
   } catch (error) {
     console.error("Error loading audio file:", error);
@@ -156,32 +335,182 @@ async function initializeWhisperClient() {
   }
 }
 
-ipcMain.handle("transcribe-audio", async (event, audioFilePath) => {
+// Transcription queue: audio is transcribed in the background while
+// recording goes on, and the renderer is told whenever a job changes
+const TranscriptionQueue = require("./whisper/transcription-queue");
+const AudioConverter = require("./whisper/audio-converter");
+
+// Create an AudioConverter with the ffmpeg binary from the settings
+function createAudioConverter() {
+  const settingsPath = path.join(app.getPath("userData"), "settings.json");
+  const settings = fs.existsSync(settingsPath)
+    ? JSON.parse(fs.readFileSync(settingsPath, "utf8"))
+    : {};
+
+  return new AudioConverter({ ffmpegPath: settings.ffmpegPath });
+}
+
+const transcriptionQueue = new TranscriptionQueue(
+  path.join(app.getPath("userData"), "transcription-jobs.json"),
+  {
+    run: async (job, options) => {
+      console.log("Transcribing audio:", job.filepath);
+
+      if (!fs.existsSync(job.filepath)) {
+        return {
+          success: false,
+          error: `Audio file not found: ${job.filepath}`,
+        };
+      }
+
+      // Get or initialize Whisper client with current settings
+      const whisperClient = await initializeWhisperClient();
+      const converter = createAudioConverter();
+
+      if (!converter.needsConversion(job.filepath)) {
+        return whisperClient.transcribe(job.filepath, options);
+      }
+
+      // Other formats are converted to a temporary 16 kHz WAV first
+      const convertBase = path.join(
+        os.tmpdir(),
+        `privote-convert-${Date.now()}-${Math.random().toString(36).slice(2)}`
+      );
+      const wavPath = `${convertBase}.wav`;
+
+      try {
+        const conversion = await converter.convert(job.filepath, wavPath, {
+          signal: options.signal,
+          onProgress: (percent) => options.onProgress(percent, "converting"),
+        });
+        if (!conversion.success) {
+          return {
+            ...conversion,
+            error: conversion.cancelled
+              ? conversion.error
+              : `Audio conversion failed: ${conversion.error}`,
+          };
+        }
+
+        return await whisperClient.transcribe(wavPath, options);
+      } finally {
+        // whisper-cli writes its transcript files next to the WAV
+        for (const extension of [".wav", ".json", ".txt"]) {
+          fs.rm(`${convertBase}${extension}`, { force: true }, () => {});
+        }
+      }
+    },
+    onChange: (job) => {
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send("transcription-job-updated", job);
+      }
+    },
+  }
+);
+
+ipcMain.handle("enqueue-transcription", async (event, audioFilePath, name) => {
   try {
-    console.log("Transcribing audio:", audioFilePath);
+    return {
+      success: true,
+      job: transcriptionQueue.enqueue(audioFilePath, name),
+    };
+  } catch (error) {
+    console.error("Error queueing transcription:", error);
+    return { success: false, error: error.message };
+  }
+});
 
-    // Get or initialize Whisper client with current settings
-    const whisperClient = await initializeWhisperClient();
+ipcMain.handle("list-transcription-jobs", async () => {
+  try {
+    return { success: true, jobs: transcriptionQueue.list() };
+  } catch (error) {
+    console.error("Error listing transcription jobs:", error);
+    return { success: false, error: error.message };
+  }
+});
 
-    // Use Whisper client for transcription
-    const result = await whisperClient.transcribe(audioFilePath);
+ipcMain.handle("cancel-transcription-job", async (event, jobId) => {
+  try {
+    if (!transcriptionQueue.cancel(jobId)) {
+      return { success: false, error: "Job is not queued or running" };
+    }
+    return { success: true };
+  } catch (error) {
+    console.error("Error cancelling transcription job:", error);
+    return { success: false, error: error.message };
+  }
+});
 
-    if (result.success) {
+ipcMain.handle("retry-transcription-job", async (event, jobId) => {
+  try {
+    if (!transcriptionQueue.retry(jobId)) {
       return {
-        success: true,
-        transcript: result.transcript,
-        duration: result.duration,
-        language: result.language,
+        success: false,
+        error: "Only failed or cancelled jobs can be retried",
       };
-    } else {
+    }
+    return { success: true };
+  } catch (error) {
+    console.error("Error retrying transcription job:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("remove-transcription-job", async (event, jobId) => {
+  try {
+    if (!transcriptionQueue.remove(jobId)) {
       return {
         success: false,
-        error: result.error || "Transcription failed",
+        error: "Queued or running jobs cannot be removed",
       };
     }
+    return { success: true };
+  } catch (error) {
+    console.error("Error removing transcription job:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Live transcription: each window of a recording in progress is written to
+// a temporary file and transcribed on its own
+ipcMain.handle("transcribe-live-window", async (event, audioData, offsetMs) => {
+  const windowBase = path.join(
+    os.tmpdir(),
+    `privote-live-${Date.now()}-${Math.random().toString(36).slice(2)}`
+  );
+
+  try {
+    const whisperClient = await initializeWhisperClient();
+    if (!whisperClient.isAvailable().available) {
+      return {
+        success: false,
+        error: "Live transcription needs whisper.cpp and a downloaded model",
+      };
+    }
+
+    // WAV data arrives as an ArrayBuffer
+    fs.writeFileSync(`${windowBase}.wav`, Buffer.from(audioData));
+
+    const result = await whisperClient.transcribe(`${windowBase}.wav`);
+    if (!result.success) {
+      return { success: false, error: result.error || "Transcription failed" };
+    }
+
+    return {
+      success: true,
+      segments: (result.segments || []).map((segment) => ({
+        ...segment,
+        start_ms: segment.start_ms + offsetMs,
+        end_ms: segment.end_ms + offsetMs,
+      })),
+    };
   } catch (error) {
-    console.error("Error transcribing audio:", error);
+    console.error("Error transcribing live window:", error);
     return { success: false, error: error.message };
+  } finally {
+    for (const extension of [".wav", ".json", ".txt"]) {
+      fs.rmSync(`${windowBase}${extension}`, { force: true });
+    }
   }
 });
 
@@ -194,9 +523,11 @@ ipcMain.handle("list-recordings", async () => {
       return { success: true, recordings: [] };
     }
 
+    const extensions = [".wav", ...Object.values(RECORDING_EXTENSIONS)];
+
     const files = fs.readdirSync(recordingsDir);
     const recordings = files
-      .filter((file) => file.endsWith(".wav"))
+      .filter((file) => extensions.includes(path.extname(file)))
       .map((file) => {
         const filepath = path.join(recordingsDir, file);
         const stats = fs.statSync(filepath);
@@ -263,53 +594,274 @@ async function getApiKey() {
   return null;
 }
 
-ipcMain.handle("upload-transcript", async (event, transcriptData) => {
-  try {
-    const workerUrl = await getWorkerUrl();
-    const apiKey = await getApiKey();
+async function getWorkspaceId() {
+  const settingsPath = path.join(app.getPath("userData"), "settings.json");
+  if (fs.existsSync(settingsPath)) {
+    const settings = JSON.parse(fs.readFileSync(settingsPath, "utf8"));
+    return settings.workspaceId || null;
+  }
+  return null;
+}
 
-    if (!workerUrl) {
-      return {
-        success: false,
-        error: "Worker URL not configured. Please set it in Settings.",
-      };
+/**
+ * Send a JSON request to the configured Worker
+ * @param {string} pathname - API path including any query string
+ * @param {Object} options - Request options
+ * @param {string} options.method - HTTP method
+ * @param {Object} options.body - JSON body
+ * @returns {Promise<Object>} { success, data } or { success: false, error }
+ */
+async function requestWorker(pathname, { method = "GET", body } = {}) {
+  const workerUrl = await getWorkerUrl();
+  const apiKey = await getApiKey();
+
+  if (!workerUrl) {
+    return {
+      success: false,
+      error: "Worker URL not configured. Please set it in Settings.",
+    };
+  }
+
+  const headers = {};
+  if (body !== undefined) {
+    headers["Content-Type"] = "application/json";
+  }
+  if (apiKey) {
+    headers["X-API-Key"] = apiKey;
+  }
+
+  const response = await fetch(`${workerUrl}${pathname}`, {
+    method,
+    headers,
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    return {
+      success: false,
+      error: data.error || `Server error: ${response.status}`,
+    };
+  }
+
+  return { success: true, data };
+}
+
+// PII redaction
+const { RedactionVault } = require("./redaction/redaction-vault");
+
+const redactionVault = new RedactionVault(
+  path.join(app.getPath("userData"), "redaction-vault.json")
+);
+
+/**
+ * Read the redaction settings; redaction is on unless turned off
+ * @returns {Object} { enabled, terms }
+ */
+function getRedactionSettings() {
+  const settingsPath = path.join(app.getPath("userData"), "settings.json");
+  const settings = fs.existsSync(settingsPath)
+    ? JSON.parse(fs.readFileSync(settingsPath, "utf8"))
+    : {};
+
+  return {
+    enabled: settings.redactPii !== false,
+    terms: Array.isArray(settings.redactTerms) ? settings.redactTerms : [],
+  };
+}
+
+/**
+ * Redact text before it is sent to the Worker, if redaction is enabled
+ * @param {string} text - Text to redact
+ * @returns {Object} { text, redactions }
+ */
+function redactForWorker(text) {
+  const { enabled, terms } = getRedactionSettings();
+  if (!enabled) {
+    return { text, redactions: [] };
+  }
+  return redactionVault.redact(text, terms);
+}
+
+/**
+ * Redact timestamped segments for the Worker, across segment boundaries
+ * @param {Array<Object>} segments - Segments with a `text` field
+ * @returns {Object} { segments, redactions }
+ */
+function redactSegmentsForWorker(segments) {
+  const { enabled, terms } = getRedactionSettings();
+  if (!enabled) {
+    return { segments, redactions: [] };
+  }
+  return redactionVault.redactSegments(segments, terms);
+}
+
+/**
+ * Build the body of a transcript upload, redacted as it will be sent. The
+ * redaction preview and the upload both use it, so the preview shows exactly
+ * what is sent.
+ * @param {Object} transcriptData - Transcript text, segments, title, date and time
+ * @returns {Object} { body, redactions }
+ */
+function buildTranscriptUpload(transcriptData) {
+  const transcript = redactForWorker(transcriptData.text);
+  const title = redactForWorker(
+    transcriptData.title || `Meeting ${new Date().toLocaleDateString()}`
+  );
+  const segments =
+    transcriptData.segments && transcriptData.segments.length > 0
+      ? redactSegmentsForWorker(transcriptData.segments)
+      : null;
+
+  const redactions = new Map();
+  for (const redaction of [
+    ...title.redactions,
+    ...transcript.redactions,
+    ...(segments ? segments.redactions : []),
+  ]) {
+    redactions.set(redaction.placeholder, redaction);
+  }
+
+  return {
+    body: {
+      transcript: transcript.text,
+      ...(segments ? { segments: segments.segments } : {}),
+      title: title.text,
+      meeting_date:
+        transcriptData.date || new Date().toISOString().split("T")[0],
+      meeting_time:
+        transcriptData.time ||
+        new Date().toISOString().split("T")[1].split(".")[0],
+    },
+    redactions: Array.from(redactions.values()),
+  };
+}
+
+/**
+ * Redact the free-text fields of a meeting update
+ * @param {Object} updates - Meeting fields to update
+ * @returns {Object} Redacted copy
+ */
+function redactMeetingUpdates(updates) {
+  const redacted = { ...updates };
+
+  for (const field of ["title", "summary", "transcript"]) {
+    if (typeof redacted[field] === "string") {
+      redacted[field] = redactForWorker(redacted[field]).text;
     }
+  }
+  if (Array.isArray(redacted.action_items)) {
+    redacted.action_items = redacted.action_items.map((item) => ({
+      ...item,
+      text: redactForWorker(item.text).text,
+      assignee: item.assignee
+        ? redactForWorker(item.assignee).text
+        : item.assignee,
+      source_quote: item.source_quote
+        ? redactForWorker(item.source_quote).text
+        : item.source_quote,
+    }));
+  }
 
-    const headers = {
-      "Content-Type": "application/json",
+  return redacted;
+}
+
+// Show exactly what an upload would send to the Worker
+ipcMain.handle("preview-redaction", async (event, transcriptData) => {
+  try {
+    const { body, redactions } = buildTranscriptUpload(transcriptData);
+
+    return {
+      success: true,
+      enabled: getRedactionSettings().enabled,
+      transcript: body.transcript,
+      segments: body.segments || [],
+      title: body.title,
+      redactions,
     };
+  } catch (error) {
+    console.error("Error previewing redaction:", error);
+    return { success: false, error: error.message };
+  }
+});
 
-    if (apiKey) {
-      headers["X-API-Key"] = apiKey;
+ipcMain.handle("upload-transcript", async (event, transcriptData) => {
+  try {
+    // Without a chosen workspace the Worker uses the key's default one
+    const workspaceId = await getWorkspaceId();
+    const { body } = buildTranscriptUpload(transcriptData);
+
+    const result = await requestWorker("/api/transcripts", {
+      method: "POST",
+      body: {
+        ...body,
+        ...(workspaceId ? { workspace_id: workspaceId } : {}),
+      },
+    });
+    if (!result.success) {
+      return result;
     }
 
-    const response = await fetch(`${workerUrl}/api/transcripts`, {
+    return { success: true, job: result.data.job };
+  } catch (error) {
+    console.error("Error uploading transcript:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Create a read-only share link for a meeting
+ipcMain.handle("create-share-link", async (event, meetingId, options = {}) => {
+  try {
+    const result = await requestWorker(`/api/meetings/${meetingId}/share`, {
       method: "POST",
-      headers,
-      body: JSON.stringify({
-        transcript: transcriptData.text,
-        title:
-          transcriptData.title || `Meeting ${new Date().toLocaleDateString()}`,
-        meeting_date:
-          transcriptData.date || new Date().toISOString().split("T")[0],
-        meeting_time:
-          transcriptData.time ||
-          new Date().toISOString().split("T")[1].split(".")[0],
-      }),
+      body: options,
     });
+    if (!result.success) {
+      return result;
+    }
 
-    if (!response.ok) {
-      const errorData = await response.json();
-      return {
-        success: false,
-        error: errorData.error || `Server error: ${response.status}`,
-      };
+    return {
+      success: true,
+      url: result.data.url,
+      share: result.data.share,
+    };
+  } catch (error) {
+    console.error("Error creating share link:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+// List the workspaces the API key can upload to
+ipcMain.handle("fetch-workspaces", async () => {
+  try {
+    const result = await requestWorker("/api/workspaces");
+    if (!result.success) {
+      return result;
     }
 
-    const data = await response.json();
-    return { success: true, meeting: data.meeting };
+    return {
+      success: true,
+      workspaces: result.data.workspaces || [],
+      defaultWorkspaceId: result.data.default_workspace_id,
+    };
   } catch (error) {
-    console.error("Error uploading transcript:", error);
+    console.error("Error fetching workspaces:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Get the status of a background processing job
+ipcMain.handle("get-job", async (event, jobId) => {
+  try {
+    const result = await requestWorker(`/api/jobs/${jobId}`);
+    if (!result.success) {
+      return result;
+    }
+
+    return { success: true, job: result.data.job };
+  } catch (error) {
+    console.error("Error fetching job:", error);
     return { success: false, error: error.message };
   }
 });
@@ -346,7 +898,7 @@ ipcMain.handle(
       const data = await response.json();
       return {
         success: true,
-        meetings: data.meetings || [],
+        meetings: redactionVault.restoreDeep(data.meetings || []),
         pagination: data.pagination,
       };
     } catch (error) {
@@ -356,6 +908,31 @@ ipcMain.handle(
   }
 );
 
+// Full-text search across meetings
+ipcMain.handle("search-meetings", async (event, query, { limit = 20, offset = 0 } = {}) => {
+  try {
+    const params = new URLSearchParams({
+      q: redactForWorker(query).text,
+      limit: String(limit),
+      offset: String(offset),
+    });
+
+    const result = await requestWorker(`/api/meetings/search?${params}`);
+    if (!result.success) {
+      return result;
+    }
+
+    return {
+      success: true,
+      results: redactionVault.restoreDeep(result.data.results || []),
+      pagination: result.data.pagination,
+    };
+  } catch (error) {
+    console.error("Error searching meetings:", error);
+    return { success: false, error: error.message };
+  }
+});
+
 // Get single meeting details
 ipcMain.handle("fetch-meeting", async (event, meetingId) => {
   try {
@@ -387,13 +964,91 @@ ipcMain.handle("fetch-meeting", async (event, meetingId) => {
     }
 
     const data = await response.json();
-    return { success: true, meeting: data.meeting };
+    return { success: true, meeting: redactionVault.restoreDeep(data.meeting) };
   } catch (error) {
     console.error("Error fetching meeting:", error);
     return { success: false, error: error.message };
   }
 });
 
+// Update meeting
+ipcMain.handle("update-meeting", async (event, meetingId, updates) => {
+  try {
+    const result = await requestWorker(`/api/meetings/${meetingId}`, {
+      method: "PATCH",
+      body: redactMeetingUpdates(updates),
+    });
+    if (!result.success) {
+      return result;
+    }
+
+    return {
+      success: true,
+      meeting: redactionVault.restoreDeep(result.data.meeting),
+    };
+  } catch (error) {
+    console.error("Error updating meeting:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Regenerate meeting summary
+ipcMain.handle("regenerate-summary", async (event, meetingId, options) => {
+  try {
+    const result = await requestWorker(
+      `/api/meetings/${meetingId}/regenerate`,
+      {
+        method: "POST",
+        body: {
+          ...options,
+          instruction: options.instruction
+            ? redactForWorker(options.instruction).text
+            : options.instruction,
+        },
+      }
+    );
+    if (!result.success) {
+      return result;
+    }
+
+    return {
+      success: true,
+      meeting: redactionVault.restoreDeep(result.data.meeting),
+    };
+  } catch (error) {
+    console.error("Error regenerating summary:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Ask a question about a meeting
+ipcMain.handle("ask-meeting", async (event, meetingId, question, history) => {
+  try {
+    const result = await requestWorker(`/api/meetings/${meetingId}/ask`, {
+      method: "POST",
+      body: {
+        question: redactForWorker(question).text,
+        history: (history || []).map((message) => ({
+          ...message,
+          content: redactForWorker(message.content).text,
+        })),
+      },
+    });
+    if (!result.success) {
+      return result;
+    }
+
+    return {
+      success: true,
+      answer: redactionVault.restore(result.data.answer),
+      citations: redactionVault.restoreDeep(result.data.citations || []),
+    };
+  } catch (error) {
+    console.error("Error asking about meeting:", error);
+    return { success: false, error: error.message };
+  }
+});
+
 // Delete meeting
 ipcMain.handle("delete-meeting", async (event, meetingId) => {
   try {
@@ -433,6 +1088,177 @@ ipcMain.handle("delete-meeting", async (event, meetingId) => {
   }
 });
 
+// List action items across meetings
+ipcMain.handle("fetch-action-items", async (event, filters = {}) => {
+  try {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(filters)) {
+      if (value !== undefined && value !== null && value !== "") {
+        params.set(
+          key,
+          key === "assignee" ? redactForWorker(String(value)).text : String(value)
+        );
+      }
+    }
+
+    const result = await requestWorker(`/api/action-items?${params}`);
+    if (!result.success) {
+      return result;
+    }
+
+    return {
+      success: true,
+      actionItems: redactionVault.restoreDeep(result.data.action_items || []),
+      pagination: result.data.pagination,
+    };
+  } catch (error) {
+    console.error("Error fetching action items:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Update action item status
+ipcMain.handle("update-action-item", async (event, itemId, updates) => {
+  try {
+    const result = await requestWorker(`/api/action-items/${itemId}`, {
+      method: "PATCH",
+      body: updates,
+    });
+    if (!result.success) {
+      return result;
+    }
+
+    return {
+      success: true,
+      actionItem: redactionVault.restoreDeep(result.data.action_item),
+    };
+  } catch (error) {
+    console.error("Error updating action item:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Local summarization
+const LocalLLMClient = require("./local-llm/local-llm-client");
+const LocalMeetingStore = require("./local-llm/local-meeting-store");
+const { summarizeTranscript } = require("./local-llm/summarizer");
+
+const localMeetingStore = new LocalMeetingStore(
+  path.join(app.getPath("userData"), "local-meetings.json")
+);
+
+// Create a LocalLLMClient from the current settings
+function createLocalLLMClient() {
+  const settingsPath = path.join(app.getPath("userData"), "settings.json");
+  const settings = fs.existsSync(settingsPath)
+    ? JSON.parse(fs.readFileSync(settingsPath, "utf8"))
+    : {};
+
+  return new LocalLLMClient({
+    mode: settings.localLlmMode,
+    serverUrl: settings.localLlmServerUrl,
+    model: settings.localLlmModel,
+    binaryPath: settings.localLlmBinaryPath,
+    modelPath: settings.localLlmModelPath,
+  });
+}
+
+// Summarize a transcript on this machine and store it locally
+ipcMain.handle("summarize-locally", async (event, transcriptData) => {
+  try {
+    const client = createLocalLLMClient();
+    const status = client.isAvailable();
+    if (!status.available) {
+      return { success: false, error: status.error };
+    }
+
+    const meetingDate =
+      transcriptData.date || new Date().toISOString().split("T")[0];
+    const meetingTime =
+      transcriptData.time ||
+      new Date().toISOString().split("T")[1].split(".")[0];
+
+    const { summary, actionItems, strategy, chunkCount } =
+      await summarizeTranscript(client, transcriptData.text, { meetingDate });
+
+    console.log(
+      `[LocalLLM] Summarized locally (${strategy}, ${chunkCount} chunks)`
+    );
+
+    const meeting = localMeetingStore.create({
+      title:
+        transcriptData.title || `Meeting ${new Date().toLocaleDateString()}`,
+      transcript: transcriptData.text,
+      segments: transcriptData.segments || [],
+      summary,
+      meeting_date: meetingDate,
+      meeting_time: meetingTime,
+      action_items: actionItems,
+    });
+
+    return { success: true, meeting };
+  } catch (error) {
+    console.error("Error summarizing locally:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("fetch-local-meetings", async () => {
+  try {
+    return { success: true, meetings: localMeetingStore.list() };
+  } catch (error) {
+    console.error("Error fetching local meetings:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("search-local-meetings", async (event, query) => {
+  try {
+    return { success: true, meetings: localMeetingStore.search(query) };
+  } catch (error) {
+    console.error("Error searching local meetings:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("fetch-local-meeting", async (event, meetingId) => {
+  try {
+    const meeting = localMeetingStore.get(meetingId);
+    if (!meeting) {
+      return { success: false, error: "Meeting not found" };
+    }
+    return { success: true, meeting };
+  } catch (error) {
+    console.error("Error fetching local meeting:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("update-local-meeting", async (event, meetingId, updates) => {
+  try {
+    const meeting = localMeetingStore.update(meetingId, updates);
+    if (!meeting) {
+      return { success: false, error: "Meeting not found" };
+    }
+    return { success: true, meeting };
+  } catch (error) {
+    console.error("Error updating local meeting:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle("delete-local-meeting", async (event, meetingId) => {
+  try {
+    if (!localMeetingStore.delete(meetingId)) {
+      return { success: false, error: "Meeting not found" };
+    }
+    return { success: true };
+  } catch (error) {
+    console.error("Error deleting local meeting:", error);
+    return { success: false, error: error.message };
+  }
+});
+
 // Settings handlers
 ipcMain.handle("get-settings", async () => {
   try {
@@ -442,6 +1268,18 @@ ipcMain.handle("get-settings", async () => {
       const defaultSettings = {
         workerUrl: "",
         apiKey: "",
+        workspaceId: "",
+        liveTranscription: false,
+        transcriptionConcurrency: 1,
+        ffmpegPath: "",
+        redactPii: true,
+        redactTerms: [],
+        summarizationMode: "worker",
+        localLlmMode: "server",
+        localLlmServerUrl: "http://127.0.0.1:8080/v1",
+        localLlmModel: "",
+        localLlmBinaryPath: "",
+        localLlmModelPath: "",
         autoUpload: true,
         keepLocalCopies: true,
         whisperModel: "ggml-base.en.bin",
@@ -461,6 +1299,7 @@ ipcMain.handle("save-settings", async (event, settings) => {
   try {
     const settingsPath = path.join(app.getPath("userData"), "settings.json");
     fs.writeFileSync(settingsPath, JSON.stringify(settings, null, 2));
+    transcriptionQueue.setConcurrency(settings.transcriptionConcurrency || 1);
     return { success: true };
   } catch (error) {
     console.error("Error saving settings:", error);
@@ -6,6 +6,17 @@ contextBridge.exposeInMainWorld("electronAPI", {
   // Recording methods
   startRecording: () => ipcRenderer.invoke("start-recording"),
   stopRecording: () => ipcRenderer.invoke("stop-recording"),
+  beginRecordingFile: (mimeType) =>
+    ipcRenderer.invoke("begin-recording-file", mimeType),
+  appendRecordingChunk: (id, chunk) =>
+    ipcRenderer.invoke("append-recording-chunk", id, chunk),
+  finishRecordingFile: (id) => ipcRenderer.invoke("finish-recording-file", id),
+  listUnfinishedRecordings: () =>
+    ipcRenderer.invoke("list-unfinished-recordings"),
+  recoverRecording: (id) => ipcRenderer.invoke("recover-recording", id),
+  discardRecording: (id) => ipcRenderer.invoke("discard-recording", id),
+  readRecordingFile: (filepath) =>
+    ipcRenderer.invoke("read-recording-file", filepath),
   saveAudio: (audioData) => ipcRenderer.invoke("save-audio", audioData),
   loadAudioFile: () => ipcRenderer.invoke("load-audio-file"),
 
@@ -17,15 +28,62 @@ contextBridge.exposeInMainWorld("electronAPI", {
     ipcRenderer.invoke("show-recording-in-folder", filepath),
 
   // Transcription methods
-  transcribeAudio: (audioFilePath) =>
-    ipcRenderer.invoke("transcribe-audio", audioFilePath),
+  enqueueTranscription: (audioFilePath, name) =>
+    ipcRenderer.invoke("enqueue-transcription", audioFilePath, name),
+  listTranscriptionJobs: () => ipcRenderer.invoke("list-transcription-jobs"),
+  cancelTranscriptionJob: (jobId) =>
+    ipcRenderer.invoke("cancel-transcription-job", jobId),
+  retryTranscriptionJob: (jobId) =>
+    ipcRenderer.invoke("retry-transcription-job", jobId),
+  removeTranscriptionJob: (jobId) =>
+    ipcRenderer.invoke("remove-transcription-job", jobId),
+  // Returns a function that removes the listener
+  onTranscriptionJobUpdated: (callback) => {
+    const listener = (event, job) => callback(job);
+    ipcRenderer.on("transcription-job-updated", listener);
+    return () =>
+      ipcRenderer.removeListener("transcription-job-updated", listener);
+  },
+  transcribeLiveWindow: (audioData, offsetMs) =>
+    ipcRenderer.invoke("transcribe-live-window", audioData, offsetMs),
 
   // Worker communication
+  previewRedaction: (transcriptData) =>
+    ipcRenderer.invoke("preview-redaction", transcriptData),
   uploadTranscript: (transcriptData) =>
     ipcRenderer.invoke("upload-transcript", transcriptData),
+  getJob: (jobId) => ipcRenderer.invoke("get-job", jobId),
+  fetchWorkspaces: () => ipcRenderer.invoke("fetch-workspaces"),
+  createShareLink: (meetingId, options) =>
+    ipcRenderer.invoke("create-share-link", meetingId, options),
   fetchMeetings: (options) => ipcRenderer.invoke("fetch-meetings", options),
+  searchMeetings: (query, options) =>
+    ipcRenderer.invoke("search-meetings", query, options),
   fetchMeeting: (meetingId) => ipcRenderer.invoke("fetch-meeting", meetingId),
+  updateMeeting: (meetingId, updates) =>
+    ipcRenderer.invoke("update-meeting", meetingId, updates),
+  regenerateSummary: (meetingId, options) =>
+    ipcRenderer.invoke("regenerate-summary", meetingId, options),
+  askMeeting: (meetingId, question, history) =>
+    ipcRenderer.invoke("ask-meeting", meetingId, question, history),
   deleteMeeting: (meetingId) => ipcRenderer.invoke("delete-meeting", meetingId),
+  fetchActionItems: (filters) =>
+    ipcRenderer.invoke("fetch-action-items", filters),
+  updateActionItem: (itemId, updates) =>
+    ipcRenderer.invoke("update-action-item", itemId, updates),
+
+  // Local summarization
+  summarizeLocally: (transcriptData) =>
+    ipcRenderer.invoke("summarize-locally", transcriptData),
+  fetchLocalMeetings: () => ipcRenderer.invoke("fetch-local-meetings"),
+  searchLocalMeetings: (query) =>
+    ipcRenderer.invoke("search-local-meetings", query),
+  fetchLocalMeeting: (meetingId) =>
+    ipcRenderer.invoke("fetch-local-meeting", meetingId),
+  updateLocalMeeting: (meetingId, updates) =>
+    ipcRenderer.invoke("update-local-meeting", meetingId, updates),
+  deleteLocalMeeting: (meetingId) =>
+    ipcRenderer.invoke("delete-local-meeting", meetingId),
 
   // Settings
   getSettings: () => ipcRenderer.invoke("get-settings"),
@@ -0,0 +1,178 @@
+/**
+ * Recording Journal
+ *
+ * Recordings in progress are appended to a journal file chunk by chunk as
+ * MediaRecorder produces them, and each chunk is flushed to disk before the
+ * next one is accepted. A crash, reload or power loss then loses at most
+ * the last chunk. Each journal has a small metadata file next to it, so an
+ * unfinished recording can be found and recovered on the next launch.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const ID_PATTERN = /^recording_\d+_[a-z0-9]+$/;
+
+function generateId() {
+  return `recording_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+class RecordingJournal {
+  /**
+   * @param {string} dir - Directory holding the journal files
+   */
+  constructor(dir) {
+    this.dir = dir;
+    // Open file handles of recordings in progress, keyed by recording ID
+    this.open = new Map();
+  }
+
+  /**
+   * @private
+   */
+  _metaPath(id) {
+    // IDs come from the renderer and end up in file paths
+    if (!ID_PATTERN.test(id)) {
+      throw new Error("Invalid recording ID");
+    }
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  /**
+   * @private
+   */
+  _readEntry(id) {
+    const meta = JSON.parse(fs.readFileSync(this._metaPath(id), "utf8"));
+    const dataPath = path.join(this.dir, `${id}${meta.extension}`);
+    const size = fs.existsSync(dataPath) ? fs.statSync(dataPath).size : 0;
+    return { ...meta, dataPath, size };
+  }
+
+  /**
+   * Start a journal for a new recording
+   * @param {string} extension - Extension of the recorded format, e.g. ".webm"
+   * @returns {Promise<Object>} { id, started_at }
+   */
+  async begin(extension) {
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    const id = generateId();
+    const meta = { id, extension, started_at: new Date().toISOString() };
+
+    // The metadata goes first, so that a journal always has one
+    fs.writeFileSync(this._metaPath(id), JSON.stringify(meta, null, 2), {
+      mode: 0o600,
+    });
+    const handle = await fs.promises.open(
+      path.join(this.dir, `${id}${extension}`),
+      "a",
+      0o600
+    );
+    this.open.set(id, handle);
+
+    return { id, started_at: meta.started_at };
+  }
+
+  /**
+   * Append a chunk and flush it to disk
+   * @param {string} id - Recording ID
+   * @param {Buffer} chunk - Recorded data
+   */
+  async append(id, chunk) {
+    const handle = this.open.get(id);
+    if (!handle) {
+      throw new Error("Recording not found");
+    }
+
+    await handle.appendFile(chunk);
+    await handle.datasync();
+  }
+
+  /**
+   * Close a journal once its recording has stopped. The files are kept
+   * until the recording is saved elsewhere and remove() is called.
+   * @param {string} id - Recording ID
+   * @returns {Promise<Object>} Journal entry { id, extension, started_at, dataPath, size }
+   */
+  async close(id) {
+    const handle = this.open.get(id);
+    if (!handle) {
+      throw new Error("Recording not found");
+    }
+
+    this.open.delete(id);
+    await handle.close();
+    return this._readEntry(id);
+  }
+
+  /**
+   * Close every open journal. Used when the renderer that was recording
+   * has gone away, e.g. after a reload.
+   */
+  async closeAll() {
+    const handles = Array.from(this.open.values());
+    this.open.clear();
+    await Promise.all(handles.map((handle) => handle.close()));
+  }
+
+  /**
+   * List journals that are not open, i.e. recordings that never finished.
+   * Journals without any audio are removed, as there is nothing to recover.
+   * @returns {Array<Object>} Journal entries, oldest first
+   */
+  listUnfinished() {
+    if (!fs.existsSync(this.dir)) {
+      return [];
+    }
+
+    const entries = [];
+    for (const file of fs.readdirSync(this.dir)) {
+      const id = path.basename(file, ".json");
+      if (!file.endsWith(".json") || this.open.has(id)) {
+        continue;
+      }
+
+      let entry;
+      try {
+        entry = this._readEntry(id);
+      } catch (error) {
+        console.error(`[RecordingJournal] Unreadable journal ${file}:`, error);
+        continue;
+      }
+
+      if (entry.size === 0) {
+        this.remove(id);
+        continue;
+      }
+      entries.push(entry);
+    }
+
+    return entries.sort((a, b) => a.started_at.localeCompare(b.started_at));
+  }
+
+  /**
+   * @param {string} id - Recording ID
+   * @returns {Object|null} Journal entry of an unfinished recording
+   */
+  get(id) {
+    if (this.open.has(id) || !fs.existsSync(this._metaPath(id))) {
+      return null;
+    }
+    return this._readEntry(id);
+  }
+
+  /**
+   * Delete a journal's files
+   * @param {string} id - Recording ID
+   */
+  remove(id) {
+    const metaPath = this._metaPath(id);
+    if (fs.existsSync(metaPath)) {
+      const { extension } = JSON.parse(fs.readFileSync(metaPath, "utf8"));
+      fs.rmSync(path.join(this.dir, `${id}${extension}`), { force: true });
+    }
+    fs.rmSync(metaPath, { force: true });
+  }
+}
+
+module.exports = RecordingJournal;
@@ -0,0 +1,316 @@
+/**
+ * PII Redaction
+ *
+ * Masks email addresses, phone numbers, card numbers and user-defined names
+ * and terms before text is sent to the Worker, replacing each with a
+ * placeholder such as [EMAIL_1] or [TERM_3]. The originals are kept in a
+ * vault file in the app's data directory and never leave the device, so
+ * placeholders in summaries, answers and action items coming back from the
+ * Worker can be restored.
+ *
+ * The vault is shared by all meetings: the same value always gets the same
+ * placeholder. That keeps placeholders consistent when a meeting is edited
+ * and re-sent, and lets searches and filters be redacted the same way.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+const CARD_PATTERN = /(?<!\w)(?:\d[ -]?){12,18}\d(?!\w)/g;
+const PHONE_PATTERN =
+  /(?<![\w+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]?\d{2,4}){1,4}(?!\w)/g;
+const DATE_PATTERN = /^\d{4}[-./]\d{1,2}[-./]\d{1,2}$/;
+const PLACEHOLDER_PATTERN = /\[?\b(EMAIL|PHONE|CARD|TERM)_(\d+)\b\]?/g;
+
+/**
+ * Luhn checksum, to tell card numbers from other long digit runs
+ * @param {string} digits - Digits only
+ * @returns {boolean} Whether the checksum is valid
+ */
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Find the sensitive spans in a text. Earlier detectors win where spans
+ * overlap, so a card number is never also reported as a phone number.
+ * @param {string} text - Text to scan
+ * @param {Array<string>} terms - User-defined names and terms
+ * @returns {Array<Object>} Spans { start, end, type, value } in text order
+ */
+function findSensitiveSpans(text, terms = []) {
+  const spans = [];
+
+  const add = (type, pattern, accept = () => true) => {
+    for (const match of text.matchAll(pattern)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (!accept(match[0])) {
+        continue;
+      }
+      if (spans.some((span) => start < span.end && end > span.start)) {
+        continue;
+      }
+      spans.push({ start, end, type, value: match[0] });
+    }
+  };
+
+  add("EMAIL", EMAIL_PATTERN);
+  add("CARD", CARD_PATTERN, (value) => {
+    const digits = value.replace(/\D/g, "");
+    return digits.length >= 13 && digits.length <= 19 && passesLuhn(digits);
+  });
+  add("PHONE", PHONE_PATTERN, (value) => {
+    const digits = value.replace(/\D/g, "");
+    if (digits.length < 7 || digits.length > 15 || DATE_PATTERN.test(value)) {
+      return false;
+    }
+    // Bare digit runs are more often amounts or IDs than phone numbers
+    return /[\s.()+-]/.test(value) || digits.length >= 10;
+  });
+
+  // Longer terms first, so "Acme Corp" wins over "Acme"
+  const sortedTerms = [...new Set(terms.map((term) => term.trim()).filter(Boolean))].sort(
+    (a, b) => b.length - a.length
+  );
+  for (const term of sortedTerms) {
+    add(
+      "TERM",
+      new RegExp(`(?<![\\p{L}\\p{N}_])${escapeRegExp(term)}(?![\\p{L}\\p{N}_])`, "giu")
+    );
+  }
+
+  return spans.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Key identifying a value regardless of formatting, so "+1 555 010 2030" and
+ * "+1-555-010-2030" share a placeholder
+ */
+function normalizeValue(type, value) {
+  if (type === "PHONE" || type === "CARD") {
+    return value.replace(/\D/g, "");
+  }
+  return value.toLowerCase();
+}
+
+class RedactionVault {
+  /**
+   * @param {string} filePath - Path of the vault JSON file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.data = null;
+    this._dirty = false;
+  }
+
+  /**
+   * @private
+   */
+  _load() {
+    if (!this.data) {
+      this.data = fs.existsSync(this.filePath)
+        ? JSON.parse(fs.readFileSync(this.filePath, "utf8"))
+        : { placeholders: {}, originals: {} };
+    }
+    return this.data;
+  }
+
+  /**
+   * @private
+   */
+  _save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2), {
+      mode: 0o600,
+    });
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  /**
+   * @private
+   */
+  _placeholderFor(type, value) {
+    const data = this._load();
+    const key = `${type}:${normalizeValue(type, value)}`;
+
+    if (!data.placeholders[key]) {
+      const count = Object.keys(data.placeholders).filter((k) =>
+        k.startsWith(`${type}:`)
+      ).length;
+      const placeholder = `[${type}_${count + 1}]`;
+      data.placeholders[key] = placeholder;
+      data.originals[placeholder] = value;
+      this._dirty = true;
+    }
+
+    return data.placeholders[key];
+  }
+
+  /**
+   * Replace sensitive values with placeholders
+   * @param {string} text - Text to redact
+   * @param {Array<string>} terms - User-defined names and terms
+   * @returns {Object} { text, redactions: [{ placeholder, type, original }] }
+   */
+  redact(text, terms = []) {
+    if (typeof text !== "string" || !text) {
+      return { text, redactions: [] };
+    }
+
+    const spans = findSensitiveSpans(text, terms);
+    const redactions = new Map();
+    let result = "";
+    let position = 0;
+
+    this._dirty = false;
+    for (const span of spans) {
+      const placeholder = this._placeholderFor(span.type, span.value);
+      result += text.slice(position, span.start) + placeholder;
+      position = span.end;
+
+      if (!redactions.has(placeholder)) {
+        redactions.set(placeholder, {
+          placeholder,
+          type: span.type,
+          original: span.value,
+        });
+      }
+    }
+    result += text.slice(position);
+
+    if (this._dirty) {
+      this._save();
+    }
+
+    return { text: result, redactions: Array.from(redactions.values()) };
+  }
+
+  /**
+   * Replace sensitive values in timestamped segments. The segments are
+   * scanned as one text, so a value split across two segments, as Whisper
+   * often does with phone numbers and names, is still found. Its placeholder
+   * goes in the segment where it starts, and the rest of it is removed from
+   * the following ones.
+   * @param {Array<Object>} segments - Segments with a `text` field
+   * @param {Array<string>} terms - User-defined names and terms
+   * @returns {Object} { segments, redactions: [{ placeholder, type, original }] }
+   */
+  redactSegments(segments, terms = []) {
+    const texts = segments.map((segment) =>
+      typeof segment.text === "string" ? segment.text : ""
+    );
+
+    // Segments usually carry their own leading space; others are joined
+    // with one, so that values read the same as in the full transcript
+    let joined = "";
+    const ranges = texts.map((text, i) => {
+      if (i > 0 && !/\s$/.test(joined) && !/^\s/.test(text)) {
+        joined += " ";
+      }
+      const start = joined.length;
+      joined += text;
+      return { start, end: joined.length };
+    });
+
+    const spans = findSensitiveSpans(joined, terms);
+    const redactions = new Map();
+    const placed = new Set();
+
+    this._dirty = false;
+    const redacted = segments.map((segment, i) => {
+      const { start, end } = ranges[i];
+      let text = "";
+      let position = start;
+
+      for (const span of spans) {
+        if (span.end <= start || span.start >= end) {
+          continue;
+        }
+
+        text += joined.slice(position, Math.max(span.start, start));
+        if (!placed.has(span)) {
+          placed.add(span);
+          const placeholder = this._placeholderFor(span.type, span.value);
+          text += placeholder;
+
+          if (!redactions.has(placeholder)) {
+            redactions.set(placeholder, {
+              placeholder,
+              type: span.type,
+              original: span.value,
+            });
+          }
+        }
+        position = Math.min(span.end, end);
+      }
+      text += joined.slice(position, end);
+
+      return typeof segment.text === "string" ? { ...segment, text } : segment;
+    });
+
+    if (this._dirty) {
+      this._save();
+    }
+
+    return { segments: redacted, redactions: Array.from(redactions.values()) };
+  }
+
+  /**
+   * Put the original values back in place of known placeholders. Models
+   * sometimes drop the brackets, so bare placeholders are restored too.
+   * @param {string} text - Text from the Worker
+   * @returns {string} Restored text
+   */
+  restore(text) {
+    if (typeof text !== "string" || !text) {
+      return text;
+    }
+
+    const { originals } = this._load();
+    return text.replace(PLACEHOLDER_PATTERN, (match, type, number) => {
+      const original = originals[`[${type}_${number}]`];
+      return original === undefined ? match : original;
+    });
+  }
+
+  /**
+   * Restore every string in a JSON-like value. Only placeholders are
+   * touched, so IDs and dates pass through unchanged.
+   * @param {*} value - Value to restore
+   * @returns {*} Restored copy
+   */
+  restoreDeep(value) {
+    if (typeof value === "string") {
+      return this.restore(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map((item) => this.restoreDeep(item));
+    }
+    if (value && typeof value === "object") {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, this.restoreDeep(item)])
+      );
+    }
+    return value;
+  }
+}
+
+module.exports = { RedactionVault, findSensitiveSpans };
@@ -0,0 +1,233 @@
+/**
+ * Action Items Tracker
+ * Handles the cross-meeting action items view
+ */
+
+import { state } from "./state.js";
+import * as api from "./api.js";
+import {
+  showStatus,
+  escapeHtml,
+  formatDateOnly,
+  todayDateOnly,
+} from "./ui.js";
+import { loadMeetingDetails } from "./meetings.js";
+
+/**
+ * Setup action items view controls
+ */
+export function setupActionItemsControls() {
+  const refreshBtn = document.getElementById("refresh-action-items-btn");
+  refreshBtn.addEventListener("click", loadActionItems);
+
+  const filterIds = [
+    "action-items-status",
+    "action-items-due-before",
+    "action-items-meeting",
+  ];
+  filterIds.forEach((id) => {
+    document.getElementById(id).addEventListener("change", loadActionItems);
+  });
+
+  // change fires both on Enter and when the field loses focus
+  document
+    .getElementById("action-items-assignee")
+    .addEventListener("change", loadActionItems);
+}
+
+/**
+ * Read the current filter values from the filter bar
+ * @returns {Object} Filters for the action items API
+ */
+function getFilters() {
+  return {
+    status: document.getElementById("action-items-status").value,
+    assignee: document.getElementById("action-items-assignee").value.trim(),
+    due_before: document.getElementById("action-items-due-before").value,
+    meeting_id: document.getElementById("action-items-meeting").value,
+  };
+}
+
+/**
+ * Populate the meeting filter with the meetings known to the Worker
+ */
+async function loadMeetingFilterOptions() {
+  const select = document.getElementById("action-items-meeting");
+  const currentValue = select.value;
+
+  const result = await api.fetchMeetings({ limit: 100, offset: 0 });
+  if (!result.success) {
+    return;
+  }
+
+  select.innerHTML = '<option value="">All meetings</option>';
+  result.meetings.forEach((meeting) => {
+    const option = document.createElement("option");
+    option.value = meeting.id;
+    option.textContent = `${meeting.title || "Untitled Meeting"} (${
+      meeting.meeting_date
+    })`;
+    select.appendChild(option);
+  });
+
+  if (result.meetings.some((m) => m.id === currentValue)) {
+    select.value = currentValue;
+  }
+}
+
+/**
+ * Load action items from Worker
+ */
+export async function loadActionItems() {
+  const list = document.getElementById("action-items-list");
+  list.innerHTML =
+    '<div class="empty-state"><p>Loading action items...</p></div>';
+
+  if (!state.settings.workerUrl) {
+    list.innerHTML = `
+      <div class="empty-state">
+        <i data-lucide="settings" class="empty-icon"></i>
+        <p>Worker URL not configured</p>
+        <p class="empty-subtitle">Please configure your Worker URL in Settings</p>
+      </div>
+    `;
+
+    if (window.lucide) {
+      lucide.createIcons();
+    }
+
+    return;
+  }
+
+  try {
+    const [result] = await Promise.all([
+      api.fetchActionItems(getFilters()),
+      loadMeetingFilterOptions(),
+    ]);
+
+    if (result.success && result.actionItems.length > 0) {
+      list.innerHTML = "";
+      result.actionItems.forEach((item) => {
+        list.appendChild(createActionItemCard(item));
+      });
+    } else if (result.success) {
+      list.innerHTML = `
+        <div class="empty-state">
+          <i data-lucide="check-circle" class="empty-icon"></i>
+          <p>No matching action items</p>
+          <p class="empty-subtitle">Try a different status or clear the filters</p>
+        </div>
+      `;
+    } else {
+      list.innerHTML = `
+        <div class="empty-state">
+          <i data-lucide="x-circle" class="empty-icon"></i>
+          <p>Error loading action items</p>
+          <p class="empty-subtitle">${escapeHtml(result.error)}</p>
+        </div>
+      `;
+    }
+  } catch (error) {
+    console.error("Error loading action items:", error);
+    list.innerHTML = `
+      <div class="empty-state">
+        <i data-lucide="x-circle" class="empty-icon"></i>
+        <p>Error loading action items</p>
+        <p class="empty-subtitle">${escapeHtml(error.message)}</p>
+      </div>
+    `;
+  }
+
+  if (window.lucide) {
+    lucide.createIcons();
+  }
+}
+
+/**
+ * Create action item card element
+ * @param {Object} item - Action item with meeting title
+ * @returns {HTMLElement} Action item card
+ */
+function createActionItemCard(item) {
+  const card = document.createElement("div");
+  const today = todayDateOnly();
+  const isOverdue =
+    item.status === "open" && item.due_date && item.due_date < today;
+
+  card.className = `item-card action-item-card ${item.status}${
+    isOverdue ? " overdue" : ""
+  }`;
+
+  card.innerHTML = `
+    <div class="item-header">
+      <div>
+        <div class="item-title">${escapeHtml(item.text)}</div>
+        <div class="item-date">
+          <i data-lucide="user" class="inline-icon"></i> ${escapeHtml(
+            item.assignee || "Unassigned"
+          )}
+          ${
+            item.due_date
+              ? ` • <i data-lucide="calendar-clock" class="inline-icon"></i> Due ${formatDateOnly(
+                  item.due_date
+                )}${isOverdue ? " (overdue)" : ""}`
+              : ""
+          }
+        </div>
+      </div>
+    </div>
+    ${
+      item.source_quote
+        ? `<div class="item-content"><blockquote class="action-item-quote">${escapeHtml(
+            item.source_quote
+          )}</blockquote></div>`
+        : ""
+    }
+    <div class="action-item-footer">
+      <button class="meeting-link" title="Open meeting">
+        ${escapeHtml(item.meeting_title || "Untitled Meeting")}
+      </button>
+      <select class="action-item-status-select">
+        <option value="open">Open</option>
+        <option value="done">Done</option>
+        <option value="dropped">Dropped</option>
+      </select>
+    </div>
+  `;
+
+  const statusSelect = card.querySelector(".action-item-status-select");
+  statusSelect.value = item.status;
+  statusSelect.addEventListener("change", async () => {
+    await updateStatus(item, statusSelect.value, statusSelect);
+  });
+
+  card.querySelector(".meeting-link").addEventListener("click", async () => {
+    await loadMeetingDetails(item.meeting_id);
+  });
+
+  return card;
+}
+
+/**
+ * Update the status of an action item
+ * @param {Object} item - Action item
+ * @param {string} status - New status
+ * @param {HTMLSelectElement} select - Status select to revert on failure
+ */
+async function updateStatus(item, status, select) {
+  try {
+    const result = await api.updateActionItem(item.id, { status });
+
+    if (result.success) {
+      showStatus(`Action item marked ${status}`, "success");
+      await loadActionItems();
+    } else {
+      select.value = item.status;
+      showStatus("Error updating action item: " + result.error, "error");
+    }
+  } catch (error) {
+    console.error("Error updating action item:", error);
+    select.value = item.status;
+    showStatus("Error updating action item", "error");
+  }
+}
@@ -10,12 +10,53 @@
  * @param {string} transcriptData.title - Meeting title
  * @param {string} transcriptData.date - Meeting date
  * @param {string} transcriptData.time - Meeting time
- * @returns {Promise<Object>} API response
+ * @returns {Promise<Object>} API response with the processing job
  */
 export async function uploadTranscript(transcriptData) {
   return await window.electronAPI.uploadTranscript(transcriptData);
 }
 
+/**
+ * Preview what an upload would send to the Worker after PII redaction
+ * @param {Object} transcriptData - Transcript data
+ * @param {string} transcriptData.text - Transcript text
+ * @param {Array<Object>} transcriptData.segments - Timestamped segments, if any
+ * @param {string} transcriptData.title - Meeting title
+ * @returns {Promise<Object>} Redacted transcript, segments and title, and the redactions made
+ */
+export async function previewRedaction(transcriptData) {
+  return await window.electronAPI.previewRedaction(transcriptData);
+}
+
+/**
+ * Create a read-only share link for a meeting
+ * @param {string} meetingId - Meeting ID
+ * @param {Object} options - Share options
+ * @param {boolean} options.include_transcript - Show the transcript on the shared page
+ * @param {number} options.expires_in_hours - Link lifetime in hours
+ * @returns {Promise<Object>} API response with the share link URL
+ */
+export async function createShareLink(meetingId, options = {}) {
+  return await window.electronAPI.createShareLink(meetingId, options);
+}
+
+/**
+ * List the workspaces the configured API key can see
+ * @returns {Promise<Object>} API response with workspaces and the default workspace ID
+ */
+export async function fetchWorkspaces() {
+  return await window.electronAPI.fetchWorkspaces();
+}
+
+/**
+ * Get the status of a background processing job
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} API response with job status and progress
+ */
+export async function getJob(jobId) {
+  return await window.electronAPI.getJob(jobId);
+}
+
 /**
  * Fetch list of meetings from Worker
  * @param {Object} options - Pagination options
@@ -27,6 +68,18 @@ export async function fetchMeetings(options = { limit: 50, offset: 0 }) {
   return await window.electronAPI.fetchMeetings(options);
 }
 
+/**
+ * Full-text search across meetings
+ * @param {string} query - Search query
+ * @param {Object} options - Pagination options
+ * @param {number} options.limit - Number of results to fetch
+ * @param {number} options.offset - Pagination offset
+ * @returns {Promise<Object>} API response with highlighted search results
+ */
+export async function searchMeetings(query, options = { limit: 20, offset: 0 }) {
+  return await window.electronAPI.searchMeetings(query, options);
+}
+
 /**
  * Fetch single meeting details
  * @param {string} meetingId - Meeting ID
@@ -36,6 +89,40 @@ export async function fetchMeeting(meetingId) {
   return await window.electronAPI.fetchMeeting(meetingId);
 }
 
+/**
+ * Update a meeting
+ * @param {string} meetingId - Meeting ID
+ * @param {Object} updates - Fields to update (title, meeting_date, meeting_time,
+ *   summary, transcript, action_items)
+ * @returns {Promise<Object>} API response with the updated meeting
+ */
+export async function updateMeeting(meetingId, updates) {
+  return await window.electronAPI.updateMeeting(meetingId, updates);
+}
+
+/**
+ * Regenerate a meeting summary from its stored transcript
+ * @param {string} meetingId - Meeting ID
+ * @param {Object} options - Regeneration options
+ * @param {string} options.style - brief, detailed, executive or bullet_only
+ * @param {string} options.instruction - Optional custom instruction
+ * @returns {Promise<Object>} API response with the updated meeting
+ */
+export async function regenerateSummary(meetingId, options) {
+  return await window.electronAPI.regenerateSummary(meetingId, options);
+}
+
+/**
+ * Ask a question about a meeting transcript
+ * @param {string} meetingId - Meeting ID
+ * @param {string} question - Question text
+ * @param {Array<Object>} history - Previous { role, content } messages
+ * @returns {Promise<Object>} API response with answer and citations
+ */
+export async function askMeeting(meetingId, question, history = []) {
+  return await window.electronAPI.askMeeting(meetingId, question, history);
+}
+
 /**
  * Delete a meeting
  * @param {string} meetingId - Meeting ID
@@ -45,6 +132,89 @@ export async function deleteMeeting(meetingId) {
   return await window.electronAPI.deleteMeeting(meetingId);
 }
 
+/**
+ * Fetch action items across all meetings
+ * @param {Object} filters - Query filters
+ * @param {string} filters.status - Comma-separated statuses (open, done, dropped)
+ * @param {string} filters.assignee - Assignee name
+ * @param {string} filters.due_before - Latest due date (YYYY-MM-DD)
+ * @param {string} filters.due_after - Earliest due date (YYYY-MM-DD)
+ * @param {string} filters.meeting_id - Meeting ID
+ * @returns {Promise<Object>} API response with action items list
+ */
+export async function fetchActionItems(filters = {}) {
+  return await window.electronAPI.fetchActionItems(filters);
+}
+
+/**
+ * Update an action item
+ * @param {string} itemId - Action item ID
+ * @param {Object} updates - Fields to update
+ * @param {string} updates.status - New status (open, done, dropped)
+ * @returns {Promise<Object>} API response with the updated action item
+ */
+export async function updateActionItem(itemId, updates) {
+  return await window.electronAPI.updateActionItem(itemId, updates);
+}
+
+/**
+ * Summarize a transcript with the local model and store it on this machine
+ * @param {Object} transcriptData - Transcript data
+ * @param {string} transcriptData.text - Transcript text
+ * @param {string} transcriptData.title - Meeting title
+ * @param {string} transcriptData.date - Meeting date
+ * @param {string} transcriptData.time - Meeting time
+ * @returns {Promise<Object>} API response with the stored meeting
+ */
+export async function summarizeLocally(transcriptData) {
+  return await window.electronAPI.summarizeLocally(transcriptData);
+}
+
+/**
+ * List meetings stored on this machine
+ * @returns {Promise<Object>} API response with local meetings
+ */
+export async function fetchLocalMeetings() {
+  return await window.electronAPI.fetchLocalMeetings();
+}
+
+/**
+ * Search meetings stored on this machine
+ * @param {string} query - Search query
+ * @returns {Promise<Object>} API response with matching local meetings
+ */
+export async function searchLocalMeetings(query) {
+  return await window.electronAPI.searchLocalMeetings(query);
+}
+
+/**
+ * Fetch a meeting stored on this machine
+ * @param {string} meetingId - Local meeting ID
+ * @returns {Promise<Object>} API response with meeting details
+ */
+export async function fetchLocalMeeting(meetingId) {
+  return await window.electronAPI.fetchLocalMeeting(meetingId);
+}
+
+/**
+ * Update a meeting stored on this machine
+ * @param {string} meetingId - Local meeting ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} API response with the updated meeting
+ */
+export async function updateLocalMeeting(meetingId, updates) {
+  return await window.electronAPI.updateLocalMeeting(meetingId, updates);
+}
+
+/**
+ * Delete a meeting stored on this machine
+ * @param {string} meetingId - Local meeting ID
+ * @returns {Promise<Object>} API response
+ */
+export async function deleteLocalMeeting(meetingId) {
+  return await window.electronAPI.deleteLocalMeeting(meetingId);
+}
+
 /**
  * Get application settings
  * @returns {Promise<Object>} Settings object
@@ -94,9 +264,75 @@ export async function stopRecording() {
   return await window.electronAPI.stopRecording();
 }
 
+/**
+ * Start the journal a new recording is streamed to
+ * @param {string} mimeType - MediaRecorder MIME type
+ * @returns {Promise<Object>} API response with recording ID
+ */
+export async function beginRecordingFile(mimeType) {
+  return await window.electronAPI.beginRecordingFile(mimeType);
+}
+
+/**
+ * Append a chunk to a recording's journal and flush it to disk
+ * @param {string} id - Recording ID
+ * @param {ArrayBuffer} chunk - Chunk produced by MediaRecorder
+ * @returns {Promise<Object>} API response
+ */
+export async function appendRecordingChunk(id, chunk) {
+  return await window.electronAPI.appendRecordingChunk(id, chunk);
+}
+
+/**
+ * Close a recording's journal and save it to the recordings folder as WAV
+ * @param {string} id - Recording ID
+ * @returns {Promise<Object>} API response with file path, and `converted`
+ *   false when the recording could not be converted to WAV
+ */
+export async function finishRecordingFile(id) {
+  return await window.electronAPI.finishRecordingFile(id);
+}
+
+/**
+ * List recordings that never finished, e.g. because the app crashed
+ * @returns {Promise<Object>} API response with recordings { id, started_at, size }
+ */
+export async function listUnfinishedRecordings() {
+  return await window.electronAPI.listUnfinishedRecordings();
+}
+
+/**
+ * Save an unfinished recording to the recordings folder
+ * @param {string} id - Recording ID
+ * @returns {Promise<Object>} API response with file path, and `converted`
+ *   false when the recording could not be converted to WAV. The unfinished
+ *   recording is then kept until discardRecording is called.
+ */
+export async function recoverRecording(id) {
+  return await window.electronAPI.recoverRecording(id);
+}
+
+/**
+ * Delete an unfinished recording
+ * @param {string} id - Recording ID
+ * @returns {Promise<Object>} API response
+ */
+export async function discardRecording(id) {
+  return await window.electronAPI.discardRecording(id);
+}
+
+/**
+ * Read a saved recording
+ * @param {string} filepath - Path of the recording
+ * @returns {Promise<Object>} API response with the file's bytes
+ */
+export async function readRecordingFile(filepath) {
+  return await window.electronAPI.readRecordingFile(filepath);
+}
+
 /**
  * Save audio data
- * @param {string} audioData - Base64 audio data
+ * @param {ArrayBuffer} audioData - WAV data
  * @returns {Promise<Object>} API response with file path
  */
 export async function saveAudio(audioData) {
@@ -104,20 +340,76 @@ export async function saveAudio(audioData) {
 }
 
 /**
- * Load audio file from disk
- * @returns {Promise<Object>} API response with audio data
+ * Choose an audio or video file to import
+ * @returns {Promise<Object>} API response with the file path
  */
 export async function loadAudioFile() {
   return await window.electronAPI.loadAudioFile();
 }
 
 /**
- * Transcribe audio file
+ * Queue an audio file for transcription in the background
  * @param {string} audioFilePath - Path to audio file
- * @returns {Promise<Object>} API response with transcript
+ * @param {string} name - Name shown in the jobs panel
+ * @returns {Promise<Object>} API response with the queued job
+ */
+export async function enqueueTranscription(audioFilePath, name) {
+  return await window.electronAPI.enqueueTranscription(audioFilePath, name);
+}
+
+/**
+ * List transcription jobs, newest first
+ * @returns {Promise<Object>} API response with jobs
+ */
+export async function listTranscriptionJobs() {
+  return await window.electronAPI.listTranscriptionJobs();
+}
+
+/**
+ * Cancel a queued or running transcription job
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} API response
+ */
+export async function cancelTranscriptionJob(jobId) {
+  return await window.electronAPI.cancelTranscriptionJob(jobId);
+}
+
+/**
+ * Queue a failed or cancelled transcription job again
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} API response
+ */
+export async function retryTranscriptionJob(jobId) {
+  return await window.electronAPI.retryTranscriptionJob(jobId);
+}
+
+/**
+ * Remove a finished transcription job from the list
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} API response
+ */
+export async function removeTranscriptionJob(jobId) {
+  return await window.electronAPI.removeTranscriptionJob(jobId);
+}
+
+/**
+ * Listen for changes to transcription jobs
+ * @param {Function} callback - Called with the changed job
+ * @returns {Function} Function that stops listening
+ */
+export function onTranscriptionJobUpdated(callback) {
+  return window.electronAPI.onTranscriptionJobUpdated(callback);
+}
+
+/**
+ * Transcribe one window of a recording in progress
+ * @param {ArrayBuffer} audioData - WAV data of the window
+ * @param {number} offsetMs - Start of the window in the recording
+ * @returns {Promise<Object>} API response with segments timed from the
+ *   start of the recording
  */
-export async function transcribeAudio(audioFilePath) {
-  return await window.electronAPI.transcribeAudio(audioFilePath);
+export async function transcribeLiveWindow(audioData, offsetMs) {
+  return await window.electronAPI.transcribeLiveWindow(audioData, offsetMs);
 }
 
 /**
@@ -10,8 +10,13 @@ import {
   setupRecordingControls,
   updateCurrentModelIndicator,
 } from "./recording.js";
-import { setupRecordingsView } from "./recordings.js";
+import {
+  setupRecordingsView,
+  offerRecordingRecovery,
+} from "./recordings.js";
+import { setupTranscriptionJobs } from "./transcription-jobs.js";
 import { setupSummariesControls } from "./meetings.js";
+import { setupActionItemsControls } from "./action-items.js";
 import {
   setupSettingsControls,
   updateSettingsUI,
@@ -47,9 +52,12 @@ document.addEventListener("DOMContentLoaded", async () => {
   setupNavigation();
   setupRecordingControls();
   setupRecordingsView();
+  await setupTranscriptionJobs();
   setupSettingsControls();
   setupModelSelection();
   setupSummariesControls();
+  setupActionItemsControls();
+  await offerRecordingRecovery();
 
   // Initialize Lucide icons
   if (window.lucide) {
@@ -68,7 +68,7 @@ function mergeChannels(audioBuffer) {
  * @param {number} sampleRate - Sample rate
  * @returns {ArrayBuffer} WAV buffer
  */
-function encodeWAV(samples, sampleRate) {
+export function encodeWAV(samples, sampleRate) {
   const buffer = new ArrayBuffer(44 + samples.length * 2);
   const view = new DataView(buffer);
 
@@ -3,7 +3,51 @@
  * Handles exporting meetings to various formats
  */
 
-import { showStatus } from "./ui.js";
+import { showStatus, formatTimestamp } from "./ui.js";
+
+// Conventional caption line length; longer segments are wrapped
+const MAX_CAPTION_LINE_LENGTH = 42;
+
+export const CAPTION_FORMATS = {
+  srt: { label: "SRT", extension: "srt", type: "application/x-subrip" },
+  vtt: { label: "WebVTT", extension: "vtt", type: "text/vtt" },
+  txt: { label: "Timestamped text", extension: "txt", type: "text/plain" },
+};
+
+/**
+ * Download text content as a file
+ * @param {string} content - File content
+ * @param {string} filename - File name
+ * @param {string} type - MIME type
+ */
+function downloadFile(content, filename, type) {
+  const blob = new Blob([content], { type: `${type};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+
+  setTimeout(() => {
+    URL.revokeObjectURL(url);
+  }, 100);
+}
+
+/**
+ * Turn a title into a safe file name stem
+ * @param {string} title - Title
+ * @returns {string} File name stem
+ */
+function toSafeFilename(title) {
+  return title
+    .replace(/[^a-z0-9\s]/gi, "")
+    .replace(/\s+/g, "_")
+    .toLowerCase();
+}
 
 /**
  * Export meeting as Markdown
@@ -11,11 +55,7 @@ import { showStatus } from "./ui.js";
  */
 export function exportMeetingAsMarkdown(meeting) {
   try {
-    const actionItems = meeting.action_items
-      .split("\n")
-      .filter((item) => item.trim())
-      .map((item) => item.replace(/^[•\-*]\s*/, "").trim())
-      .filter((item) => item.length > 0);
+    const actionItems = meeting.action_items || [];
 
     const markdown = `# ${meeting.title}
 
@@ -30,7 +70,7 @@ ${meeting.summary}
 
 ${
   actionItems.length > 0
-    ? actionItems.map((item) => `- ${item}`).join("\n")
+    ? actionItems.map(formatActionItemMarkdown).join("\n")
     : "- No action items identified"
 }
 
@@ -43,32 +83,183 @@ ${meeting.transcript}
 *Generated by Privote on ${new Date().toLocaleString()}*
 `;
 
-    const blob = new Blob([markdown], {
-      type: "text/markdown;charset=utf-8",
-    });
-    const url = URL.createObjectURL(blob);
+    downloadFile(
+      markdown,
+      `${toSafeFilename(meeting.title)}_${meeting.meeting_date}.md`,
+      "text/markdown"
+    );
+
+    showStatus("Meeting exported as Markdown", "success");
+  } catch (error) {
+    console.error("Error exporting markdown:", error);
+    showStatus("Error exporting meeting: " + error.message, "error");
+  }
+}
 
-    const a = document.createElement("a");
-    a.href = url;
+/**
+ * Format an action item as a Markdown task list entry
+ * @param {Object} item - Action item object
+ * @returns {string} Markdown line(s)
+ */
+function formatActionItemMarkdown(item) {
+  const details = [];
+  if (item.assignee) {
+    details.push(`**Owner:** ${item.assignee}`);
+  }
+  if (item.due_date) {
+    details.push(`**Due:** ${item.due_date}`);
+  }
+  if (item.status && item.status !== "open") {
+    details.push(`**Status:** ${item.status}`);
+  }
 
-    const safeTitle = meeting.title
-      .replace(/[^a-z0-9\s]/gi, "")
-      .replace(/\s+/g, "_")
-      .toLowerCase();
-    const filename = `${safeTitle}_${meeting.meeting_date}.md`;
-    a.download = filename;
+  let line = `- [${item.status === "done" ? "x" : " "}] ${item.text}`;
+  if (details.length > 0) {
+    line += ` (${details.join(", ")})`;
+  }
+  if (item.source_quote) {
+    line += `\n  > ${item.source_quote}`;
+  }
 
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
+  return line;
+}
 
-    setTimeout(() => {
-      URL.revokeObjectURL(url);
-    }, 100);
+/**
+ * Format a caption time as HH:MM:SS,mmm (SRT) or HH:MM:SS.mmm (WebVTT)
+ * @param {number} ms - Milliseconds from the start of the recording
+ * @param {string} separator - Separator before the milliseconds
+ * @returns {string} Formatted time
+ */
+function formatCaptionTime(ms, separator) {
+  const pad = (value, length = 2) => String(value).padStart(length, "0");
+  const hours = Math.floor(ms / 3600000);
+  const minutes = Math.floor((ms % 3600000) / 60000);
+  const seconds = Math.floor((ms % 60000) / 1000);
 
-    showStatus("Meeting exported as Markdown", "success");
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(
+    ms % 1000,
+    3
+  )}`;
+}
+
+/**
+ * Wrap caption text on word boundaries
+ * @param {string} text - Caption text
+ * @returns {string} Text with line breaks
+ */
+function wrapCaption(text) {
+  const lines = [];
+  let line = "";
+
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    if (line && line.length + word.length + 1 > MAX_CAPTION_LINE_LENGTH) {
+      lines.push(line);
+      line = "";
+    }
+    line = line ? `${line} ${word}` : word;
+  }
+  if (line) {
+    lines.push(line);
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Format segments as SubRip (SRT) captions
+ * @param {Array<Object>} segments - Segments { start_ms, end_ms, text }
+ * @returns {string} SRT content
+ */
+export function formatSrt(segments) {
+  return segments
+    .map(
+      (segment, index) =>
+        `${index + 1}\n${formatCaptionTime(
+          segment.start_ms,
+          ","
+        )} --> ${formatCaptionTime(segment.end_ms, ",")}\n${wrapCaption(
+          segment.text
+        )}\n`
+    )
+    .join("\n");
+}
+
+/**
+ * Format segments as WebVTT captions
+ * @param {Array<Object>} segments - Segments { start_ms, end_ms, text }
+ * @returns {string} WebVTT content
+ */
+export function formatVtt(segments) {
+  // Cue text is parsed as markup, and may not contain "-->"
+  const escapeCue = (text) =>
+    text
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;");
+
+  const cues = segments.map(
+    (segment) =>
+      `${formatCaptionTime(segment.start_ms, ".")} --> ${formatCaptionTime(
+        segment.end_ms,
+        "."
+      )}\n${escapeCue(wrapCaption(segment.text))}\n`
+  );
+
+  return ["WEBVTT\n", ...cues].join("\n");
+}
+
+/**
+ * Format segments as plain text with a time per line
+ * @param {Array<Object>} segments - Segments { start_ms, end_ms, text }
+ * @returns {string} Timestamped text
+ */
+export function formatTimestampedText(segments) {
+  return (
+    segments
+      .map((segment) => `[${formatTimestamp(segment.start_ms)}] ${segment.text}`)
+      .join("\n") + "\n"
+  );
+}
+
+/**
+ * Export a transcript's segments as captions or timestamped text
+ * @param {Object} transcript - Transcript to export
+ * @param {Array<Object>} transcript.segments - Timestamped segments
+ * @param {string} transcript.title - Title used for the file name
+ * @param {string} format - One of the CAPTION_FORMATS keys
+ */
+export function exportTranscriptCaptions(transcript, format) {
+  try {
+    const captionFormat = CAPTION_FORMATS[format];
+    if (!captionFormat) {
+      throw new Error(`Unknown export format: ${format}`);
+    }
+
+    const segments = transcript.segments || [];
+    if (segments.length === 0) {
+      showStatus(
+        "This transcript has no timing data. Transcribe the recording again to export captions.",
+        "error"
+      );
+      return;
+    }
+
+    const content =
+      format === "srt"
+        ? formatSrt(segments)
+        : format === "vtt"
+        ? formatVtt(segments)
+        : formatTimestampedText(segments);
+
+    downloadFile(
+      content,
+      `${toSafeFilename(transcript.title || "transcript")}.${captionFormat.extension}`,
+      captionFormat.type
+    );
+
+    showStatus(`Transcript exported as ${captionFormat.label}`, "success");
   } catch (error) {
-    console.error("Error exporting markdown:", error);
-    showStatus("Error exporting meeting: " + error.message, "error");
+    console.error("Error exporting captions:", error);
+    showStatus("Error exporting transcript: " + error.message, "error");
   }
 }
@@ -0,0 +1,280 @@
+/**
+ * Live Transcription
+ * Transcribes a recording while it is in progress. Audio from the recording
+ * stream is captured as 16 kHz PCM and cut into overlapping windows, each
+ * sent to Whisper as soon as it is complete. When the recording stops, the
+ * remaining audio is transcribed and the windows are reconciled into one
+ * transcript.
+ */
+
+import { state, setState } from "./state.js";
+import * as api from "./api.js";
+import { encodeWAV } from "./audio.js";
+
+const SAMPLE_RATE = 16000;
+const WINDOW_SECONDS = 12;
+const OVERLAP_SECONDS = 2;
+const WINDOW_SAMPLES = WINDOW_SECONDS * SAMPLE_RATE;
+const OVERLAP_SAMPLES = OVERLAP_SECONDS * SAMPLE_RATE;
+
+// Less new audio than this at the end is not worth another Whisper run
+const MIN_TAIL_SAMPLES = SAMPLE_RATE / 2;
+
+// Longest run of words repeated across a window boundary that is removed
+const MAX_BOUNDARY_WORDS = 8;
+
+// Whisper's markers for non-speech, e.g. [BLANK_AUDIO] or (music)
+const NON_SPEECH_PATTERN = /^(\[[^\]]*\]|\([^)]*\))$/;
+
+/**
+ * Start transcribing a recording stream
+ * @param {MediaStream} stream - Stream being recorded
+ * @param {Function} onUpdate - Called with the segments transcribed so far
+ */
+export function startLiveTranscription(stream, onUpdate) {
+  const audioContext = new (window.AudioContext || window.webkitAudioContext)({
+    sampleRate: SAMPLE_RATE,
+  });
+  const source = audioContext.createMediaStreamSource(stream);
+  // ScriptProcessorNode is deprecated in favour of AudioWorklet, but runs
+  // on the main thread without a separate module, which is all we need to
+  // copy samples out
+  const processor = audioContext.createScriptProcessor(4096, 1, 1);
+
+  const live = {
+    audioContext,
+    source,
+    processor,
+    onUpdate,
+    chunks: [],
+    bufferedSamples: 0,
+    // Position of the first buffered sample in the recording
+    bufferStartSample: 0,
+    // Buffered samples at the start that were already transcribed
+    transcribedSamples: 0,
+    // Segments starting before this time belong to an earlier window
+    cutMs: 0,
+    segments: [],
+    draining: false,
+    queue: Promise.resolve(),
+    error: null,
+  };
+
+  processor.onaudioprocess = (event) => {
+    // MediaRecorder leaves paused audio out, so capture does the same
+    if (state.isPaused || live.error) {
+      return;
+    }
+
+    live.chunks.push(new Float32Array(event.inputBuffer.getChannelData(0)));
+    live.bufferedSamples += event.inputBuffer.length;
+
+    if (!live.draining && live.bufferedSamples >= WINDOW_SAMPLES) {
+      live.draining = true;
+      live.queue = live.queue.then(() => drain(live, false));
+    }
+  };
+
+  source.connect(processor);
+  // A processor only runs while connected to the output; it outputs silence
+  processor.connect(audioContext.destination);
+
+  setState("liveTranscription", live);
+}
+
+/**
+ * Stop capturing audio. Windows already captured are still transcribed.
+ */
+export function stopLiveTranscription() {
+  const live = state.liveTranscription;
+  if (!live || !live.audioContext) {
+    return;
+  }
+
+  live.processor.onaudioprocess = null;
+  live.source.disconnect();
+  live.processor.disconnect();
+  live.audioContext.close();
+  live.audioContext = null;
+}
+
+/**
+ * Transcribe the rest of the recording and reconcile the windows
+ * @returns {Promise<Object|null>} { success, transcript, segments }, or null
+ *   when there was no live transcription or it failed
+ */
+export async function finishLiveTranscription() {
+  const live = state.liveTranscription;
+  if (!live) {
+    return null;
+  }
+
+  stopLiveTranscription();
+  setState("liveTranscription", null);
+
+  live.queue = live.queue.then(() => drain(live, true));
+  await live.queue;
+
+  if (live.error) {
+    console.warn("Live transcription failed:", live.error);
+    return null;
+  }
+
+  return {
+    success: true,
+    transcript: live.segments.map((segment) => segment.text).join(" "),
+    segments: live.segments,
+  };
+}
+
+/**
+ * Transcribe every complete window, and at the end whatever is left
+ * @param {Object} live - Live transcription session
+ * @param {boolean} final - The recording has stopped
+ */
+async function drain(live, final) {
+  while (!live.error) {
+    if (live.bufferedSamples >= WINDOW_SAMPLES) {
+      await transcribeWindow(live, WINDOW_SAMPLES, false);
+    } else if (
+      final &&
+      live.bufferedSamples - live.transcribedSamples >= MIN_TAIL_SAMPLES
+    ) {
+      await transcribeWindow(live, live.bufferedSamples, true);
+    } else {
+      break;
+    }
+  }
+  live.draining = false;
+}
+
+/**
+ * Transcribe the first samples of the buffer and merge the result. The
+ * overlap at the end of a window stays buffered to start the next one.
+ * @param {Object} live - Live transcription session
+ * @param {number} length - Number of samples to transcribe
+ * @param {boolean} final - This is the last window
+ */
+async function transcribeWindow(live, length, final) {
+  const samples = readSamples(live, length);
+  const offsetMs = Math.round((live.bufferStartSample / SAMPLE_RATE) * 1000);
+  const endMs = offsetMs + Math.round((length / SAMPLE_RATE) * 1000);
+
+  try {
+    const result = await api.transcribeLiveWindow(
+      encodeWAV(samples, SAMPLE_RATE),
+      offsetMs
+    );
+
+    if (!result.success) {
+      live.error = result.error;
+      return;
+    }
+
+    // Overlapping windows both transcribe the overlap; each keeps the
+    // segments that start in its half of it
+    const cutMs = final ? Infinity : endMs - (OVERLAP_SECONDS * 1000) / 2;
+    const owned = result.segments.filter(
+      (segment) =>
+        segment.start_ms >= live.cutMs &&
+        segment.start_ms < cutMs &&
+        !NON_SPEECH_PATTERN.test(segment.text.trim())
+    );
+
+    live.segments = mergeWindowSegments(live.segments, owned);
+    live.cutMs = cutMs;
+    live.onUpdate(live.segments);
+  } catch (error) {
+    live.error = error.message;
+    return;
+  }
+
+  dropSamples(live, final ? length : length - OVERLAP_SAMPLES);
+  live.transcribedSamples = final ? 0 : OVERLAP_SAMPLES;
+}
+
+/**
+ * Append the segments of a window to the transcript so far. A segment cut
+ * at a window boundary tends to be transcribed by both windows, so words
+ * repeated at the join are removed from the later one.
+ * @param {Array<Object>} merged - Segments so far
+ * @param {Array<Object>} incoming - Segments of the next window
+ * @returns {Array<Object>} Merged segments
+ */
+export function mergeWindowSegments(merged, incoming) {
+  if (merged.length === 0 || incoming.length === 0) {
+    return [...merged, ...incoming];
+  }
+
+  const normalize = (word) => word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, "");
+  const lastWords = merged[merged.length - 1].text.split(/\s+/);
+  const firstWords = incoming[0].text.split(/\s+/);
+
+  let repeated = 0;
+  for (
+    let n = Math.min(lastWords.length, firstWords.length, MAX_BOUNDARY_WORDS);
+    n >= 2;
+    n--
+  ) {
+    const tail = lastWords.slice(-n).map(normalize).join(" ");
+    const head = firstWords.slice(0, n).map(normalize).join(" ");
+    if (tail === head) {
+      repeated = n;
+      break;
+    }
+  }
+
+  if (repeated === 0) {
+    return [...merged, ...incoming];
+  }
+
+  const rest = firstWords.slice(repeated).join(" ");
+  return rest
+    ? [...merged, { ...incoming[0], text: rest }, ...incoming.slice(1)]
+    : [...merged, ...incoming.slice(1)];
+}
+
+/**
+ * Copy the first samples of the buffer
+ * @param {Object} live - Live transcription session
+ * @param {number} length - Number of samples
+ * @returns {Float32Array} Samples
+ */
+function readSamples(live, length) {
+  const samples = new Float32Array(length);
+  let offset = 0;
+
+  for (const chunk of live.chunks) {
+    if (offset >= length) {
+      break;
+    }
+    const part = chunk.subarray(0, length - offset);
+    samples.set(part, offset);
+    offset += part.length;
+  }
+
+  return samples;
+}
+
+/**
+ * Remove samples from the start of the buffer
+ * @param {Object} live - Live transcription session
+ * @param {number} length - Number of samples
+ */
+function dropSamples(live, length) {
+  let remaining = length;
+
+  while (remaining > 0 && live.chunks.length > 0) {
+    const chunk = live.chunks[0];
+    if (chunk.length <= remaining) {
+      live.chunks.shift();
+      remaining -= chunk.length;
+    } else {
+      live.chunks[0] = chunk.subarray(remaining);
+      remaining = 0;
+    }
+  }
+
+  live.bufferedSamples -= length;
+  live.bufferStartSample += length;
+}
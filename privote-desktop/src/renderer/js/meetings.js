@@ -5,15 +5,197 @@
 
 import { state } from "./state.js";
 import * as api from "./api.js";
-import { showStatus, showConfirmDialog } from "./ui.js";
-import { exportMeetingAsMarkdown } from "./export.js";
+import {
+  showStatus,
+  showConfirmDialog,
+  escapeHtml,
+  formatDateOnly,
+  formatTimestamp,
+  renderTranscriptSegments,
+} from "./ui.js";
+import {
+  exportMeetingAsMarkdown,
+  exportTranscriptCaptions,
+} from "./export.js";
 
 /**
  * Setup summaries controls
  */
 export function setupSummariesControls() {
   const refreshBtn = document.getElementById("refresh-summaries-btn");
-  refreshBtn.addEventListener("click", loadMeetings);
+  refreshBtn.addEventListener("click", refreshSummaries);
+
+  const searchInput = document.getElementById("meeting-search-input");
+  let searchTimeout = null;
+  searchInput.addEventListener("input", () => {
+    clearTimeout(searchTimeout);
+    searchTimeout = setTimeout(refreshSummaries, 300);
+  });
+}
+
+/**
+ * Reload the summaries list, honoring the current search query
+ */
+export async function refreshSummaries() {
+  const query = document.getElementById("meeting-search-input").value.trim();
+
+  if (query) {
+    await searchMeetings(query);
+  } else {
+    await loadMeetings();
+  }
+}
+
+/**
+ * Search meetings on the Worker and show highlighted matches
+ * @param {string} query - Search query
+ */
+async function searchMeetings(query) {
+  const summariesList = document.getElementById("summaries-list");
+
+  summariesList.innerHTML =
+    '<div class="empty-state"><p>Searching meetings...</p></div>';
+
+  try {
+    const localMatches = await searchLocalMeetings(query);
+
+    if (!state.settings.workerUrl) {
+      summariesList.innerHTML = "";
+      localMatches.forEach((meeting) => {
+        summariesList.appendChild(createMeetingCard(meeting));
+      });
+      if (localMatches.length === 0) {
+        summariesList.innerHTML = `
+          <div class="empty-state">
+            <i data-lucide="search-x" class="empty-icon"></i>
+            <p>No meetings match "${escapeHtml(query)}"</p>
+            <p class="empty-subtitle">Try fewer or different words</p>
+          </div>
+        `;
+      }
+      if (window.lucide) {
+        lucide.createIcons();
+      }
+      return;
+    }
+
+    const result = await api.searchMeetings(query, { limit: 50, offset: 0 });
+
+    if (result.success && result.results.length + localMatches.length > 0) {
+      summariesList.innerHTML = "";
+      localMatches.forEach((meeting) => {
+        summariesList.appendChild(createMeetingCard(meeting));
+      });
+      result.results.forEach((match) => {
+        summariesList.appendChild(createSearchResultCard(match));
+      });
+    } else if (result.success) {
+      summariesList.innerHTML = `
+        <div class="empty-state">
+          <i data-lucide="search-x" class="empty-icon"></i>
+          <p>No meetings match "${escapeHtml(query)}"</p>
+          <p class="empty-subtitle">Try fewer or different words</p>
+        </div>
+      `;
+    } else {
+      summariesList.innerHTML = `
+        <div class="empty-state">
+          <i data-lucide="x-circle" class="empty-icon"></i>
+          <p>Error searching meetings</p>
+          <p class="empty-subtitle">${escapeHtml(result.error)}</p>
+        </div>
+      `;
+    }
+  } catch (error) {
+    console.error("Error searching meetings:", error);
+    summariesList.innerHTML = `
+      <div class="empty-state">
+        <i data-lucide="x-circle" class="empty-icon"></i>
+        <p>Error searching meetings</p>
+        <p class="empty-subtitle">${escapeHtml(error.message)}</p>
+      </div>
+    `;
+  }
+
+  if (window.lucide) {
+    lucide.createIcons();
+  }
+}
+
+/**
+ * Find meetings stored on this device whose title, summary, transcript or
+ * action items contain every word of the query
+ * @param {string} query - Search query
+ * @returns {Promise<Array<Object>>} Matching local meetings
+ */
+async function searchLocalMeetings(query) {
+  const result = await api.searchLocalMeetings(query);
+  if (!result.success) {
+    console.error("Error searching local meetings:", result.error);
+    return [];
+  }
+  return result.meetings;
+}
+
+/**
+ * Escape a highlighted snippet from the Worker, keeping only its <mark> tags
+ * @param {string} snippet - Snippet with <mark> highlights
+ * @returns {string} Safe HTML string
+ */
+function renderHighlight(snippet) {
+  return escapeHtml(snippet).replace(/&lt;(\/?)mark&gt;/g, "<$1mark>");
+}
+
+/**
+ * Create search result card element
+ * @param {Object} match - Search result with highlighted snippets
+ * @returns {HTMLElement} Search result card
+ */
+function createSearchResultCard(match) {
+  const card = document.createElement("div");
+  card.className = "item-card";
+  card.style.cursor = "pointer";
+
+  const labels = {
+    summary: "Summary",
+    action_items: "Action items",
+    transcript: "Transcript",
+  };
+
+  const snippets = Object.entries(labels)
+    .filter(([column]) => match.snippets[column])
+    .map(
+      ([column, label]) => `
+        <div class="search-snippet">
+          <span class="search-snippet-label">${label}</span>${renderHighlight(
+            match.snippets[column]
+          )}
+        </div>
+      `
+    )
+    .join("");
+
+  card.innerHTML = `
+    <div class="item-header">
+      <div>
+        <div class="item-title">${renderHighlight(
+          match.title_highlight || match.title || "Untitled Meeting"
+        )}</div>
+        <div class="item-date"><i data-lucide="calendar" class="inline-icon"></i> ${new Date(
+          match.meeting_date
+        ).toLocaleDateString()} • <i data-lucide="clock" class="inline-icon"></i> ${
+    match.meeting_time || "N/A"
+  }</div>
+      </div>
+    </div>
+    ${snippets}
+  `;
+
+  card.addEventListener("click", async () => {
+    await loadMeetingDetails(match.id);
+  });
+
+  return card;
 }
 
 /**
@@ -24,6 +206,25 @@ export async function loadMeetings() {
   summariesList.innerHTML =
     '<div class="empty-state"><p>Loading meetings...</p></div>';
 
+  const localResult = await api.fetchLocalMeetings();
+  const localMeetings = localResult.success ? localResult.meetings : [];
+  if (!localResult.success) {
+    console.error("Error loading local meetings:", localResult.error);
+  }
+
+  if (!state.settings.workerUrl && localMeetings.length > 0) {
+    summariesList.innerHTML = "";
+    localMeetings.forEach((meeting) => {
+      summariesList.appendChild(createMeetingCard(meeting));
+    });
+
+    if (window.lucide) {
+      lucide.createIcons();
+    }
+
+    return;
+  }
+
   if (!state.settings.workerUrl) {
     summariesList.innerHTML = `
       <div class="empty-state">
@@ -47,10 +248,20 @@ export async function loadMeetings() {
       offset: 0,
     });
 
-    if (result.success && result.meetings.length > 0) {
+    // Meetings summarized on this device are shown even if the Worker fails
+    if (!result.success && localMeetings.length > 0) {
+      showStatus("Error loading Worker meetings: " + result.error, "error");
+    }
+
+    const meetings = [
+      ...localMeetings,
+      ...(result.success ? result.meetings : []),
+    ].sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+    if (meetings.length > 0) {
       summariesList.innerHTML = "";
 
-      result.meetings.forEach((meeting) => {
+      meetings.forEach((meeting) => {
         const card = createMeetingCard(meeting);
         summariesList.appendChild(card);
       });
@@ -121,7 +332,9 @@ function createMeetingCard(meeting) {
   card.innerHTML = `
     <div class="item-header">
       <div>
-        <div class="item-title">${meeting.title || "Untitled Meeting"}</div>
+        <div class="item-title">${escapeHtml(
+          meeting.title || "Untitled Meeting"
+        )}</div>
         <div class="item-date"><i data-lucide="calendar" class="inline-icon"></i> ${meetingDate} • <i data-lucide="clock" class="inline-icon"></i> ${
     meeting.meeting_time || "N/A"
   }</div>
@@ -131,6 +344,11 @@ function createMeetingCard(meeting) {
       }"><i data-lucide="trash-2" class="btn-icon"></i></button>
     </div>
     <div class="item-meta">
+      ${
+        meeting.local
+          ? '<span class="meta-badge local-badge"><i data-lucide="hard-drive" class="inline-icon"></i> On this device</span>'
+          : ""
+      }
       <span class="meta-badge">Created ${new Date(
         meeting.created_at
       ).toLocaleString()}</span>
@@ -138,15 +356,15 @@ function createMeetingCard(meeting) {
   `;
 
   card.addEventListener("click", async (e) => {
-    if (!e.target.classList.contains("delete-meeting-btn")) {
-      await loadMeetingDetails(meeting.id);
+    if (!e.target.closest(".delete-meeting-btn")) {
+      await loadMeetingDetails(meeting.id, { local: meeting.local });
     }
   });
 
   const deleteBtn = card.querySelector(".delete-meeting-btn");
   deleteBtn.addEventListener("click", async (e) => {
     e.stopPropagation();
-    await deleteMeeting(meeting.id);
+    await deleteMeeting(meeting.id, { local: meeting.local });
   });
 
   // Initialize icons for this card
@@ -160,12 +378,16 @@ function createMeetingCard(meeting) {
 /**
  * Load meeting details
  * @param {string} meetingId - Meeting ID
+ * @param {Object} options - Load options
+ * @param {boolean} options.local - The meeting is stored on this device
  */
-async function loadMeetingDetails(meetingId) {
+export async function loadMeetingDetails(meetingId, { local = false } = {}) {
   try {
     showStatus("Loading meeting details...", "success");
 
-    const result = await api.fetchMeeting(meetingId);
+    const result = local
+      ? await api.fetchLocalMeeting(meetingId)
+      : await api.fetchMeeting(meetingId);
 
     if (result.success) {
       viewMeetingDetails(result.meeting);
@@ -186,16 +408,13 @@ export function viewMeetingDetails(meeting) {
   const modal = document.createElement("div");
   modal.className = "modal-overlay";
 
-  const actionItems = meeting.action_items
-    .split("\n")
-    .filter((item) => item.trim())
-    .map((item) => item.replace(/^[•\-*]\s*/, "").trim())
-    .filter((item) => item.length > 0);
+  const actionItems = meeting.action_items || [];
+  const segments = meeting.segments || [];
 
   modal.innerHTML = `
     <div class="modal-content">
       <div class="modal-header">
-        <h2>${meeting.title}</h2>
+        <h2>${escapeHtml(meeting.title)}</h2>
         <button class="modal-close" id="close-modal-btn"><i data-lucide="x"></i></button>
       </div>
       
@@ -210,11 +429,33 @@ export function viewMeetingDetails(meeting) {
           <span><i data-lucide="file-text" class="inline-icon"></i> Created ${new Date(
             meeting.created_at
           ).toLocaleString()}</span>
+          ${
+            meeting.local
+              ? '<span><i data-lucide="hard-drive" class="inline-icon"></i> Summarized and stored on this device</span>'
+              : ""
+          }
         </div>
         
         <div class="meeting-section">
           <h3>Summary</h3>
-          <p class="meeting-summary">${meeting.summary}</p>
+          <p class="meeting-summary" id="meeting-summary-text">${escapeHtml(
+            meeting.summary
+          )}</p>
+          <div class="regenerate-controls" ${
+            meeting.local ? 'style="display: none;"' : ""
+          }>
+            <select id="regenerate-style">
+              <option value="brief">Brief</option>
+              <option value="detailed">Detailed</option>
+              <option value="executive">Executive</option>
+              <option value="bullet_only">Bullet points only</option>
+            </select>
+            <input type="text" id="regenerate-instruction"
+                   placeholder="Optional instruction, e.g. focus on the budget">
+            <button class="btn btn-small" id="regenerate-summary-btn">
+              <i data-lucide="refresh-cw" class="inline-icon"></i> Regenerate
+            </button>
+          </div>
         </div>
         
         <div class="meeting-section">
@@ -222,24 +463,72 @@ export function viewMeetingDetails(meeting) {
           <ul class="action-items-list">
             ${
               actionItems.length > 0
-                ? actionItems.map((item) => `<li>${item}</li>`).join("")
+                ? actionItems.map(renderActionItem).join("")
                 : "<li>No action items identified</li>"
             }
           </ul>
         </div>
         
+        <div class="meeting-section" ${
+          meeting.local ? 'style="display: none;"' : ""
+        }>
+          <h3>Ask About This Meeting</h3>
+          <div class="chat-panel">
+            <div class="chat-messages" id="meeting-chat-messages"></div>
+            <form class="chat-input" id="meeting-chat-form">
+              <input type="text" id="meeting-chat-input"
+                     placeholder="e.g. What did we decide about the pricing tier?">
+              <button type="submit" class="btn btn-primary btn-small" id="meeting-chat-send">
+                Ask
+              </button>
+            </form>
+          </div>
+        </div>
+
         <div class="meeting-section">
           <h3>Transcript</h3>
-          <div class="transcript-box">
-            ${meeting.transcript}
+          <div class="transcript-box${segments.length > 0 ? " timestamped" : ""}">
+            ${
+              segments.length > 0
+                ? renderTranscriptSegments(segments)
+                : escapeHtml(meeting.transcript)
+            }
           </div>
         </div>
       </div>
       
       <div class="modal-footer">
+        ${
+          meeting.local
+            ? ""
+            : `<label class="share-option" title="Show the full transcript on the shared page">
+          <input type="checkbox" id="share-include-transcript">
+          Include transcript
+        </label>
+        <button class="btn btn-secondary" id="copy-share-link-btn">
+          Copy share link
+        </button>`
+        }
+        <button class="btn btn-secondary" id="edit-meeting-btn">
+          Edit
+        </button>
         <button class="btn btn-secondary" id="export-markdown-btn">
           Export as Markdown
         </button>
+        ${
+          segments.length > 0
+            ? `<div class="caption-export">
+          <select id="meeting-export-format">
+            <option value="srt">SRT</option>
+            <option value="vtt">WebVTT</option>
+            <option value="txt">Timestamped text</option>
+          </select>
+          <button class="btn btn-secondary" id="export-captions-btn">
+            Export transcript
+          </button>
+        </div>`
+            : ""
+        }
         <button class="btn btn-secondary" id="close-modal-footer-btn">
           Close
         </button>
@@ -252,11 +541,32 @@ export function viewMeetingDetails(meeting) {
   const closeBtn = document.getElementById("close-modal-btn");
   const closeFooterBtn = document.getElementById("close-modal-footer-btn");
   const exportBtn = document.getElementById("export-markdown-btn");
+  const editBtn = document.getElementById("edit-meeting-btn");
 
   closeBtn.addEventListener("click", () => {
     modal.remove();
   });
 
+  editBtn.addEventListener("click", () => {
+    showMeetingEditor(modal, meeting);
+  });
+
+  // Local meetings never go to the Worker, so it cannot answer questions
+  // about them, regenerate them or share them
+  if (!meeting.local) {
+    setupMeetingChat(meeting);
+
+    const regenerateBtn = document.getElementById("regenerate-summary-btn");
+    regenerateBtn.addEventListener("click", async () => {
+      await regenerateMeetingSummary(meeting, regenerateBtn);
+    });
+
+    const shareBtn = document.getElementById("copy-share-link-btn");
+    shareBtn.addEventListener("click", async () => {
+      await copyShareLink(meeting, shareBtn);
+    });
+  }
+
   closeFooterBtn.addEventListener("click", () => {
     modal.remove();
   });
@@ -265,6 +575,17 @@ export function viewMeetingDetails(meeting) {
     exportMeetingAsMarkdown(meeting);
   });
 
+  if (segments.length > 0) {
+    document
+      .getElementById("export-captions-btn")
+      .addEventListener("click", () => {
+        exportTranscriptCaptions(
+          { segments, title: `${meeting.title}_${meeting.meeting_date}` },
+          document.getElementById("meeting-export-format").value
+        );
+      });
+  }
+
   modal.addEventListener("click", (e) => {
     if (e.target === modal) {
       modal.remove();
@@ -277,22 +598,460 @@ export function viewMeetingDetails(meeting) {
   }
 }
 
+/**
+ * Setup the Q&A chat panel of the meeting details modal. The conversation is
+ * kept per meeting for the rest of the session.
+ * @param {Object} meeting - Meeting object
+ */
+function setupMeetingChat(meeting) {
+  if (!state.meetingConversations[meeting.id]) {
+    state.meetingConversations[meeting.id] = [];
+  }
+  const conversation = state.meetingConversations[meeting.id];
+
+  const messagesEl = document.getElementById("meeting-chat-messages");
+  const form = document.getElementById("meeting-chat-form");
+  const input = document.getElementById("meeting-chat-input");
+  const sendBtn = document.getElementById("meeting-chat-send");
+
+  const render = () => {
+    messagesEl.innerHTML =
+      conversation.length > 0
+        ? conversation.map(renderChatMessage).join("")
+        : '<p class="chat-empty">Ask a question and the answer will cite the transcript.</p>';
+    messagesEl.scrollTop = messagesEl.scrollHeight;
+  };
+
+  render();
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+
+    const question = input.value.trim();
+    if (!question) {
+      return;
+    }
+
+    // Failed answers, and the questions they answered, are left out
+    const history = conversation
+      .filter((message) => !message.error && !message.unanswered)
+      .map(({ role, content }) => ({ role, content }));
+
+    const asked = { role: "user", content: question };
+    conversation.push(asked);
+    conversation.push({ role: "assistant", content: "Thinking...", pending: true });
+    input.value = "";
+    input.disabled = true;
+    sendBtn.disabled = true;
+    render();
+
+    const pending = conversation[conversation.length - 1];
+
+    try {
+      const result = await api.askMeeting(meeting.id, question, history);
+
+      if (result.success) {
+        Object.assign(pending, {
+          content: result.answer,
+          citations: result.citations,
+          pending: false,
+        });
+      } else {
+        Object.assign(pending, {
+          content: "Error: " + result.error,
+          pending: false,
+          error: true,
+        });
+        asked.unanswered = true;
+      }
+    } catch (error) {
+      console.error("Error asking about meeting:", error);
+      Object.assign(pending, {
+        content: "Error: " + error.message,
+        pending: false,
+        error: true,
+      });
+      asked.unanswered = true;
+    }
+
+    input.disabled = false;
+    sendBtn.disabled = false;
+    input.focus();
+    render();
+  });
+}
+
+/**
+ * Render a chat message with its cited transcript passages
+ * @param {Object} message - Chat message
+ * @returns {string} HTML string
+ */
+function renderChatMessage(message) {
+  const citations = (message.citations || [])
+    .map(
+      (citation) => `
+        <details class="chat-citation">
+          <summary>Passage ${citation.passage}</summary>
+          <p>${escapeHtml(citation.text)}</p>
+        </details>
+      `
+    )
+    .join("");
+
+  return `
+    <div class="chat-message ${message.role}${message.pending ? " pending" : ""}${
+    message.error ? " error" : ""
+  }">
+      <div class="chat-bubble">${escapeHtml(message.content)}</div>
+      ${citations}
+    </div>
+  `;
+}
+
+/**
+ * Regenerate the summary shown in the meeting details modal
+ * @param {Object} meeting - Meeting object, updated in place on success
+ * @param {HTMLButtonElement} button - Regenerate button
+ */
+async function regenerateMeetingSummary(meeting, button) {
+  const style = document.getElementById("regenerate-style").value;
+  const instruction = document
+    .getElementById("regenerate-instruction")
+    .value.trim();
+
+  button.disabled = true;
+  showStatus("Regenerating summary...", "info", true);
+
+  try {
+    const result = await api.regenerateSummary(meeting.id, {
+      style,
+      instruction: instruction || undefined,
+    });
+
+    if (result.success) {
+      meeting.summary = result.meeting.summary;
+      meeting.updated_at = result.meeting.updated_at;
+      document.getElementById("meeting-summary-text").textContent =
+        meeting.summary;
+      showStatus("Summary regenerated", "success");
+    } else {
+      showStatus("Error regenerating summary: " + result.error, "error");
+    }
+  } catch (error) {
+    console.error("Error regenerating summary:", error);
+    showStatus("Error regenerating summary", "error");
+  } finally {
+    button.disabled = false;
+  }
+}
+
+/**
+ * Create a read-only share link for the meeting and copy it to the clipboard
+ * @param {Object} meeting - Meeting object
+ * @param {HTMLButtonElement} button - Share button to disable while working
+ */
+async function copyShareLink(meeting, button) {
+  const includeTranscript = document.getElementById(
+    "share-include-transcript"
+  ).checked;
+
+  button.disabled = true;
+
+  try {
+    const result = await api.createShareLink(meeting.id, {
+      include_transcript: includeTranscript,
+    });
+
+    if (result.success) {
+      await navigator.clipboard.writeText(result.url);
+      showStatus(
+        `Share link copied. It expires on ${new Date(
+          result.share.expires_at
+        ).toLocaleDateString()}.`,
+        "success"
+      );
+    } else {
+      showStatus("Error creating share link: " + result.error, "error");
+    }
+  } catch (error) {
+    console.error("Error creating share link:", error);
+    showStatus("Error creating share link", "error");
+  } finally {
+    button.disabled = false;
+  }
+}
+
+/**
+ * Switch the meeting details modal into edit mode
+ * @param {HTMLElement} modal - Modal overlay element
+ * @param {Object} meeting - Meeting object
+ */
+function showMeetingEditor(modal, meeting) {
+  const content = modal.querySelector(".modal-content");
+  const actionItems = meeting.action_items || [];
+
+  content.innerHTML = `
+    <div class="modal-header">
+      <h2>Edit Meeting</h2>
+      <button class="modal-close" id="cancel-edit-x-btn"><i data-lucide="x"></i></button>
+    </div>
+
+    <div class="modal-body">
+      <div class="form-group">
+        <label for="edit-meeting-title">Title</label>
+        <input type="text" id="edit-meeting-title" value="${escapeHtml(
+          meeting.title
+        )}">
+      </div>
+
+      <div class="form-row">
+        <div class="form-group">
+          <label for="edit-meeting-date">Date</label>
+          <input type="date" id="edit-meeting-date" value="${escapeHtml(
+            meeting.meeting_date
+          )}">
+        </div>
+        <div class="form-group">
+          <label for="edit-meeting-time">Time</label>
+          <input type="time" step="1" id="edit-meeting-time" value="${escapeHtml(
+            meeting.meeting_time
+          )}">
+        </div>
+      </div>
+
+      <div class="form-group">
+        <label for="edit-meeting-summary">Summary</label>
+        <textarea id="edit-meeting-summary" rows="8">${escapeHtml(
+          meeting.summary
+        )}</textarea>
+      </div>
+
+      <div class="form-group">
+        <label>Action Items</label>
+        <div id="edit-action-items" class="action-item-editor">
+          ${actionItems.map(renderActionItemEditorRow).join("")}
+        </div>
+        <button class="btn btn-small" id="add-action-item-btn">
+          <i data-lucide="plus" class="inline-icon"></i> Add action item
+        </button>
+      </div>
+
+      <div class="form-group">
+        <label for="edit-meeting-transcript">Transcript</label>
+        <textarea id="edit-meeting-transcript" rows="10">${escapeHtml(
+          meeting.transcript
+        )}</textarea>
+      </div>
+    </div>
+
+    <div class="modal-footer">
+      <button class="btn btn-secondary" id="cancel-edit-btn">Cancel</button>
+      <button class="btn btn-primary" id="save-meeting-btn">Save Changes</button>
+    </div>
+  `;
+
+  const itemsContainer = document.getElementById("edit-action-items");
+  const backToDetails = () => {
+    modal.remove();
+    viewMeetingDetails(meeting);
+  };
+
+  document
+    .getElementById("cancel-edit-x-btn")
+    .addEventListener("click", backToDetails);
+  document
+    .getElementById("cancel-edit-btn")
+    .addEventListener("click", backToDetails);
+
+  document.getElementById("add-action-item-btn").addEventListener("click", () => {
+    itemsContainer.insertAdjacentHTML(
+      "beforeend",
+      renderActionItemEditorRow({ text: "", status: "open" })
+    );
+    if (window.lucide) {
+      lucide.createIcons();
+    }
+  });
+
+  itemsContainer.addEventListener("click", (e) => {
+    const removeBtn = e.target.closest(".remove-action-item-btn");
+    if (removeBtn) {
+      removeBtn.closest(".action-item-editor-row").remove();
+    }
+  });
+
+  document
+    .getElementById("save-meeting-btn")
+    .addEventListener("click", async (e) => {
+      const saveBtn = e.currentTarget;
+      saveBtn.disabled = true;
+
+      try {
+        const updates = {
+          title: document.getElementById("edit-meeting-title").value.trim(),
+          meeting_date: document.getElementById("edit-meeting-date").value,
+          meeting_time: document.getElementById("edit-meeting-time").value,
+          summary: document.getElementById("edit-meeting-summary").value.trim(),
+          transcript: document
+            .getElementById("edit-meeting-transcript")
+            .value.trim(),
+          action_items: readActionItemEditorRows(itemsContainer),
+        };
+
+        const result = meeting.local
+          ? await api.updateLocalMeeting(meeting.id, updates)
+          : await api.updateMeeting(meeting.id, updates);
+
+        if (result.success) {
+          showStatus("Meeting updated successfully", "success");
+          modal.remove();
+          viewMeetingDetails(result.meeting);
+
+          if (
+            document.getElementById("summaries-view").classList.contains("active")
+          ) {
+            await refreshSummaries();
+          }
+        } else {
+          showStatus("Error updating meeting: " + result.error, "error");
+          saveBtn.disabled = false;
+        }
+      } catch (error) {
+        console.error("Error updating meeting:", error);
+        showStatus("Error updating meeting", "error");
+        saveBtn.disabled = false;
+      }
+    });
+
+  if (window.lucide) {
+    lucide.createIcons();
+  }
+}
+
+/**
+ * Render an editable action item row
+ * @param {Object} item - Action item object
+ * @returns {string} HTML string
+ */
+function renderActionItemEditorRow(item) {
+  const status = item.status || "open";
+
+  return `
+    <div class="action-item-editor-row" data-id="${escapeHtml(item.id || "")}"
+         data-source-quote="${escapeHtml(item.source_quote || "")}"
+         data-source-start-ms="${item.source_start_ms ?? ""}">
+      <input type="text" class="edit-item-text" placeholder="Action item"
+             value="${escapeHtml(item.text)}">
+      <input type="text" class="edit-item-assignee" placeholder="Owner"
+             value="${escapeHtml(item.assignee || "")}">
+      <input type="date" class="edit-item-due" value="${escapeHtml(
+        item.due_date || ""
+      )}">
+      <select class="edit-item-status">
+        <option value="open"${status === "open" ? " selected" : ""}>Open</option>
+        <option value="done"${status === "done" ? " selected" : ""}>Done</option>
+        <option value="dropped"${
+          status === "dropped" ? " selected" : ""
+        }>Dropped</option>
+      </select>
+      <button class="btn-small remove-action-item-btn" title="Remove">
+        <i data-lucide="x" class="btn-icon"></i>
+      </button>
+    </div>
+  `;
+}
+
+/**
+ * Read action items back from the editor rows, skipping empty rows
+ * @param {HTMLElement} container - Editor container
+ * @returns {Array<Object>} Action items for the update request
+ */
+function readActionItemEditorRows(container) {
+  return Array.from(container.querySelectorAll(".action-item-editor-row"))
+    .map((row) => ({
+      id: row.dataset.id || undefined,
+      text: row.querySelector(".edit-item-text").value.trim(),
+      assignee: row.querySelector(".edit-item-assignee").value.trim() || null,
+      due_date: row.querySelector(".edit-item-due").value || null,
+      status: row.querySelector(".edit-item-status").value,
+      source_quote: row.dataset.sourceQuote || null,
+      source_start_ms:
+        row.dataset.sourceStartMs !== ""
+          ? Number(row.dataset.sourceStartMs)
+          : null,
+    }))
+    .filter((item) => item.text.length > 0);
+}
+
+/**
+ * Render a single action item for the meeting details modal
+ * @param {Object} item - Action item object
+ * @returns {string} HTML string
+ */
+function renderActionItem(item) {
+  const meta = [];
+  if (item.assignee) {
+    meta.push(
+      `<span><i data-lucide="user" class="inline-icon"></i> ${escapeHtml(
+        item.assignee
+      )}</span>`
+    );
+  }
+  if (item.due_date) {
+    meta.push(
+      `<span><i data-lucide="calendar-clock" class="inline-icon"></i> Due ${formatDateOnly(
+        item.due_date
+      )}</span>`
+    );
+  }
+  if (item.source_start_ms !== null && item.source_start_ms !== undefined) {
+    meta.push(
+      `<span title="When this was said in the recording"><i data-lucide="clock" class="inline-icon"></i> At ${formatTimestamp(
+        item.source_start_ms
+      )}</span>`
+    );
+  }
+  if (item.status && item.status !== "open") {
+    meta.push(
+      `<span class="action-item-status ${item.status}">${item.status}</span>`
+    );
+  }
+
+  return `
+    <li class="action-item ${item.status || "open"}">
+      <div class="action-item-text">${escapeHtml(item.text)}</div>
+      ${meta.length > 0 ? `<div class="action-item-meta">${meta.join("")}</div>` : ""}
+      ${
+        item.source_quote
+          ? `<blockquote class="action-item-quote">${escapeHtml(
+              item.source_quote
+            )}</blockquote>`
+          : ""
+      }
+    </li>
+  `;
+}
+
 /**
  * Delete meeting
  * @param {string} meetingId - Meeting ID
+ * @param {Object} options - Delete options
+ * @param {boolean} options.local - The meeting is stored on this device
  */
-async function deleteMeeting(meetingId) {
+async function deleteMeeting(meetingId, { local = false } = {}) {
   showConfirmDialog(
     "Are you sure you want to delete this meeting? This cannot be undone.",
     async () => {
       try {
         showStatus("Deleting meeting...", "success");
 
-        const result = await api.deleteMeeting(meetingId);
+        const result = local
+          ? await api.deleteLocalMeeting(meetingId)
+          : await api.deleteMeeting(meetingId);
 
         if (result.success) {
           showStatus("Meeting deleted successfully", "success");
-          await loadMeetings();
+          await refreshSummaries();
         } else {
           showStatus("Error deleting meeting: " + result.error, "error");
         }
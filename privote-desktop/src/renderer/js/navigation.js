@@ -3,7 +3,8 @@
  * Handles view switching and navigation logic
  */
 
-import { loadMeetings } from "./meetings.js";
+import { refreshSummaries } from "./meetings.js";
+import { loadActionItems } from "./action-items.js";
 import { loadRecordings } from "./recordings.js";
 import { updateCurrentModelIndicator } from "./recording.js";
 
@@ -25,7 +26,9 @@ export function setupNavigation() {
       document.getElementById(`${viewId}-view`).classList.add("active");
 
       if (viewId === "summaries") {
-        loadMeetings();
+        refreshSummaries();
+      } else if (viewId === "action-items") {
+        loadActionItems();
       } else if (viewId === "recordings") {
         loadRecordings();
       } else if (viewId === "record") {
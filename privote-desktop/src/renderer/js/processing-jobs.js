@@ -0,0 +1,161 @@
+/**
+ * Processing Jobs
+ * Tracks transcripts the Worker is processing in the background and shows
+ * their progress in the Summaries view
+ */
+
+import { state } from "./state.js";
+import * as api from "./api.js";
+import { escapeHtml } from "./ui.js";
+import { refreshSummaries } from "./meetings.js";
+
+const POLL_INTERVAL_MS = 2000;
+const MAX_POLL_FAILURES = 5;
+
+const STAGE_LABELS = {
+  queued: "Waiting to start",
+  summarizing: "Summarizing transcript",
+  saving: "Saving meeting",
+  indexing: "Indexing for search",
+  done: "Done",
+};
+
+/**
+ * Track a processing job until it completes or fails
+ * @param {Object} job - Job returned by the upload
+ * @param {string} title - Meeting title shown while processing
+ * @returns {Promise<Object>} The finished job
+ */
+export async function trackProcessingJob(job, title) {
+  state.processingJobs[job.id] = { ...job, title };
+  renderProcessingJobs();
+
+  const finished = await pollJob(job.id);
+
+  if (finished.status === "completed") {
+    delete state.processingJobs[job.id];
+    renderProcessingJobs();
+
+    if (document.getElementById("summaries-view").classList.contains("active")) {
+      await refreshSummaries();
+    }
+  }
+
+  return finished;
+}
+
+/**
+ * Poll the Worker for a job until it leaves the queued/processing states
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} The finished job
+ */
+async function pollJob(jobId) {
+  let failures = 0;
+
+  for (;;) {
+    await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL_MS));
+
+    let result;
+    try {
+      result = await api.getJob(jobId);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    if (!result.success) {
+      console.error("Error polling job:", result.error);
+      if (++failures >= MAX_POLL_FAILURES) {
+        return updateTrackedJob(jobId, {
+          status: "failed",
+          error: `Lost track of processing: ${result.error}`,
+        });
+      }
+      continue;
+    }
+
+    failures = 0;
+    const job = updateTrackedJob(jobId, result.job);
+
+    if (job.status === "completed" || job.status === "failed") {
+      return job;
+    }
+  }
+}
+
+/**
+ * Merge changes into a tracked job and re-render the list
+ * @param {string} jobId - Job ID
+ * @param {Object} changes - Updated job fields
+ * @returns {Object} Updated job
+ */
+function updateTrackedJob(jobId, changes) {
+  const job = { ...state.processingJobs[jobId], ...changes };
+  state.processingJobs[jobId] = job;
+  renderProcessingJobs();
+  return job;
+}
+
+/**
+ * Render the jobs that are still processing or have failed
+ */
+function renderProcessingJobs() {
+  const container = document.getElementById("processing-jobs");
+  const jobs = Object.values(state.processingJobs);
+
+  container.innerHTML = "";
+  container.style.display = jobs.length > 0 ? "flex" : "none";
+
+  jobs.forEach((job) => {
+    container.appendChild(createProcessingJobCard(job));
+  });
+
+  if (window.lucide) {
+    lucide.createIcons();
+  }
+}
+
+/**
+ * Create processing job card element
+ * @param {Object} job - Tracked job
+ * @returns {HTMLElement} Job card
+ */
+function createProcessingJobCard(job) {
+  const card = document.createElement("div");
+  const failed = job.status === "failed";
+  card.className = `processing-job${failed ? " failed" : ""}`;
+
+  card.innerHTML = `
+    <div class="processing-job-header">
+      <span class="processing-job-title">
+        <i data-lucide="${failed ? "x-circle" : "loader"}" class="inline-icon"></i>
+        ${escapeHtml(job.title || "Untitled Meeting")}
+      </span>
+      <span class="processing-job-stage">
+        ${
+          failed
+            ? "Processing failed"
+            : `${escapeHtml(STAGE_LABELS[job.stage] || job.stage)} • ${
+                job.progress
+              }%`
+        }
+      </span>
+    </div>
+    ${
+      failed
+        ? `<p class="processing-job-error">${escapeHtml(
+            job.error || "Unknown error"
+          )}</p>
+          <button class="btn btn-secondary btn-small dismiss-job-btn">Dismiss</button>`
+        : `<div class="progress-bar"><div class="progress-fill" style="width: ${job.progress}%"></div></div>`
+    }
+  `;
+
+  if (failed) {
+    card.querySelector(".dismiss-job-btn").addEventListener("click", () => {
+      delete state.processingJobs[job.id];
+      renderProcessingJobs();
+    });
+  }
+
+  return card;
+}
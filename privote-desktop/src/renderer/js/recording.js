@@ -7,14 +7,13 @@ import { state, setState } from "./state.js";
 import * as api from "./api.js";
 import {
   showStatus,
-  disableRecordingControls,
-  enableRecordingControls,
   disableUploadButton,
   enableUploadButton,
   showConfirmDialog,
+  formatTimestamp,
+  displayTranscript,
 } from "./ui.js";
 import {
-  convertToWav,
   setupAudioVisualization,
   startTimer,
   stopTimer,
@@ -22,6 +21,15 @@ import {
   resumeTimer,
 } from "./audio.js";
 import { processRecording } from "./transcription.js";
+import { queueTranscription } from "./transcription-jobs.js";
+import { exportTranscriptCaptions } from "./export.js";
+import {
+  startLiveTranscription,
+  stopLiveTranscription,
+} from "./live-transcription.js";
+
+// MediaRecorder hands over a chunk this often, to be written to disk
+const RECORDING_TIMESLICE_MS = 1000;
 
 /**
  * Update the current model indicator in the UI
@@ -74,6 +82,7 @@ export function setupRecordingControls() {
   const uploadTranscriptBtn = document.getElementById("upload-transcript-btn");
   const saveTranscriptBtn = document.getElementById("save-transcript-btn");
   const copyTranscriptBtn = document.getElementById("copy-transcript-btn");
+  const exportTranscriptBtn = document.getElementById("export-transcript-btn");
 
   recordBtn.addEventListener("click", handleRecordToggle);
   pauseBtn.addEventListener("click", handlePauseToggle);
@@ -81,6 +90,7 @@ export function setupRecordingControls() {
   uploadTranscriptBtn.addEventListener("click", handleUploadTranscript);
   saveTranscriptBtn.addEventListener("click", handleSaveTranscript);
   copyTranscriptBtn.addEventListener("click", handleCopyTranscript);
+  exportTranscriptBtn.addEventListener("click", handleExportTranscript);
 }
 
 /**
@@ -148,21 +158,59 @@ async function startRecording() {
       mimeType = "audio/webm;codecs=opus";
     }
 
+    // The recording is streamed to a file in the main process as it goes,
+    // rather than kept in memory until it stops
+    const recordingFile = await api.beginRecordingFile(mimeType);
+    if (!recordingFile.success) {
+      stream.getTracks().forEach((track) => track.stop());
+      throw new Error(
+        "Could not create the recording file: " + recordingFile.error
+      );
+    }
+
     state.mediaRecorder = new MediaRecorder(stream, { mimeType });
-    state.audioChunks = [];
+
+    // Chunks are written one at a time, in the order they were recorded
+    let writes = Promise.resolve();
+    let writeError = null;
 
     state.mediaRecorder.ondataavailable = (event) => {
-      state.audioChunks.push(event.data);
+      if (event.data.size === 0) {
+        return;
+      }
+      writes = writes.then(async () => {
+        if (writeError) {
+          return;
+        }
+        const result = await api.appendRecordingChunk(
+          recordingFile.id,
+          await event.data.arrayBuffer()
+        );
+        if (!result.success) {
+          writeError = result.error;
+          showStatus("Failed to save recording: " + result.error, "error");
+        }
+      });
     };
 
     state.mediaRecorder.onstop = async () => {
-      const audioBlob = new Blob(state.audioChunks, { type: mimeType });
-      const wavBlob = await convertToWav(audioBlob, stream);
-      await processRecording(wavBlob);
       stream.getTracks().forEach((track) => track.stop());
+      await writes;
+      await processRecording(recordingFile.id);
     };
 
-    state.mediaRecorder.start();
+    state.mediaRecorder.start(RECORDING_TIMESLICE_MS);
+
+    if (state.settings.liveTranscription) {
+      displayTranscript("The transcript will appear here as you talk...");
+      startLiveTranscription(stream, (segments) => {
+        displayTranscript(
+          segments.map((segment) => segment.text).join(" "),
+          segments
+        );
+      });
+    }
+
     setState("isRecording", true);
     setState("isPaused", false);
     setState("recordingStartTime", Date.now());
@@ -277,6 +325,7 @@ async function stopRecording() {
       state.mediaRecorder.resume();
     }
 
+    stopLiveTranscription();
     state.mediaRecorder.stop();
     setState("isRecording", false);
     setState("isPaused", false);
@@ -314,30 +363,14 @@ async function handleUploadAudio() {
     const result = await api.loadAudioFile();
 
     if (result.success && !result.canceled) {
-      disableRecordingControls();
-      showStatus("Transcribing uploaded audio...", "success", true);
-
-      const transcriptResult = await api.transcribeAudio(result.filepath);
-
-      if (transcriptResult.success) {
-        setState("currentTranscript", {
-          text: transcriptResult.transcript,
-          filepath: result.filepath,
-          timestamp: new Date().toISOString(),
-        });
-
-        const { displayTranscript } = await import("./ui.js");
-        displayTranscript(transcriptResult.transcript);
-        showStatus("Transcription complete!", "success");
-      } else {
-        showStatus("Transcription failed: " + transcriptResult.error, "error");
+      const job = await queueTranscription(result.filepath);
+      if (job) {
+        showStatus("Audio queued for transcription.", "success");
       }
-      enableRecordingControls();
     }
   } catch (error) {
     console.error("Error uploading audio:", error);
     showStatus("Error uploading audio", "error");
-    enableRecordingControls();
   }
 }
 
@@ -371,12 +404,41 @@ function handleSaveTranscript() {
   showStatus("Transcript saved locally", "success");
 }
 
+/**
+ * Handle export of the current transcript as captions
+ */
+function handleExportTranscript() {
+  if (!state.currentTranscript) {
+    showStatus("No transcript to export", "error");
+    return;
+  }
+
+  exportTranscriptCaptions(
+    {
+      ...state.currentTranscript,
+      title: `transcript ${(
+        state.currentTranscript.timestamp || new Date().toISOString()
+      ).split("T")[0]}`,
+    },
+    document.getElementById("transcript-export-format").value
+  );
+}
+
 /**
  * Handle copy transcript to clipboard
  */
 function handleCopyTranscript() {
   const transcriptContent = document.getElementById("transcript-content");
-  const text = transcriptContent.textContent;
+  const segments = state.currentTranscript?.segments || [];
+  const text =
+    segments.length > 0
+      ? segments
+          .map(
+            (segment) =>
+              `[${formatTimestamp(segment.start_ms)}] ${segment.text}`
+          )
+          .join("\n")
+      : transcriptContent.textContent;
 
   navigator.clipboard
     .writeText(text)
@@ -4,7 +4,11 @@
  */
 
 import * as api from "./api.js";
-import { showStatus, showConfirmDialog } from "./ui.js";
+import {
+  showStatus,
+  showConfirmDialog,
+  showRecoveryDialog,
+} from "./ui.js";
 
 /**
  * Setup recordings view controls
@@ -16,6 +20,104 @@ export function setupRecordingsView() {
   }
 }
 
+/**
+ * Offer to recover recordings that never finished, e.g. because the app
+ * crashed while recording
+ */
+export async function offerRecordingRecovery() {
+  const result = await api.listUnfinishedRecordings();
+  if (!result.success) {
+    console.error("Error checking for unfinished recordings:", result.error);
+    return;
+  }
+  if (result.recordings.length === 0) {
+    return;
+  }
+
+  showRecoveryDialog(result.recordings, async (choice) => {
+    if (choice === "discard") {
+      showConfirmDialog(
+        "Delete the unfinished recordings? This cannot be undone.",
+        () => discardRecordings(result.recordings)
+      );
+    } else if (choice === "recover") {
+      await recoverRecordings(result.recordings);
+    }
+  });
+}
+
+/**
+ * @param {Array<Object>} recordings - Unfinished recordings
+ */
+async function recoverRecordings(recordings) {
+  try {
+    showStatus("Recovering recordings...", "info", true);
+
+    const { ensureWavRecording } = await import("./transcription.js");
+    const failures = [];
+
+    for (const recording of recordings) {
+      const recovered = await api.recoverRecording(recording.id);
+      const saved = await ensureWavRecording(recovered);
+
+      if (saved.success && saved.converted) {
+        // Converted here rather than by ffmpeg, so the journal is still there
+        if (!recovered.converted) {
+          await api.discardRecording(recording.id);
+        }
+        continue;
+      }
+
+      // The unconverted copy is dropped and the unfinished recording kept,
+      // to try again on the next launch
+      if (recovered.success && !recovered.converted) {
+        await api.deleteRecording(recovered.filepath);
+      }
+      failures.push(
+        saved.success
+          ? "it could not be converted to WAV. Set up ffmpeg in Settings and restart Privote to try again."
+          : saved.error
+      );
+    }
+
+    if (failures.length > 0) {
+      showStatus("Failed to recover recording: " + failures[0], "error");
+    } else {
+      showStatus(
+        "Recovered to Recordings. Transcribe it from there.",
+        "success"
+      );
+    }
+
+    const recordingsView = document.getElementById("recordings-view");
+    if (recordingsView.classList.contains("active")) {
+      await loadRecordings();
+    }
+  } catch (error) {
+    console.error("Error recovering recordings:", error);
+    showStatus("Error recovering recordings", "error");
+  }
+}
+
+/**
+ * @param {Array<Object>} recordings - Unfinished recordings
+ */
+async function discardRecordings(recordings) {
+  try {
+    for (const recording of recordings) {
+      const result = await api.discardRecording(recording.id);
+      if (!result.success) {
+        showStatus("Failed to discard recording: " + result.error, "error");
+        return;
+      }
+    }
+    showStatus("Unfinished recordings discarded", "info");
+  } catch (error) {
+    console.error("Error discarding recordings:", error);
+    showStatus("Error discarding recordings", "error");
+  }
+}
+
 /**
  * Load and display recordings
  */
@@ -177,49 +279,29 @@ async function handleDeleteRecording(recording) {
  */
 async function handleTranscribeRecording(recording) {
   try {
-    showStatus("Starting transcription...", "info", true);
-
-    const { disableRecordingControls, enableRecordingControls } = await import(
-      "./ui.js"
-    );
-    disableRecordingControls();
-
-    const result = await api.transcribeAudio(recording.filepath);
-
-    if (result.success) {
-      const { setState } = await import("./state.js");
-      setState("currentTranscript", {
-        text: result.transcript,
-        filepath: recording.filepath,
-        timestamp: new Date().toISOString(),
-      });
-
-      const { displayTranscript } = await import("./ui.js");
-      displayTranscript(result.transcript);
+    const { queueTranscription } = await import("./transcription-jobs.js");
+    const job = await queueTranscription(recording.filepath, recording.filename);
 
-      showStatus("Transcription complete!", "success");
+    if (!job) {
+      return;
+    }
 
-      const navItems = document.querySelectorAll(".nav-item");
-      const views = document.querySelectorAll(".view");
+    // The jobs panel is in the Record view
+    const navItems = document.querySelectorAll(".nav-item");
+    const views = document.querySelectorAll(".view");
 
-      navItems.forEach((nav) => nav.classList.remove("active"));
-      document
-        .querySelector('.nav-item[data-view="record"]')
-        .classList.add("active");
+    navItems.forEach((nav) => nav.classList.remove("active"));
+    document
+      .querySelector('.nav-item[data-view="record"]')
+      .classList.add("active");
 
-      views.forEach((view) => view.classList.remove("active"));
-      document.getElementById("record-view").classList.add("active");
-    } else {
-      showStatus("Transcription failed: " + result.error, "error");
-    }
+    views.forEach((view) => view.classList.remove("active"));
+    document.getElementById("record-view").classList.add("active");
 
-    enableRecordingControls();
+    showStatus("Recording queued for transcription.", "success");
   } catch (error) {
     console.error("Error transcribing recording:", error);
     showStatus("Error transcribing recording", "error");
-
-    const { enableRecordingControls } = await import("./ui.js");
-    enableRecordingControls();
   }
 }
 
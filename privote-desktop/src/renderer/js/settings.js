@@ -15,10 +15,39 @@ export function setupSettingsControls() {
   const saveBtn = document.getElementById("save-settings-btn");
   const resetBtn = document.getElementById("reset-settings-btn");
   const downloadBtn = document.getElementById("download-model-btn");
+  const refreshWorkspacesBtn = document.getElementById(
+    "refresh-workspaces-btn"
+  );
 
   saveBtn.addEventListener("click", saveSettings);
   resetBtn.addEventListener("click", resetSettings);
   downloadBtn.addEventListener("click", downloadModel);
+  refreshWorkspacesBtn.addEventListener("click", () =>
+    updateWorkspaceOptions(true)
+  );
+
+  document
+    .getElementById("summarization-mode")
+    .addEventListener("change", updateLocalLLMFields);
+  document
+    .getElementById("local-llm-mode")
+    .addEventListener("change", updateLocalLLMFields);
+}
+
+/**
+ * Show only the local model fields that apply to the chosen modes
+ */
+function updateLocalLLMFields() {
+  const local = document.getElementById("summarization-mode").value === "local";
+  const mode = document.getElementById("local-llm-mode").value;
+
+  document.getElementById("local-llm-settings").style.display = local
+    ? "block"
+    : "none";
+  document.getElementById("local-llm-server-settings").style.display =
+    mode === "server" ? "block" : "none";
+  document.getElementById("local-llm-binary-settings").style.display =
+    mode === "binary" ? "block" : "none";
 }
 
 /**
@@ -31,10 +60,88 @@ export function updateSettingsUI() {
     state.settings.autoUpload !== false;
   document.getElementById("keep-local").checked =
     state.settings.keepLocalCopies !== false;
+  document.getElementById("redact-pii").checked =
+    state.settings.redactPii !== false;
+  document.getElementById("redact-terms").value = (
+    state.settings.redactTerms || []
+  ).join("\n");
   document.getElementById("whisper-model").value =
     state.settings.whisperModel || "ggml-base.en.bin";
+  document.getElementById("live-transcription").checked =
+    state.settings.liveTranscription === true;
+  document.getElementById("transcription-concurrency").value = String(
+    state.settings.transcriptionConcurrency || 1
+  );
+  document.getElementById("ffmpeg-path").value = state.settings.ffmpegPath || "";
+  document.getElementById("summarization-mode").value =
+    state.settings.summarizationMode || "worker";
+  document.getElementById("local-llm-mode").value =
+    state.settings.localLlmMode || "server";
+  document.getElementById("local-llm-server-url").value =
+    state.settings.localLlmServerUrl || "http://127.0.0.1:8080/v1";
+  document.getElementById("local-llm-model").value =
+    state.settings.localLlmModel || "";
+  document.getElementById("local-llm-binary-path").value =
+    state.settings.localLlmBinaryPath || "";
+  document.getElementById("local-llm-model-path").value =
+    state.settings.localLlmModelPath || "";
 
+  updateLocalLLMFields();
   updateAvailableModels();
+  updateWorkspaceOptions();
+}
+
+/**
+ * Populate the workspace picker with the workspaces the API key can see
+ * @param {boolean} notify - Report the outcome in the status bar
+ */
+async function updateWorkspaceOptions(notify = false) {
+  const select = document.getElementById("workspace-select");
+  const selected = state.settings.workspaceId || "";
+
+  const addOption = (value, label) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  };
+
+  // Until the list has loaded, the saved workspace stays selected, so that
+  // saving settings while the Worker is unreachable does not drop it
+  select.innerHTML = '<option value="">Default for this API key</option>';
+  if (selected) {
+    addOption(selected, selected);
+    select.value = selected;
+  }
+
+  if (!state.settings.workerUrl) {
+    if (notify) {
+      showStatus("Please configure Worker URL in Settings first", "error");
+    }
+    return;
+  }
+
+  const result = await api.fetchWorkspaces();
+
+  if (!result.success) {
+    if (notify) {
+      showStatus("Error loading workspaces: " + result.error, "error");
+    }
+    return;
+  }
+
+  select.innerHTML = '<option value="">Default for this API key</option>';
+  result.workspaces.forEach((workspace) => {
+    addOption(workspace.id, workspace.name);
+  });
+
+  if (result.workspaces.some((w) => w.id === selected)) {
+    select.value = selected;
+  }
+
+  if (notify) {
+    showStatus("Workspaces loaded", "success");
+  }
 }
 
 /**
@@ -44,9 +151,33 @@ async function saveSettings() {
   const settings = {
     workerUrl: document.getElementById("worker-url").value,
     apiKey: document.getElementById("api-key").value,
+    workspaceId: document.getElementById("workspace-select").value,
+    summarizationMode: document.getElementById("summarization-mode").value,
+    localLlmMode: document.getElementById("local-llm-mode").value,
+    localLlmServerUrl: document
+      .getElementById("local-llm-server-url")
+      .value.trim(),
+    localLlmModel: document.getElementById("local-llm-model").value.trim(),
+    localLlmBinaryPath: document
+      .getElementById("local-llm-binary-path")
+      .value.trim(),
+    localLlmModelPath: document
+      .getElementById("local-llm-model-path")
+      .value.trim(),
     autoUpload: document.getElementById("auto-upload").checked,
     keepLocalCopies: document.getElementById("keep-local").checked,
+    redactPii: document.getElementById("redact-pii").checked,
+    redactTerms: document
+      .getElementById("redact-terms")
+      .value.split("\n")
+      .map((term) => term.trim())
+      .filter((term) => term.length > 0),
     whisperModel: document.getElementById("whisper-model").value,
+    liveTranscription: document.getElementById("live-transcription").checked,
+    transcriptionConcurrency: Number(
+      document.getElementById("transcription-concurrency").value
+    ),
+    ffmpegPath: document.getElementById("ffmpeg-path").value.trim(),
   };
 
   const result = await api.saveSettings(settings);
@@ -54,6 +185,8 @@ async function saveSettings() {
   if (result.success) {
     setState("settings", settings);
     await updateCurrentModelIndicator();
+    // The Worker URL or API key may have changed the visible workspaces
+    await updateWorkspaceOptions();
     showStatus("Settings saved successfully", "success");
   } else {
     showStatus("Error saving settings: " + result.error, "error");
@@ -67,9 +200,21 @@ async function resetSettings() {
   const defaultSettings = {
     workerUrl: "",
     apiKey: "",
+    workspaceId: "",
+    summarizationMode: "worker",
+    localLlmMode: "server",
+    localLlmServerUrl: "http://127.0.0.1:8080/v1",
+    localLlmModel: "",
+    localLlmBinaryPath: "",
+    localLlmModelPath: "",
     autoUpload: true,
     keepLocalCopies: true,
+    redactPii: true,
+    redactTerms: [],
     whisperModel: "ggml-base.en.bin",
+    liveTranscription: false,
+    transcriptionConcurrency: 1,
+    ffmpegPath: "",
   };
 
   const result = await api.saveSettings(defaultSettings);
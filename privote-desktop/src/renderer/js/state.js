@@ -14,11 +14,22 @@ export const state = {
   // Audio state
   audioContext: null,
   mediaRecorder: null,
-  audioChunks: [],
+
+  // Live transcription session of the current recording
+  liveTranscription: null,
 
   // Transcript state
   currentTranscript: null,
 
+  // Q&A conversations keyed by meeting ID
+  meetingConversations: {},
+
+  // Worker processing jobs keyed by job ID
+  processingJobs: {},
+
+  // Transcription jobs of the main process keyed by job ID
+  transcriptionJobs: {},
+
   // Settings state
   settings: {
     whisperModel: "ggml-base.en.bin",
@@ -54,7 +65,6 @@ export function resetRecordingState() {
   state.timerInterval = null;
   state.audioContext = null;
   state.mediaRecorder = null;
-  state.audioChunks = [];
 }
 
 /**
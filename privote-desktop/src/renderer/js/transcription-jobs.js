@@ -0,0 +1,262 @@
+/**
+ * Transcription Jobs
+ * Audio queued for transcription in the main process, listed with its
+ * progress in the Record view. Jobs run in the background, so recording can
+ * go on while older audio is transcribed, and they survive a restart.
+ */
+
+import { state, setState } from "./state.js";
+import * as api from "./api.js";
+import { escapeHtml, showStatus, displayTranscript } from "./ui.js";
+
+const STATUS_ICONS = {
+  queued: "clock",
+  running: "loader",
+  completed: "check-circle",
+  failed: "x-circle",
+  cancelled: "slash",
+};
+
+// Jobs queued in this session; their transcript is opened once it is ready,
+// unless another transcript is open by then
+const openWhenDone = new Set();
+
+/**
+ * Load the saved jobs and listen for changes from the main process
+ */
+export async function setupTranscriptionJobs() {
+  api.onTranscriptionJobUpdated(handleJobUpdated);
+
+  const result = await api.listTranscriptionJobs();
+  if (!result.success) {
+    console.error("Error loading transcription jobs:", result.error);
+    return;
+  }
+
+  // Updates that arrived while loading are newer than the list
+  result.jobs.forEach((job) => {
+    state.transcriptionJobs[job.id] = state.transcriptionJobs[job.id] || job;
+  });
+  renderTranscriptionJobs();
+}
+
+/**
+ * Queue an audio file for transcription. Its transcript is shown once it
+ * is ready, unless another transcript is open by then.
+ * @param {string} filepath - Path to the audio file
+ * @param {string} name - Name shown in the jobs panel; defaults to the filename
+ * @returns {Promise<Object|null>} Queued job, or null if it could not be queued
+ */
+export async function queueTranscription(filepath, name) {
+  const result = await api.enqueueTranscription(filepath, name);
+
+  if (!result.success) {
+    showStatus("Failed to queue transcription: " + result.error, "error");
+    return null;
+  }
+
+  openWhenDone.add(result.job.id);
+  state.transcriptionJobs[result.job.id] =
+    state.transcriptionJobs[result.job.id] || result.job;
+  renderTranscriptionJobs();
+
+  return result.job;
+}
+
+/**
+ * @param {Object} job - Changed job
+ */
+function handleJobUpdated(job) {
+  state.transcriptionJobs[job.id] = job;
+  renderTranscriptionJobs();
+
+  const finished = job.status !== "queued" && job.status !== "running";
+  if (!finished || !openWhenDone.has(job.id)) {
+    return;
+  }
+  openWhenDone.delete(job.id);
+
+  // Don't disturb a recording in progress; the job can be opened later
+  if (state.isRecording) {
+    return;
+  }
+
+  if (job.status === "completed") {
+    // Never replace a transcript that is being reviewed or uploaded
+    if (state.currentTranscript) {
+      showStatus(
+        `Transcription of ${job.name} is ready. Open it from the jobs list.`,
+        "success"
+      );
+      return;
+    }
+    openJobTranscript(job);
+    showStatus("Transcription complete!", "success");
+  } else if (job.status === "failed") {
+    showStatus("Transcription failed: " + job.error, "error");
+  }
+}
+
+/**
+ * Show a finished job's transcript in the Record view
+ * @param {Object} job - Completed job
+ */
+function openJobTranscript(job) {
+  setState("currentTranscript", {
+    text: job.transcript,
+    segments: job.segments,
+    filepath: job.filepath,
+    timestamp: job.finished_at,
+  });
+
+  displayTranscript(job.transcript, job.segments);
+}
+
+/**
+ * @param {Object} job - Transcription job
+ * @returns {string} e.g. "Transcribing • 40% • about 2 min left"
+ */
+function describeStatus(job) {
+  switch (job.status) {
+    case "queued":
+      return "Waiting to start";
+    case "running": {
+      if (!job.stage) {
+        return "Starting";
+      }
+      const stage =
+        job.stage === "converting" ? "Converting audio" : "Transcribing";
+      if (job.remaining_ms === null) {
+        return `${stage} • ${job.progress}%`;
+      }
+      const seconds = Math.round(job.remaining_ms / 1000);
+      const remaining =
+        seconds < 60
+          ? `about ${seconds}s left`
+          : `about ${Math.round(seconds / 60)} min left`;
+      return `${stage} • ${job.progress}% • ${remaining}`;
+    }
+    case "completed":
+      return "Done";
+    case "failed":
+      return "Transcription failed";
+    case "cancelled":
+      return "Cancelled";
+    default:
+      return job.status;
+  }
+}
+
+/**
+ * Render the job list, newest first
+ */
+function renderTranscriptionJobs() {
+  const section = document.getElementById("transcription-jobs-section");
+  const container = document.getElementById("transcription-jobs");
+  const jobs = Object.values(state.transcriptionJobs).sort((a, b) =>
+    b.created_at.localeCompare(a.created_at)
+  );
+
+  container.innerHTML = "";
+  section.style.display = jobs.length > 0 ? "block" : "none";
+
+  jobs.forEach((job) => {
+    container.appendChild(createTranscriptionJobCard(job));
+  });
+
+  if (window.lucide) {
+    lucide.createIcons();
+  }
+}
+
+/**
+ * Create transcription job card element
+ * @param {Object} job - Transcription job
+ * @returns {HTMLElement} Job card
+ */
+function createTranscriptionJobCard(job) {
+  const card = document.createElement("div");
+  const active = job.status === "queued" || job.status === "running";
+  card.className = `processing-job${job.status === "failed" ? " failed" : ""}`;
+
+  const actions = active
+    ? [["cancel", "Cancel"]]
+    : [
+        job.status === "completed" ? ["open", "Open"] : ["retry", "Retry"],
+        ["remove", "Remove"],
+      ];
+
+  card.innerHTML = `
+    <div class="processing-job-header">
+      <span class="processing-job-title">
+        <i data-lucide="${STATUS_ICONS[job.status] || "file-audio"}" class="inline-icon"></i>
+        ${escapeHtml(job.name)}
+      </span>
+      <span class="processing-job-stage">${escapeHtml(describeStatus(job))}</span>
+    </div>
+    ${
+      job.status === "failed"
+        ? `<p class="processing-job-error">${escapeHtml(
+            job.error || "Unknown error"
+          )}</p>`
+        : ""
+    }
+    ${
+      job.status === "running"
+        ? `<div class="progress-bar"><div class="progress-fill" style="width: ${job.progress}%"></div></div>`
+        : ""
+    }
+    <div class="transcription-job-actions">
+      ${actions
+        .map(
+          ([action, label]) =>
+            `<button class="btn btn-secondary btn-small" data-action="${action}">${label}</button>`
+        )
+        .join("")}
+    </div>
+  `;
+
+  card.querySelectorAll("[data-action]").forEach((button) => {
+    button.addEventListener("click", () =>
+      handleJobAction(job, button.dataset.action)
+    );
+  });
+
+  return card;
+}
+
+/**
+ * @param {Object} job - Transcription job
+ * @param {string} action - cancel, retry, open or remove
+ */
+async function handleJobAction(job, action) {
+  try {
+    if (action === "open") {
+      openJobTranscript(job);
+      return;
+    }
+
+    let result;
+    if (action === "cancel") {
+      result = await api.cancelTranscriptionJob(job.id);
+    } else if (action === "retry") {
+      openWhenDone.add(job.id);
+      result = await api.retryTranscriptionJob(job.id);
+    } else {
+      result = await api.removeTranscriptionJob(job.id);
+    }
+
+    if (!result.success) {
+      showStatus(result.error, "error");
+      return;
+    }
+
+    if (action === "remove") {
+      delete state.transcriptionJobs[job.id];
+      renderTranscriptionJobs();
+    }
+  } catch (error) {
+    console.error("Error updating transcription job:", error);
+    showStatus("Error updating transcription job", "error");
+  }
+}
@@ -9,56 +9,67 @@ import {
   showStatus,
   showTitleInputDialog,
   showConfirmDialog,
+  showRedactionPreviewDialog,
   displayTranscript,
   disableRecordingControls,
   enableRecordingControls,
 } from "./ui.js";
-import { viewMeetingDetails } from "./meetings.js";
+import {
+  loadMeetingDetails,
+  refreshSummaries,
+  viewMeetingDetails,
+} from "./meetings.js";
+import { trackProcessingJob } from "./processing-jobs.js";
+import { finishLiveTranscription } from "./live-transcription.js";
+import { queueTranscription } from "./transcription-jobs.js";
+import { convertToWav } from "./audio.js";
 
 /**
- * Process recording and transcribe
- * @param {Blob} audioBlob - Audio blob
+ * Save a finished recording and transcribe it
+ * @param {string} recordingId - ID of the file the recording was streamed to
  */
-export async function processRecording(audioBlob) {
+export async function processRecording(recordingId) {
   try {
-    const reader = new FileReader();
-    reader.readAsDataURL(audioBlob);
-
-    reader.onloadend = async () => {
-      const base64Audio = reader.result;
-
-      const saveResult = await api.saveAudio(base64Audio);
-
-      if (saveResult.success) {
-        disableRecordingControls();
-        showStatus(
-          "Recording saved. Starting transcription...",
-          "success",
-          true
-        );
-
-        const transcriptResult = await api.transcribeAudio(saveResult.filepath);
-
-        if (transcriptResult.success) {
-          setState("currentTranscript", {
-            text: transcriptResult.transcript,
-            filepath: saveResult.filepath,
-            timestamp: new Date().toISOString(),
-          });
-
-          displayTranscript(transcriptResult.transcript);
-          showStatus("Transcription complete!", "success");
-        } else {
-          showStatus(
-            "Transcription failed: " + transcriptResult.error,
-            "error"
-          );
-        }
-        enableRecordingControls();
-      } else {
-        showStatus("Failed to save recording: " + saveResult.error, "error");
+    const saveResult = await ensureWavRecording(
+      await api.finishRecordingFile(recordingId)
+    );
+
+    if (!saveResult.success) {
+      showStatus("Failed to save recording: " + saveResult.error, "error");
+      return;
+    }
+
+    // A live transcript only needs its last window; if it failed along
+    // the way, the whole recording is queued instead
+    if (state.liveTranscription) {
+      disableRecordingControls();
+      showStatus(
+        "Recording saved. Finishing the live transcript...",
+        "success",
+        true
+      );
+
+      const liveResult = await finishLiveTranscription();
+      enableRecordingControls();
+
+      if (liveResult) {
+        setState("currentTranscript", {
+          text: liveResult.transcript,
+          segments: liveResult.segments,
+          filepath: saveResult.filepath,
+          timestamp: new Date().toISOString(),
+        });
+
+        displayTranscript(liveResult.transcript, liveResult.segments);
+        showStatus("Transcription complete!", "success");
+        return;
       }
-    };
+    }
+
+    const job = await queueTranscription(saveResult.filepath);
+    if (job) {
+      showStatus("Recording saved and queued for transcription.", "success");
+    }
   } catch (error) {
     console.error("Error processing recording:", error);
     showStatus("Error processing recording", "error");
@@ -67,7 +78,90 @@ export async function processRecording(audioBlob) {
 }
 
 /**
- * Handle transcript upload to Worker
+ * Make sure a saved recording is WAV. The main process converts recordings
+ * with ffmpeg; without ffmpeg they are decoded here instead, which needs the
+ * whole recording in memory.
+ * @param {Object} result - Result of finishRecordingFile or recoverRecording
+ * @returns {Promise<Object>} API response with the saved file path, and
+ *   `converted` false when the recording could not be converted to WAV
+ */
+export async function ensureWavRecording(result) {
+  if (!result.success || result.converted) {
+    return result;
+  }
+
+  showStatus(
+    "ffmpeg is not available, so the recording is converted in the app. " +
+      "This holds the whole recording in memory; set up ffmpeg in Settings " +
+      "for long recordings.",
+    "info",
+    true
+  );
+
+  const file = await api.readRecordingFile(result.filepath);
+  if (!file.success) {
+    return file;
+  }
+
+  // convertToWav hands back the original when it cannot decode it; that is
+  // kept as it is, and transcription reports the problem
+  const wavBlob = await convertToWav(new Blob([file.data]));
+  if (wavBlob.type !== "audio/wav") {
+    return result;
+  }
+
+  const saveResult = await api.saveAudio(await wavBlob.arrayBuffer());
+  if (!saveResult.success) {
+    return saveResult;
+  }
+
+  await api.deleteRecording(result.filepath);
+  return { ...saveResult, converted: true };
+}
+
+/**
+ * Summarize the current transcript on this device and store the result locally
+ * @param {Object} transcript - Current transcript
+ * @param {string} title - Meeting title
+ */
+async function summarizeOnDevice(transcript, title) {
+  showStatus("Summarizing on this device. This may take a while...", "info", true);
+
+  const result = await api.summarizeLocally({
+    text: transcript.text,
+    segments: transcript.segments,
+    title: title,
+    date: new Date().toISOString().split("T")[0],
+    time: new Date().toISOString().split("T")[1].split(".")[0],
+  });
+
+  if (!result.success) {
+    showStatus("Local summarization failed: " + result.error, "error");
+    return;
+  }
+
+  showStatus("Summary and action items generated on this device.", "success");
+
+  // Only link the meeting if the transcript wasn't replaced meanwhile
+  if (state.currentTranscript === transcript) {
+    setState("currentTranscript", {
+      ...transcript,
+      meetingId: result.meeting.id,
+    });
+  }
+
+  if (document.getElementById("summaries-view").classList.contains("active")) {
+    await refreshSummaries();
+  }
+
+  showConfirmDialog(`"${title}" is ready. View the summary now?`, () => {
+    viewMeetingDetails(result.meeting);
+  });
+}
+
+/**
+ * Handle transcript summarization, on the Worker or on this device depending
+ * on the settings
  */
 export async function handleTranscriptUpload() {
   if (!state.currentTranscript) {
@@ -75,6 +169,23 @@ export async function handleTranscriptUpload() {
     return;
   }
 
+  if (state.settings.summarizationMode === "local") {
+    showTitleInputDialog(async (title) => {
+      if (!title) {
+        showStatus("Summarization cancelled", "error");
+        return;
+      }
+
+      try {
+        await summarizeOnDevice(state.currentTranscript, title);
+      } catch (error) {
+        console.error("Error summarizing transcript locally:", error);
+        showStatus("Error summarizing transcript locally", "error");
+      }
+    });
+    return;
+  }
+
   if (!state.settings.workerUrl) {
     showStatus("Please configure Worker URL in Settings first", "error");
     return;
@@ -86,41 +197,88 @@ export async function handleTranscriptUpload() {
       return;
     }
 
-    try {
+    const transcript = state.currentTranscript;
+    const preview = await api.previewRedaction({
+      text: transcript.text,
+      segments: transcript.segments,
+      title: title,
+    });
+
+    if (!preview.success) {
+      showStatus("Redaction failed: " + preview.error, "error");
+      return;
+    }
+
+    if (!preview.enabled) {
+      await uploadToWorker(transcript, title);
+      return;
+    }
+
+    showRedactionPreviewDialog(preview, (confirmed) => {
+      if (!confirmed) {
+        showStatus("Upload cancelled", "error");
+        return;
+      }
+      uploadToWorker(transcript, title);
+    });
+  });
+}
+
+/**
+ * Upload a transcript to the Worker and track its processing. PII is
+ * redacted by the main process when enabled.
+ * @param {Object} transcript - Transcript to upload
+ * @param {string} title - Meeting title
+ */
+async function uploadToWorker(transcript, title) {
+  try {
+    showStatus(
+      "Uploading transcript to Worker for AI processing...",
+      "success"
+    );
+
+    const result = await api.uploadTranscript({
+      text: transcript.text,
+      segments: transcript.segments,
+      title: title,
+      date: new Date().toISOString().split("T")[0],
+      time: new Date().toISOString().split("T")[1].split(".")[0],
+    });
+
+    if (!result.success) {
+      showStatus("Upload failed: " + result.error, "error");
+      return;
+    }
+
+    showStatus(
+      "Transcript uploaded. Track processing in the Summaries view.",
+      "success"
+    );
+
+    const job = await trackProcessingJob(result.job, title);
+
+    if (job.status === "completed") {
       showStatus(
-        "Uploading transcript to Worker for AI processing...",
+        "Transcript processed! Summary and action items generated.",
         "success"
       );
 
-      const result = await api.uploadTranscript({
-        text: state.currentTranscript.text,
-        title: title,
-        date: new Date().toISOString().split("T")[0],
-        time: new Date().toISOString().split("T")[1].split(".")[0],
-      });
-
-      if (result.success) {
-        showStatus(
-          "Transcript processed! Summary and action items generated.",
-          "success"
-        );
-
+      // Only link the meeting if the transcript wasn't replaced meanwhile
+      if (state.currentTranscript === transcript) {
         setState("currentTranscript", {
-          ...state.currentTranscript,
-          meetingId: result.meeting.id,
+          ...transcript,
+          meetingId: job.meeting_id,
         });
-
-        setTimeout(() => {
-          showConfirmDialog("Would you like to view the summary now?", () => {
-            viewMeetingDetails(result.meeting);
-          });
-        }, 1000);
-      } else {
-        showStatus("Upload failed: " + result.error, "error");
       }
-    } catch (error) {
-      console.error("Error uploading transcript:", error);
-      showStatus("Error uploading transcript", "error");
+
+      showConfirmDialog(`"${title}" is ready. View the summary now?`, () => {
+        loadMeetingDetails(job.meeting_id);
+      });
+    } else {
+      showStatus("Processing failed: " + job.error, "error");
     }
-  });
+  } catch (error) {
+    console.error("Error uploading transcript:", error);
+    showStatus("Error uploading transcript", "error");
+  }
 }
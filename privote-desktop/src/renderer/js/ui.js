@@ -3,6 +3,20 @@
  * Handles UI interactions, modals, and status messages
  */
 
+/**
+ * Escape text for safe interpolation into HTML markup
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
 /**
  * Show status message
  * @param {string} message - Status message text
@@ -158,14 +172,261 @@ export function showConfirmDialog(message, onConfirm) {
 }
 
 /**
- * Display transcript in the UI
+ * Offer to recover recordings that never finished
+ * @param {Array<Object>} recordings - Unfinished recordings { id, started_at, size }
+ * @param {Function} callback - Called with "recover", "discard", or null to
+ *   decide later
+ */
+export function showRecoveryDialog(recordings, callback) {
+  const modal = document.createElement("div");
+  modal.className = "modal-overlay";
+
+  const items = recordings
+    .map((recording) => {
+      const started = new Date(recording.started_at);
+      const sizeInMB = (recording.size / (1024 * 1024)).toFixed(2);
+      return `<li>Started ${started.toLocaleDateString()} at ${started.toLocaleTimeString()} (${sizeInMB} MB)</li>`;
+    })
+    .join("");
+
+  modal.innerHTML = `
+    <div class="modal-content" style="max-width: 450px;">
+      <div class="modal-header">
+        <h2>Recover Recording</h2>
+      </div>
+
+      <div class="modal-body">
+        <p style="color: var(--text-primary); line-height: 1.6;">
+          ${
+            recordings.length === 1
+              ? "A recording did not finish, probably because Privote closed unexpectedly."
+              : `${recordings.length} recordings did not finish, probably because Privote closed unexpectedly.`
+          }
+          Recover saves everything recorded up to that point to Recordings.
+        </p>
+        <ul class="recovery-list">${items}</ul>
+      </div>
+
+      <div class="modal-footer">
+        <button class="btn btn-secondary" id="discard-recovery-btn">Discard</button>
+        <button class="btn btn-secondary" id="later-recovery-btn">Later</button>
+        <button class="btn btn-primary" id="confirm-recovery-btn">Recover</button>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(modal);
+
+  const close = (choice) => {
+    modal.remove();
+    document.removeEventListener("keydown", escapeHandler);
+    callback(choice);
+  };
+
+  const escapeHandler = (e) => {
+    if (e.key === "Escape") {
+      close(null);
+    }
+  };
+
+  document
+    .getElementById("discard-recovery-btn")
+    .addEventListener("click", () => close("discard"));
+  document
+    .getElementById("later-recovery-btn")
+    .addEventListener("click", () => close(null));
+  document
+    .getElementById("confirm-recovery-btn")
+    .addEventListener("click", () => close("recover"));
+
+  document.addEventListener("keydown", escapeHandler);
+}
+
+/**
+ * Show exactly what will be sent to the Worker after PII redaction
+ * @param {Object} preview - Result of previewRedaction
+ * @param {Function} callback - Called with true to send, false to cancel
+ */
+export function showRedactionPreviewDialog(preview, callback) {
+  const modal = document.createElement("div");
+  modal.className = "modal-overlay";
+
+  // Escape first, then highlight; placeholders contain no HTML characters
+  const highlight = (text) =>
+    escapeHtml(text).replace(
+      /\[(EMAIL|PHONE|CARD|TERM)_\d+\]/g,
+      (placeholder) => `<mark>${placeholder}</mark>`
+    );
+
+  const rows = preview.redactions
+    .map(
+      (redaction) => `
+        <tr>
+          <td><mark>${escapeHtml(redaction.placeholder)}</mark></td>
+          <td>${escapeHtml(redaction.original)}</td>
+          <td>${escapeHtml(redaction.type.toLowerCase())}</td>
+        </tr>`
+    )
+    .join("");
+
+  modal.innerHTML = `
+    <div class="modal-content" style="max-width: 700px;">
+      <div class="modal-header">
+        <h2>Review Before Sending</h2>
+      </div>
+
+      <div class="modal-body">
+        <p style="color: var(--text-secondary); margin-bottom: 12px;">
+          ${
+            preview.redactions.length > 0
+              ? `${preview.redactions.length} value${
+                  preview.redactions.length === 1 ? " was" : "s were"
+                } redacted. This is exactly what will be sent to the Worker:`
+              : "Nothing was redacted. This is exactly what will be sent to the Worker:"
+          }
+        </p>
+        <div class="form-group">
+          <label>Title</label>
+          <div class="redaction-preview-text">${highlight(preview.title)}</div>
+        </div>
+        <div class="form-group">
+          <label>Transcript</label>
+          <div class="redaction-preview-text">${highlight(preview.transcript)}</div>
+        </div>
+        ${
+          preview.segments.length > 0
+            ? `<div class="form-group">
+                <label>Timestamped segments</label>
+                <div class="redaction-preview-text">${preview.segments
+                  .map(
+                    (segment) =>
+                      `[${formatTimestamp(segment.start_ms)}] ${highlight(segment.text.trim())}`
+                  )
+                  .join("\n")}</div>
+              </div>`
+            : ""
+        }
+        ${
+          rows
+            ? `<table class="redaction-table">
+                <thead>
+                  <tr><th>Placeholder</th><th>Original (stays on this device)</th><th>Type</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+              </table>`
+            : ""
+        }
+      </div>
+
+      <div class="modal-footer">
+        <button class="btn btn-secondary" id="cancel-redaction-btn">Cancel</button>
+        <button class="btn btn-primary" id="confirm-redaction-btn">Send</button>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(modal);
+
+  const close = (confirmed) => {
+    modal.remove();
+    document.removeEventListener("keydown", escapeHandler);
+    callback(confirmed);
+  };
+
+  const escapeHandler = (e) => {
+    if (e.key === "Escape") {
+      close(false);
+    }
+  };
+
+  document
+    .getElementById("cancel-redaction-btn")
+    .addEventListener("click", () => close(false));
+  document
+    .getElementById("confirm-redaction-btn")
+    .addEventListener("click", () => close(true));
+  modal.addEventListener("click", (e) => {
+    if (e.target === modal) {
+      close(false);
+    }
+  });
+  document.addEventListener("keydown", escapeHandler);
+}
+
+/**
+ * Format a YYYY-MM-DD date for display. new Date() would read it as UTC
+ * midnight, which is the previous day west of UTC.
+ * @param {string} date - Date as YYYY-MM-DD
+ * @returns {string} Date in the local format
+ */
+export function formatDateOnly(date) {
+  const [year, month, day] = date.split("-").map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString();
+}
+
+/**
+ * @returns {string} Today's local date as YYYY-MM-DD
+ */
+export function todayDateOnly() {
+  const now = new Date();
+  return [
+    now.getFullYear(),
+    String(now.getMonth() + 1).padStart(2, "0"),
+    String(now.getDate()).padStart(2, "0"),
+  ].join("-");
+}
+
+/**
+ * Format a time in the recording as m:ss, or h:mm:ss past an hour
+ * @param {number} ms - Milliseconds from the start of the recording
+ * @returns {string} Formatted time
+ */
+export function formatTimestamp(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, "0")}:${seconds}`
+    : `${minutes}:${seconds}`;
+}
+
+/**
+ * Render transcript segments as timestamped lines
+ * @param {Array<Object>} segments - Segments { start_ms, end_ms, text }
+ * @returns {string} HTML string
+ */
+export function renderTranscriptSegments(segments) {
+  return segments
+    .map(
+      (segment) => `<div class="transcript-segment"><span class="segment-time">${formatTimestamp(
+        segment.start_ms
+      )}</span><span class="segment-text">${escapeHtml(segment.text)}</span></div>`
+    )
+    .join("");
+}
+
+/**
+ * Display transcript in the UI, with a time per segment when available
  * @param {string} transcript - Transcript text
+ * @param {Array<Object>} segments - Timestamped segments
  */
-export function displayTranscript(transcript) {
+export function displayTranscript(transcript, segments = []) {
   const transcriptSection = document.getElementById("transcript-section");
   const transcriptContent = document.getElementById("transcript-content");
 
-  transcriptContent.textContent = transcript;
+  if (segments.length > 0) {
+    transcriptContent.innerHTML = renderTranscriptSegments(segments);
+    transcriptContent.classList.add("timestamped");
+  } else {
+    transcriptContent.textContent = transcript;
+    transcriptContent.classList.remove("timestamped");
+  }
+
+  // Captions need the timing data
+  document.getElementById("transcript-caption-export").style.display =
+    segments.length > 0 ? "flex" : "none";
   transcriptSection.style.display = "block";
 }
 
@@ -0,0 +1,224 @@
+/**
+ * Audio Converter
+ *
+ * whisper-cli only reads 16 kHz WAV, so other audio formats, and the audio
+ * track of video files, are converted with ffmpeg before transcription.
+ * ffmpeg is not bundled; it is looked up on the PATH unless a binary is set
+ * in the settings.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { spawn } = require("child_process");
+
+const WHISPER_SAMPLE_RATE = 16000;
+
+// Length of the input, from ffmpeg's description of it on stderr
+const DURATION_PATTERN = /Duration:\s*(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/;
+
+// Position reached, from -progress output; both fields are in microseconds
+const OUT_TIME_PATTERN = /out_time_(?:us|ms)=(\d+)/g;
+
+class AudioConverter {
+  /**
+   * @param {Object} options - Converter options
+   * @param {string} options.ffmpegPath - Path to the ffmpeg binary; defaults
+   *   to ffmpeg on the PATH
+   */
+  constructor(options = {}) {
+    this.ffmpegPath = options.ffmpegPath || "ffmpeg";
+  }
+
+  /**
+   * Whether a file has to be converted before whisper-cli can read it. Only
+   * 16-bit PCM WAV at 16 kHz is read as is.
+   * @param {string} filepath - Path to an existing audio or video file
+   * @returns {boolean} Whether the file needs converting
+   */
+  needsConversion(filepath) {
+    const header = Buffer.alloc(36);
+    const fd = fs.openSync(filepath, "r");
+    let bytesRead;
+    try {
+      bytesRead = fs.readSync(fd, header, 0, header.length, 0);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    const isWhisperWav =
+      bytesRead === header.length &&
+      header.toString("ascii", 0, 4) === "RIFF" &&
+      header.toString("ascii", 8, 12) === "WAVE" &&
+      header.toString("ascii", 12, 16) === "fmt " &&
+      header.readUInt16LE(20) === 1 &&
+      header.readUInt32LE(24) === WHISPER_SAMPLE_RATE &&
+      header.readUInt16LE(34) === 16;
+
+    return !isWhisperWav;
+  }
+
+  /**
+   * Convert an audio or video file to 16 kHz mono WAV
+   * @param {string} inputPath - Audio or video file
+   * @param {string} outputPath - WAV file to write
+   * @param {Object} options - Conversion options
+   * @param {AbortSignal} options.signal - Stops ffmpeg and removes the output
+   * @param {Function} options.onProgress - Called with the percentage converted
+   * @returns {Promise<Object>} { success, outputPath } or
+   *   { success: false, cancelled, error }
+   */
+  convert(inputPath, outputPath, options = {}) {
+    const { signal, onProgress } = options;
+
+    if (signal && signal.aborted) {
+      return Promise.resolve({
+        success: false,
+        cancelled: true,
+        error: "Conversion cancelled",
+      });
+    }
+
+    const args = [
+      "-hide_banner",
+      "-nostdin",
+      "-y",
+      "-i",
+      inputPath,
+      // Drop any video; only the audio track is kept
+      "-vn",
+      "-ac",
+      "1",
+      "-ar",
+      String(WHISPER_SAMPLE_RATE),
+      "-c:a",
+      "pcm_s16le",
+      "-progress",
+      "pipe:1",
+      "-nostats",
+      outputPath,
+    ];
+
+    console.log(`[ffmpeg] Running: ${this.ffmpegPath} ${args.join(" ")}`);
+
+    return new Promise((resolve) => {
+      const ffmpegProcess = spawn(this.ffmpegPath, args, {
+        stdio: ["ignore", "pipe", "pipe"],
+      });
+
+      let stderr = "";
+      let durationUs = null;
+      let failedToStart = false;
+
+      const onAbort = () => ffmpegProcess.kill();
+      if (signal) {
+        signal.addEventListener("abort", onAbort);
+      }
+
+      ffmpegProcess.stderr.on("data", (data) => {
+        stderr += data.toString();
+
+        if (durationUs === null) {
+          const match = stderr.match(DURATION_PATTERN);
+          if (match) {
+            const [, hours, minutes, seconds] = match;
+            durationUs =
+              ((Number(hours) * 60 + Number(minutes)) * 60 + Number(seconds)) *
+              1e6;
+          }
+        }
+      });
+
+      ffmpegProcess.stdout.on("data", (data) => {
+        // Streams without a known length get no progress
+        if (!onProgress || !durationUs) {
+          return;
+        }
+        for (const match of data.toString().matchAll(OUT_TIME_PATTERN)) {
+          const percent = Math.floor((Number(match[1]) / durationUs) * 100);
+          onProgress(Math.min(Math.max(percent, 0), 99));
+        }
+      });
+
+      const removeOutput = () => fs.rm(outputPath, { force: true }, () => {});
+
+      ffmpegProcess.on("close", (code) => {
+        // Already reported by the error handler
+        if (failedToStart) {
+          return;
+        }
+        if (signal) {
+          signal.removeEventListener("abort", onAbort);
+        }
+
+        if (signal && signal.aborted) {
+          removeOutput();
+          resolve({
+            success: false,
+            cancelled: true,
+            error: "Conversion cancelled",
+          });
+          return;
+        }
+
+        if (code !== 0) {
+          console.error(
+            `[ffmpeg] Failed with code ${code}:\n${stderr.slice(-2000)}`
+          );
+          removeOutput();
+          resolve({
+            success: false,
+            error: describeFailure(inputPath, stderr),
+          });
+          return;
+        }
+
+        if (onProgress) {
+          onProgress(100);
+        }
+        resolve({ success: true, outputPath });
+      });
+
+      ffmpegProcess.on("error", (error) => {
+        failedToStart = true;
+        if (signal) {
+          signal.removeEventListener("abort", onAbort);
+        }
+
+        resolve({
+          success: false,
+          error:
+            error.code === "ENOENT"
+              ? `ffmpeg was not found at ${this.ffmpegPath}. ` +
+                "Install ffmpeg or set its path in Settings to import formats other than 16 kHz WAV."
+              : `Failed to start ffmpeg at ${this.ffmpegPath}: ${error.message}`,
+        });
+      });
+    });
+  }
+}
+
+/**
+ * Turn ffmpeg's stderr into a message for the user
+ * @param {string} inputPath - File that failed to convert
+ * @param {string} stderr - ffmpeg's stderr
+ * @returns {string} Error message
+ */
+function describeFailure(inputPath, stderr) {
+  const filename = path.basename(inputPath);
+
+  if (/does not contain any stream|matches no streams/i.test(stderr)) {
+    return `${filename} has no audio track`;
+  }
+  if (/Invalid data found when processing input/i.test(stderr)) {
+    return `${filename} is not an audio or video file ffmpeg can read`;
+  }
+
+  const lastLine = stderr
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .pop();
+  return `ffmpeg could not convert ${filename}${lastLine ? `: ${lastLine}` : ""}`;
+}
+
+module.exports = AudioConverter;
@@ -0,0 +1,325 @@
+/**
+ * Transcription Queue
+ *
+ * Audio files waiting to be transcribed, run in the background a few at a
+ * time so that recording can go on meanwhile. Jobs are kept in a JSON file
+ * in the app's data directory, finished transcripts included, so the queue
+ * survives a restart. Jobs that were running when the app closed are queued
+ * again on the next launch.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const MAX_CONCURRENCY = 4;
+
+function generateId() {
+  return `transcription_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+class TranscriptionQueue {
+  /**
+   * @param {string} filePath - Path of the JSON file
+   * @param {Object} options - Queue options
+   * @param {Function} options.run - Transcribes a job's audio:
+   *   (job, { signal, onProgress }) => Promise<{ success, transcript, segments, cancelled, error }>
+   *   onProgress takes a percentage and the stage it belongs to, "converting"
+   *   or "transcribing" (the default)
+   * @param {Function} options.onChange - Called with a job whenever it changes
+   * @param {number} options.concurrency - Jobs to run at the same time
+   */
+  constructor(filePath, { run, onChange = () => {}, concurrency = 1 }) {
+    this.filePath = filePath;
+    this.run = run;
+    this.onChange = onChange;
+    this.concurrency = 1;
+    this.setConcurrency(concurrency);
+    this.jobs = [];
+    this.controllers = new Map();
+    this.started = false;
+    this.stopping = false;
+  }
+
+  /**
+   * @private
+   */
+  _read() {
+    if (!fs.existsSync(this.filePath)) {
+      return [];
+    }
+    const data = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+    return Array.isArray(data.jobs) ? data.jobs : [];
+  }
+
+  /**
+   * Write through a temporary file, so a crash cannot leave half a file
+   * @private
+   */
+  _write() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ jobs: this.jobs }, null, 2), {
+      mode: 0o600,
+    });
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  /**
+   * Save the queue and report a changed job
+   * @private
+   */
+  _changed(job) {
+    this._write();
+    this.onChange({ ...job });
+  }
+
+  /**
+   * Load the saved queue and start working through it
+   */
+  start() {
+    let saved;
+    try {
+      saved = this._read();
+    } catch (error) {
+      // A damaged file is set aside rather than overwritten, and the queue
+      // starts empty
+      console.error("[TranscriptionQueue] Could not read saved jobs:", error);
+      fs.renameSync(this.filePath, `${this.filePath}.corrupt`);
+      saved = [];
+    }
+
+    this.jobs = saved.map((job) =>
+      job.status === "running"
+        ? {
+            ...job,
+            status: "queued",
+            stage: null,
+            progress: 0,
+            remaining_ms: null,
+          }
+        : job
+    );
+    this.started = true;
+    this._write();
+    this._pump();
+  }
+
+  /**
+   * Stop running jobs when the app quits. They stay saved as running, so
+   * they are queued again on the next launch.
+   */
+  stop() {
+    this.stopping = true;
+    for (const controller of this.controllers.values()) {
+      controller.abort();
+    }
+  }
+
+  /**
+   * @param {number} concurrency - Jobs to run at the same time
+   */
+  setConcurrency(concurrency) {
+    const value = Math.floor(Number(concurrency));
+    this.concurrency = Number.isFinite(value)
+      ? Math.min(Math.max(value, 1), MAX_CONCURRENCY)
+      : 1;
+    if (this.started) {
+      this._pump();
+    }
+  }
+
+  /**
+   * List jobs, newest first
+   * @returns {Array<Object>} Jobs
+   */
+  list() {
+    return [...this.jobs].sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  /**
+   * Queue an audio file for transcription
+   * @param {string} filepath - Path to the audio file
+   * @param {string} name - Name shown in the jobs panel
+   * @returns {Object} Queued job
+   */
+  enqueue(filepath, name) {
+    const job = {
+      id: generateId(),
+      filepath,
+      name: name || path.basename(filepath),
+      status: "queued",
+      stage: null,
+      progress: 0,
+      remaining_ms: null,
+      transcript: null,
+      segments: [],
+      error: null,
+      created_at: new Date().toISOString(),
+      started_at: null,
+      finished_at: null,
+    };
+
+    this.jobs.push(job);
+    this._changed(job);
+    this._pump();
+    return { ...job };
+  }
+
+  /**
+   * Cancel a queued or running job
+   * @param {string} id - Job ID
+   * @returns {boolean} Whether the job could be cancelled
+   */
+  cancel(id) {
+    const job = this.jobs.find((j) => j.id === id);
+    if (!job) {
+      return false;
+    }
+
+    if (job.status === "running") {
+      // The job is marked cancelled once Whisper has stopped
+      this.controllers.get(id).abort();
+      return true;
+    }
+    if (job.status === "queued") {
+      job.status = "cancelled";
+      job.finished_at = new Date().toISOString();
+      this._changed(job);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Queue a failed or cancelled job again
+   * @param {string} id - Job ID
+   * @returns {boolean} Whether the job was queued
+   */
+  retry(id) {
+    const job = this.jobs.find((j) => j.id === id);
+    if (!job || (job.status !== "failed" && job.status !== "cancelled")) {
+      return false;
+    }
+
+    Object.assign(job, {
+      status: "queued",
+      stage: null,
+      progress: 0,
+      remaining_ms: null,
+      error: null,
+      started_at: null,
+      finished_at: null,
+    });
+    this._changed(job);
+    this._pump();
+    return true;
+  }
+
+  /**
+   * Remove a job that is not queued or running
+   * @param {string} id - Job ID
+   * @returns {boolean} Whether the job was removed
+   */
+  remove(id) {
+    const job = this.jobs.find((j) => j.id === id);
+    if (!job || job.status === "queued" || job.status === "running") {
+      return false;
+    }
+
+    this.jobs = this.jobs.filter((j) => j.id !== id);
+    this._write();
+    return true;
+  }
+
+  /**
+   * Start queued jobs, oldest first, while there is room
+   * @private
+   */
+  _pump() {
+    if (this.stopping) {
+      return;
+    }
+
+    let running = this.jobs.filter((job) => job.status === "running").length;
+
+    const queued = this.jobs
+      .filter((job) => job.status === "queued")
+      .sort((a, b) => a.created_at.localeCompare(b.created_at));
+
+    for (const job of queued) {
+      if (running >= this.concurrency) {
+        break;
+      }
+      running++;
+      this._runJob(job);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _runJob(job) {
+    const controller = new AbortController();
+    this.controllers.set(job.id, controller);
+
+    const startTime = Date.now();
+    let stageStartTime = startTime;
+    job.status = "running";
+    job.started_at = new Date(startTime).toISOString();
+    this._changed(job);
+
+    let result;
+    try {
+      result = await this.run(
+        { ...job },
+        {
+          signal: controller.signal,
+          // Progress is only reported, not saved; a restarted job starts over
+          onProgress: (percent, stage = "transcribing") => {
+            // Each stage has its own progress and time estimate
+            if (stage !== job.stage) {
+              job.stage = stage;
+              stageStartTime = Date.now();
+            }
+            const elapsedMs = Date.now() - stageStartTime;
+            job.progress = percent;
+            job.remaining_ms =
+              percent > 0
+                ? Math.round((elapsedMs * (100 - percent)) / percent)
+                : null;
+            this.onChange({ ...job });
+          },
+        }
+      );
+    } catch (error) {
+      console.error("[TranscriptionQueue] Job failed:", error);
+      result = { success: false, error: error.message };
+    } finally {
+      this.controllers.delete(job.id);
+    }
+
+    if (this.stopping) {
+      return;
+    }
+
+    if (result.success) {
+      job.status = "completed";
+      job.progress = 100;
+      job.transcript = result.transcript;
+      job.segments = result.segments || [];
+    } else if (result.cancelled) {
+      job.status = "cancelled";
+    } else {
+      job.status = "failed";
+      job.error = result.error || "Transcription failed";
+    }
+
+    job.stage = null;
+    job.remaining_ms = null;
+    job.finished_at = new Date().toISOString();
+    this._changed(job);
+    this._pump();
+  }
+}
+
+module.exports = TranscriptionQueue;
@@ -16,6 +16,13 @@ const path = require("path");
 const { spawn } = require("child_process");
 const { app } = require("electron");
 
+// Progress lines whisper-cli prints to stderr with --print-progress
+const PROGRESS_PATTERN = /progress\s*=\s*(\d+)%/g;
+
+// Segment lines whisper-cli prints, e.g. "[00:00:01.000 --> 00:00:03.500]  Hello"
+const STDOUT_SEGMENT_PATTERN =
+  /^\[(\d{2}):(\d{2}):(\d{2})[.,](\d{3}) --> (\d{2}):(\d{2}):(\d{2})[.,](\d{3})\]\s*(.*)$/;
+
 class WhisperClient {
   constructor(options = {}) {
     const isDev = !app.isPackaged;
@@ -63,7 +70,11 @@ class WhisperClient {
    * Transcribe audio file using Whisper.cpp
    * @param {string} audioFilePath - Path to audio file
    * @param {Object} options - Transcription options
-   * @returns {Promise<Object>} - Transcription result
+   * @param {Function} options.onProgress - Called with the percentage done
+   * @param {AbortSignal} options.signal - Aborting kills whisper and removes
+   *   its partial output
+   * @returns {Promise<Object>} - Transcription result; `cancelled` is set
+   *   when the signal aborted it
    */
   async transcribe(audioFilePath, options = {}) {
     try {
@@ -104,6 +115,15 @@ class WhisperClient {
       // Use whisper.cpp CLI for transcription
       return await this._transcribeWithCLI(audioFilePath, options);
     } catch (error) {
+      if (options.signal?.aborted) {
+        console.log(`[Whisper] Transcription cancelled: ${audioFilePath}`);
+        return {
+          success: false,
+          cancelled: true,
+          error: "Transcription cancelled",
+        };
+      }
+
       console.error("[Whisper] Transcription error:", error);
       return {
         success: false,
@@ -120,12 +140,21 @@ class WhisperClient {
     return new Promise((resolve, reject) => {
       const startTime = Date.now();
 
+      // Output files are written next to the audio, with its extension
+      // replaced; whisper-cli would otherwise append to the full file name
+      const outputBase = audioFilePath.slice(
+        0,
+        audioFilePath.length - path.extname(audioFilePath).length
+      );
+
       // Build command arguments
       const args = [
         "-m",
         this.modelPath,
         "-f",
         audioFilePath,
+        "-of",
+        outputBase,
         "-l",
         options.language || this.language,
         "-t",
@@ -139,8 +168,8 @@ class WhisperClient {
         args.push("-p", String(options.processors));
       }
 
-      // Note: --print-progress is enabled by default in whisper-cli
-      // We capture progress in stderr, so no need to disable it
+      // Progress is printed to stderr as "progress = 42%"
+      args.push("--print-progress");
 
       console.log(`[Whisper] Running: ${this.whisperPath} ${args.join(" ")}`);
 
@@ -169,6 +198,11 @@ class WhisperClient {
         env.PATH = libPath + (env.PATH ? `;${env.PATH}` : "");
       }
 
+      if (options.signal?.aborted) {
+        reject(new Error("Transcription cancelled"));
+        return;
+      }
+
       const whisperProcess = spawn(this.whisperPath, args, {
         stdio: ["ignore", "pipe", "pipe"],
         env: env,
@@ -177,6 +211,17 @@ class WhisperClient {
       let stdout = "";
       let stderr = "";
 
+      const removeOutputFiles = () => {
+        for (const extension of [".json", ".txt"]) {
+          fs.rmSync(`${outputBase}${extension}`, { force: true });
+        }
+      };
+
+      const onAbort = () => {
+        whisperProcess.kill();
+      };
+      options.signal?.addEventListener("abort", onAbort, { once: true });
+
       whisperProcess.stdout.on("data", (data) => {
         const output = data.toString();
         stdout += output;
@@ -189,10 +234,23 @@ class WhisperClient {
         if (output.includes("progress") || output.includes("error")) {
           console.log(`[Whisper] ${output.trim()}`);
         }
+
+        if (options.onProgress) {
+          for (const match of output.matchAll(PROGRESS_PATTERN)) {
+            options.onProgress(Math.min(100, Number(match[1])));
+          }
+        }
       });
 
       whisperProcess.on("close", (code) => {
         const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+        options.signal?.removeEventListener("abort", onAbort);
+
+        if (options.signal?.aborted) {
+          removeOutputFiles();
+          reject(new Error("Transcription cancelled"));
+          return;
+        }
 
         if (code !== 0) {
           reject(
@@ -205,14 +263,8 @@ class WhisperClient {
 
         try {
           // Try to read the JSON output first (more detailed)
-          const jsonPath = audioFilePath.replace(
-            path.extname(audioFilePath),
-            ".json"
-          );
-          const txtPath = audioFilePath.replace(
-            path.extname(audioFilePath),
-            ".txt"
-          );
+          const jsonPath = `${outputBase}.json`;
+          const txtPath = `${outputBase}.txt`;
 
           let transcript = "";
           let segments = [];
@@ -225,8 +277,11 @@ class WhisperClient {
               const jsonContent = fs.readFileSync(jsonPath, "utf8");
               if (jsonContent.length > 0) {
                 const jsonData = JSON.parse(jsonContent);
-                transcript = jsonData.transcription || jsonData.text || "";
-                segments = jsonData.segments || [];
+                segments = this._parseSegments(jsonData);
+                transcript =
+                  typeof jsonData.text === "string"
+                    ? jsonData.text.trim()
+                    : segments.map((segment) => segment.text).join(" ");
               }
             } catch (jsonError) {
               console.warn(
@@ -241,9 +296,16 @@ class WhisperClient {
             transcript = txtContent.trim();
           }
 
+          if (segments.length === 0) {
+            segments = this._parseStdoutSegments(stdout);
+          }
+
           // Last resort: use stdout
           if (!transcript && stdout) {
-            transcript = stdout.trim();
+            transcript =
+              segments.length > 0
+                ? segments.map((segment) => segment.text).join(" ")
+                : stdout.trim();
             console.log(`[Whisper] Using stdout`);
           }
 
@@ -285,6 +347,7 @@ class WhisperClient {
       });
 
       whisperProcess.on("error", (error) => {
+        options.signal?.removeEventListener("abort", onAbort);
         reject(
           new Error(
             `Failed to start Whisper process at ${this.whisperPath}: ${error.message}\n` +
@@ -295,6 +358,61 @@ class WhisperClient {
     });
   }
 
+  /**
+   * Read timed segments from whisper's JSON output. whisper.cpp writes them
+   * to `transcription` with offsets in milliseconds; the OpenAI whisper
+   * format has `segments` with times in seconds.
+   * @private
+   * @returns {Array<Object>} Segments { start_ms, end_ms, text }
+   */
+  _parseSegments(jsonData) {
+    let segments = [];
+
+    if (Array.isArray(jsonData.transcription)) {
+      segments = jsonData.transcription.map((segment) => ({
+        start_ms: segment.offsets?.from,
+        end_ms: segment.offsets?.to,
+        text: segment.text,
+      }));
+    } else if (Array.isArray(jsonData.segments)) {
+      segments = jsonData.segments.map((segment) => ({
+        start_ms: Math.round(segment.start * 1000),
+        end_ms: Math.round(segment.end * 1000),
+        text: segment.text,
+      }));
+    }
+
+    return segments
+      .filter(
+        (segment) =>
+          Number.isInteger(segment.start_ms) &&
+          Number.isInteger(segment.end_ms) &&
+          typeof segment.text === "string"
+      )
+      .map((segment) => ({ ...segment, text: segment.text.trim() }))
+      .filter((segment) => segment.text.length > 0);
+  }
+
+  /**
+   * Read timed segments from the lines whisper-cli prints to stdout
+   * @private
+   * @returns {Array<Object>} Segments { start_ms, end_ms, text }
+   */
+  _parseStdoutSegments(stdout) {
+    const toMs = (h, m, s, ms) =>
+      ((Number(h) * 60 + Number(m)) * 60 + Number(s)) * 1000 + Number(ms);
+
+    return stdout
+      .split("\n")
+      .map((line) => line.trim().match(STDOUT_SEGMENT_PATTERN))
+      .filter((match) => match && match[9].trim().length > 0)
+      .map((match) => ({
+        start_ms: toMs(match[1], match[2], match[3], match[4]),
+        end_ms: toMs(match[5], match[6], match[7], match[8]),
+        text: match[9].trim(),
+      }));
+  }
+
   /**
    * Generate placeholder transcript for testing
    * @private
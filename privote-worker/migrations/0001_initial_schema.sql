@@ -0,0 +1,179 @@
+-- Migration 0001: initial schema
+--
+-- Databases created from the old schema.sql adopt migrations here without
+-- losing data. They already have a meetings table, which stored action
+-- items as one bulleted text column. That column is split into rows of
+-- action_items, and meetings is rebuilt without it. On a new database the
+-- same statements run against an empty table.
+
+CREATE TABLE IF NOT EXISTS schema_version (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TEXT NOT NULL
+);
+
+-- The old schema.sql table, so that the legacy column exists either way
+CREATE TABLE IF NOT EXISTS meetings (
+    id TEXT PRIMARY KEY,
+    title TEXT NOT NULL,
+    transcript TEXT NOT NULL,
+    summary TEXT NOT NULL,
+    action_items TEXT,
+    meeting_date TEXT NOT NULL,
+    meeting_time TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+);
+
+-- One row per bullet line of the legacy column, skipping the placeholder
+-- written when no action items were found
+CREATE TABLE legacy_action_items AS
+WITH RECURSIVE lines (meeting_id, created_at, line, rest, line_number) AS (
+    SELECT id, created_at, '', replace(action_items, char(13), '') || char(10), 0
+    FROM meetings
+    WHERE action_items IS NOT NULL
+    UNION ALL
+    SELECT meeting_id, created_at,
+        trim(ltrim(trim(substr(rest, 1, instr(rest, char(10)) - 1)), '-*•')),
+        substr(rest, instr(rest, char(10)) + 1),
+        line_number + 1
+    FROM lines
+    WHERE rest <> ''
+)
+SELECT
+    meeting_id,
+    created_at,
+    line AS text,
+    ROW_NUMBER() OVER (PARTITION BY meeting_id ORDER BY line_number) - 1 AS position
+FROM lines
+WHERE line <> '' AND line <> 'No action items identified.';
+
+-- Nothing references meetings yet, so it can be rebuilt without the column
+CREATE TABLE meetings_rebuilt (
+    id TEXT PRIMARY KEY,
+    title TEXT NOT NULL,
+    transcript TEXT NOT NULL,
+    summary TEXT NOT NULL,
+    meeting_date TEXT NOT NULL,
+    meeting_time TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+);
+
+INSERT INTO meetings_rebuilt (id, title, transcript, summary, meeting_date, meeting_time, created_at, updated_at)
+SELECT id, title, transcript, summary, meeting_date, meeting_time, created_at, updated_at
+FROM meetings;
+
+DROP TABLE meetings;
+
+ALTER TABLE meetings_rebuilt RENAME TO meetings;
+
+CREATE TABLE IF NOT EXISTS action_items (
+    id TEXT PRIMARY KEY,
+    meeting_id TEXT NOT NULL REFERENCES meetings(id) ON DELETE CASCADE,
+    text TEXT NOT NULL,
+    assignee TEXT,
+    due_date TEXT,
+    source_quote TEXT,
+    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'done', 'dropped')),
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_action_items_meeting_id ON action_items(meeting_id);
+CREATE INDEX IF NOT EXISTS idx_action_items_status_due ON action_items(status, due_date);
+
+-- Transcript passages used for semantic search. Embeddings live in the
+-- configured vector store; chunk_embeddings backs the local D1 store.
+CREATE TABLE IF NOT EXISTS transcript_chunks (
+    id TEXT PRIMARY KEY,
+    meeting_id TEXT NOT NULL REFERENCES meetings(id) ON DELETE CASCADE,
+    chunk_index INTEGER NOT NULL,
+    text TEXT NOT NULL,
+    created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_transcript_chunks_meeting_id ON transcript_chunks(meeting_id);
+
+CREATE TABLE IF NOT EXISTS chunk_embeddings (
+    chunk_id TEXT PRIMARY KEY,
+    meeting_id TEXT NOT NULL,
+    embedding TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_chunk_embeddings_meeting_id ON chunk_embeddings(meeting_id);
+
+-- Full-text index over meetings, kept in sync by the triggers below.
+-- Action items are indexed as one concatenated column per meeting.
+CREATE VIRTUAL TABLE IF NOT EXISTS meetings_fts USING fts5(
+    meeting_id UNINDEXED,
+    title,
+    transcript,
+    summary,
+    action_items,
+    tokenize = 'porter unicode61'
+);
+
+CREATE TRIGGER IF NOT EXISTS meetings_fts_insert AFTER INSERT ON meetings BEGIN
+    INSERT INTO meetings_fts (meeting_id, title, transcript, summary, action_items)
+    VALUES (NEW.id, NEW.title, NEW.transcript, NEW.summary, '');
+END;
+
+CREATE TRIGGER IF NOT EXISTS meetings_fts_update AFTER UPDATE OF title, transcript, summary ON meetings BEGIN
+    UPDATE meetings_fts
+    SET title = NEW.title, transcript = NEW.transcript, summary = NEW.summary
+    WHERE meeting_id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS meetings_fts_delete AFTER DELETE ON meetings BEGIN
+    DELETE FROM meetings_fts WHERE meeting_id = OLD.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS action_items_fts_insert AFTER INSERT ON action_items BEGIN
+    UPDATE meetings_fts
+    SET action_items = (SELECT COALESCE(group_concat(text, ' '), '') FROM action_items WHERE meeting_id = NEW.meeting_id)
+    WHERE meeting_id = NEW.meeting_id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS action_items_fts_update AFTER UPDATE OF text ON action_items BEGIN
+    UPDATE meetings_fts
+    SET action_items = (SELECT COALESCE(group_concat(text, ' '), '') FROM action_items WHERE meeting_id = NEW.meeting_id)
+    WHERE meeting_id = NEW.meeting_id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS action_items_fts_delete AFTER DELETE ON action_items BEGIN
+    UPDATE meetings_fts
+    SET action_items = (SELECT COALESCE(group_concat(text, ' '), '') FROM action_items WHERE meeting_id = OLD.meeting_id)
+    WHERE meeting_id = OLD.meeting_id;
+END;
+
+-- Background processing jobs. input holds the request until the job completes.
+CREATE TABLE IF NOT EXISTS jobs (
+    id TEXT PRIMARY KEY,
+    type TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'processing', 'completed', 'failed')),
+    stage TEXT NOT NULL DEFAULT 'queued',
+    progress INTEGER NOT NULL DEFAULT 0,
+    input TEXT,
+    meeting_id TEXT,
+    error TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+);
+
+-- Legacy action items and meetings, indexed like new ones
+INSERT INTO action_items (id, meeting_id, text, position, created_at, updated_at)
+SELECT 'action_legacy_' || lower(hex(randomblob(8))), meeting_id, text, position, created_at, created_at
+FROM legacy_action_items;
+
+DROP TABLE legacy_action_items;
+
+INSERT INTO meetings_fts (meeting_id, title, transcript, summary, action_items)
+SELECT m.id, m.title, m.transcript, m.summary,
+    (SELECT COALESCE(group_concat(text, ' '), '') FROM action_items WHERE meeting_id = m.id)
+FROM meetings m
+WHERE m.id NOT IN (SELECT meeting_id FROM meetings_fts);
+
+INSERT OR IGNORE INTO schema_version (version, name, applied_at)
+VALUES (1, 'initial_schema', strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
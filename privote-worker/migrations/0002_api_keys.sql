@@ -0,0 +1,23 @@
+-- Migration 0002: per-user API keys
+--
+-- Keys are stored as SHA-256 hashes. scopes is a comma-separated list of
+-- read, write, delete and admin. Revoked keys are kept for auditing.
+
+CREATE TABLE api_keys (
+    id TEXT PRIMARY KEY,
+    label TEXT NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+    key_prefix TEXT NOT NULL,
+    scopes TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    last_used_at TEXT,
+    revoked INTEGER NOT NULL DEFAULT 0 CHECK (revoked IN (0, 1)),
+    revoked_at TEXT
+);
+
+-- The key that uploaded each meeting; NULL for the API_KEY secret, open
+-- access and meetings created before this migration
+ALTER TABLE meetings ADD COLUMN created_by_key_id TEXT REFERENCES api_keys(id);
+
+INSERT INTO schema_version (version, name, applied_at)
+VALUES (2, 'api_keys', strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
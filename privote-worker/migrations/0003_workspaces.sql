@@ -0,0 +1,31 @@
+-- Migration 0003: workspaces
+--
+-- Every meeting belongs to a workspace and API keys are granted access to
+-- workspaces. Existing meetings and keys move to the default workspace.
+
+CREATE TABLE workspaces (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    created_at TEXT NOT NULL
+);
+
+INSERT INTO workspaces (id, name, created_at)
+VALUES ('default', 'Default', strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+
+CREATE TABLE api_key_workspaces (
+    api_key_id TEXT NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+    workspace_id TEXT NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+    PRIMARY KEY (api_key_id, workspace_id)
+);
+
+INSERT INTO api_key_workspaces (api_key_id, workspace_id)
+SELECT id, 'default' FROM api_keys;
+
+-- SQLite cannot add a REFERENCES column with a non-NULL default, so the
+-- link to workspaces is enforced by the Worker.
+ALTER TABLE meetings ADD COLUMN workspace_id TEXT NOT NULL DEFAULT 'default';
+
+CREATE INDEX idx_meetings_workspace_created ON meetings(workspace_id, created_at);
+
+INSERT INTO schema_version (version, name, applied_at)
+VALUES (3, 'workspaces', strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
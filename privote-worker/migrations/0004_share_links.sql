@@ -0,0 +1,19 @@
+-- Migration 0004: read-only share links
+--
+-- The link token is signed and carries its own expiry; this table lets a
+-- link be listed and revoked before then.
+
+CREATE TABLE share_links (
+    id TEXT PRIMARY KEY,
+    meeting_id TEXT NOT NULL REFERENCES meetings(id) ON DELETE CASCADE,
+    include_transcript INTEGER NOT NULL DEFAULT 0 CHECK (include_transcript IN (0, 1)),
+    expires_at TEXT NOT NULL,
+    created_by_key_id TEXT REFERENCES api_keys(id),
+    created_at TEXT NOT NULL,
+    revoked_at TEXT
+);
+
+CREATE INDEX idx_share_links_meeting_id ON share_links(meeting_id);
+
+INSERT INTO schema_version (version, name, applied_at)
+VALUES (4, 'share_links', strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
@@ -0,0 +1,20 @@
+-- Migration 0006: timestamped transcript segments
+--
+-- Segments are the timed pieces of a transcript produced by Whisper on the
+-- desktop, with times in milliseconds from the start of the recording.
+-- Meetings uploaded without segments have none. Action items record when
+-- their source quote was said, where it could be found.
+
+CREATE TABLE segments (
+    meeting_id TEXT NOT NULL REFERENCES meetings(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    start_ms INTEGER NOT NULL CHECK (start_ms >= 0),
+    end_ms INTEGER NOT NULL CHECK (end_ms >= start_ms),
+    text TEXT NOT NULL,
+    PRIMARY KEY (meeting_id, position)
+);
+
+ALTER TABLE action_items ADD COLUMN source_start_ms INTEGER;
+
+INSERT INTO schema_version (version, name, applied_at)
+VALUES (6, 'segments', strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
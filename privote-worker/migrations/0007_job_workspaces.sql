@@ -0,0 +1,17 @@
+-- Migration 0007: job workspaces
+--
+-- Jobs record the workspace of the meeting they create, so that keys only
+-- see jobs in their workspaces. Existing jobs take it from their stored
+-- input, or from their meeting once the input has been dropped.
+
+ALTER TABLE jobs ADD COLUMN workspace_id TEXT NOT NULL DEFAULT 'default';
+
+UPDATE jobs
+SET workspace_id = COALESCE(
+    json_extract(input, '$.workspace_id'),
+    (SELECT workspace_id FROM meetings WHERE meetings.id = jobs.meeting_id),
+    'default'
+);
+
+INSERT INTO schema_version (version, name, applied_at)
+VALUES (7, 'job_workspaces', strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
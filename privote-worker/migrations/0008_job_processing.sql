@@ -0,0 +1,11 @@
+-- Migration 0008: job processing details
+--
+-- Completed transcript jobs record how the transcript was summarized: in a
+-- single pass or map-reduce, and over how many chunks. Both stay NULL until
+-- the job completes.
+
+ALTER TABLE jobs ADD COLUMN strategy TEXT;
+ALTER TABLE jobs ADD COLUMN chunk_count INTEGER;
+
+INSERT INTO schema_version (version, name, applied_at)
+VALUES (8, 'job_processing', strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
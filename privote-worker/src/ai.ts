@@ -0,0 +1,23 @@
+/**
+ * Model helpers shared by summarization and question answering.
+ */
+
+import type { ChatOptions, LLMProvider } from "./llm";
+
+/**
+ * Run a single-turn prompt with a system message.
+ */
+export async function runPrompt(
+  llm: LLMProvider,
+  systemPrompt: string,
+  prompt: string,
+  options?: ChatOptions
+): Promise<string> {
+  return llm.chat(
+    [
+      { role: "system", content: systemPrompt },
+      { role: "user", content: prompt }
+    ],
+    options
+  );
+}
@@ -0,0 +1,216 @@
+/**
+ * API key authentication.
+ *
+ * Callers present a key in the `X-API-Key` header. Keys minted through the
+ * admin routes are stored as SHA-256 hashes in `api_keys`, each with its own
+ * scopes and workspaces, and can be revoked one at a time. The `API_KEY`
+ * secret remains as a bootstrap key with every scope. Until the secret is set
+ * or the first key is minted, the API stays open, as it was before
+ * authentication was set up. Revoking every key does not reopen it.
+ */
+
+import type { Context, Next } from "hono";
+import { getKeyWorkspaceIds, setKeyWorkspacesStatements } from "./workspaces";
+
+export const API_KEY_SCOPES = ["read", "write", "delete", "admin"] as const;
+
+export type ApiKeyScope = typeof API_KEY_SCOPES[number];
+
+export interface ApiKey {
+  id: string;
+  label: string;
+  key_prefix: string;
+  scopes: ApiKeyScope[];
+  workspace_ids: string[];
+  created_at: string;
+  last_used_at: string | null;
+  revoked: boolean;
+  revoked_at: string | null;
+}
+
+interface ApiKeyRow extends Omit<ApiKey, "scopes" | "workspace_ids" | "revoked"> {
+  scopes: string;
+  workspace_ids: string | null;
+  revoked: number;
+}
+
+export interface AuthContext {
+  // null for the API_KEY secret and for open access
+  keyId: string | null;
+  scopes: ApiKeyScope[];
+  // null when every workspace is visible
+  workspaceIds: string[] | null;
+}
+
+export type AuthVariables = { auth: AuthContext };
+
+const KEY_PREFIX = "pv_";
+// Characters of the key kept in clear, so keys can be told apart in listings
+const DISPLAY_PREFIX_LENGTH = 10;
+
+const API_KEY_COLUMNS = `id, label, key_prefix, scopes, created_at, last_used_at, revoked, revoked_at,
+  (SELECT group_concat(workspace_id) FROM api_key_workspaces WHERE api_key_id = api_keys.id) AS workspace_ids`;
+
+export function isApiKeyScope(value: unknown): value is ApiKeyScope {
+  return typeof value === "string" && (API_KEY_SCOPES as readonly string[]).includes(value);
+}
+
+function toApiKey(row: ApiKeyRow): ApiKey {
+  return {
+    ...row,
+    scopes: row.scopes.split(",").filter(isApiKeyScope),
+    workspace_ids: row.workspace_ids ? row.workspace_ids.split(",").sort() : [],
+    revoked: row.revoked === 1,
+  };
+}
+
+export async function hashApiKey(key: string): Promise<string> {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(key));
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+function generateSecret(): string {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  return KEY_PREFIX + Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Constant-time comparison, so the secret cannot be guessed from timing.
+ */
+function safeEqual(a: string, b: string): boolean {
+  if (a.length !== b.length) {
+    return false;
+  }
+
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * Create a key. The plain key is only ever returned here; the database keeps
+ * its hash.
+ */
+export async function createApiKey(
+  db: D1Database,
+  id: string,
+  label: string,
+  scopes: ApiKeyScope[],
+  workspaceIds: string[],
+  timestamp: string
+): Promise<{ apiKey: ApiKey; key: string }> {
+  const key = generateSecret();
+  const keyPrefix = key.slice(0, DISPLAY_PREFIX_LENGTH);
+
+  await db.batch([
+    db
+      .prepare(
+        `INSERT INTO api_keys (id, label, key_hash, key_prefix, scopes, created_at)
+         VALUES (?, ?, ?, ?, ?, ?)`
+      )
+      .bind(id, label, await hashApiKey(key), keyPrefix, scopes.join(","), timestamp),
+    ...setKeyWorkspacesStatements(db, id, workspaceIds),
+  ]);
+
+  return {
+    key,
+    apiKey: {
+      id,
+      label,
+      key_prefix: keyPrefix,
+      scopes,
+      workspace_ids: [...workspaceIds].sort(),
+      created_at: timestamp,
+      last_used_at: null,
+      revoked: false,
+      revoked_at: null,
+    },
+  };
+}
+
+export async function listApiKeys(db: D1Database): Promise<ApiKey[]> {
+  const result = await db
+    .prepare(`SELECT ${API_KEY_COLUMNS} FROM api_keys ORDER BY created_at DESC`)
+    .all<ApiKeyRow>();
+
+  return result.results.map(toApiKey);
+}
+
+export async function getApiKey(db: D1Database, id: string): Promise<ApiKey | null> {
+  const row = await db
+    .prepare(`SELECT ${API_KEY_COLUMNS} FROM api_keys WHERE id = ?`)
+    .bind(id)
+    .first<ApiKeyRow>();
+
+  return row ? toApiKey(row) : null;
+}
+
+export async function revokeApiKey(db: D1Database, id: string, timestamp: string): Promise<void> {
+  await db
+    .prepare("UPDATE api_keys SET revoked = 1, revoked_at = ? WHERE id = ? AND revoked = 0")
+    .bind(timestamp, id)
+    .run();
+}
+
+/**
+ * Resolve the presented key to the caller's scopes, or null when the request
+ * must be rejected.
+ */
+export async function authenticate(
+  db: D1Database,
+  presentedKey: string | undefined,
+  serverApiKey: string | undefined
+): Promise<AuthContext | null> {
+  if (!presentedKey) {
+    if (serverApiKey) {
+      return null;
+    }
+
+    // Revoked keys count too, so revoking the last key locks the API
+    const anyKey = await db.prepare("SELECT 1 FROM api_keys LIMIT 1").first();
+    return anyKey ? null : { keyId: null, scopes: [...API_KEY_SCOPES], workspaceIds: null };
+  }
+
+  if (serverApiKey && safeEqual(presentedKey, serverApiKey)) {
+    return { keyId: null, scopes: [...API_KEY_SCOPES], workspaceIds: null };
+  }
+
+  const row = await db
+    .prepare("SELECT id, scopes FROM api_keys WHERE key_hash = ? AND revoked = 0")
+    .bind(await hashApiKey(presentedKey))
+    .first<{ id: string; scopes: string }>();
+
+  if (!row) {
+    return null;
+  }
+
+  const scopes = row.scopes.split(",").filter(isApiKeyScope);
+
+  return {
+    keyId: row.id,
+    scopes,
+    workspaceIds: scopes.includes("admin") ? null : await getKeyWorkspaceIds(db, row.id),
+  };
+}
+
+export async function touchApiKey(db: D1Database, id: string, timestamp: string): Promise<void> {
+  await db
+    .prepare("UPDATE api_keys SET last_used_at = ? WHERE id = ?")
+    .bind(timestamp, id)
+    .run();
+}
+
+/**
+ * Route middleware rejecting callers whose key lacks the scope.
+ */
+export function requireScope(scope: ApiKeyScope) {
+  return async (c: Context<{ Variables: AuthVariables }>, next: Next) => {
+    if (!c.get("auth").scopes.includes(scope)) {
+      return c.json({ error: `Forbidden: API key lacks the "${scope}" scope` }, 403);
+    }
+
+    await next();
+  };
+}
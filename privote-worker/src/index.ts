@@ -1,158 +1,775 @@
-import { Hono } from "hono";
+import { Hono, type Context } from "hono";
 import { cors } from "hono/cors";
+import {
+  summarizeTranscript,
+  regenerateSummary,
+  SUMMARY_STYLES,
+  type ExtractedActionItem,
+  type SummarizationStrategy,
+  type SummaryStyle,
+} from "./summarize";
+import { answerQuestion, answerAcrossMeetings } from "./qa";
+import { createVectorStore } from "./vector-store";
+import { createEmbeddingProvider, createLLMProvider, getLLMConfig } from "./llm";
+import {
+  indexMeetingTranscript,
+  removeMeetingFromIndex,
+  retrieveChunks,
+} from "./semantic-index";
+import {
+  createJob,
+  getJob,
+  getJobInput,
+  getJobStatus,
+  updateJob,
+  type TranscriptJobMessage,
+} from "./jobs";
+import {
+  getSchemaStatus,
+  describeSchemaStatus,
+  type SchemaStatus,
+} from "./schema";
+import {
+  authenticate,
+  createApiKey,
+  getApiKey,
+  isApiKeyScope,
+  listApiKeys,
+  requireScope,
+  revokeApiKey,
+  touchApiKey,
+  type ApiKeyScope,
+  type AuthContext,
+  type AuthVariables,
+} from "./auth";
+import {
+  canAccessWorkspace,
+  createWorkspace,
+  defaultWorkspaceFor,
+  findMissingWorkspaces,
+  listWorkspaces,
+  setKeyWorkspacesStatements,
+  workspaceCondition,
+  DEFAULT_WORKSPACE_ID,
+} from "./workspaces";
+import {
+  createShareLink,
+  getShareLink,
+  listShareLinks,
+  renderShareError,
+  renderSharePage,
+  revokeShareLink,
+  signShareToken,
+  verifyShareToken,
+} from "./share";
+import {
+  createWebhook,
+  deleteWebhook,
+  emitEvent,
+  generateWebhookSecret,
+  getWebhook,
+  isAllowedWebhookUrl,
+  isWebhookEvent,
+  listDeliveries,
+  listWebhooks,
+  retryDueDeliveries,
+  updateWebhook,
+  WEBHOOK_EVENTS,
+  type WebhookUpdate,
+  type WebhookEvent,
+} from "./webhooks";
+import {
+  fetchSegments,
+  insertSegmentStatements,
+  locateQuote,
+  normalizeSegments,
+  renderTimestampedTranscript,
+  validateSegments,
+  type TranscriptSegment,
+} from "./segments";
 
-const app = new Hono<{ Bindings: CloudflareBindings }>();
+// Number of transcript chunks retrieved for cross-meeting questions
+const DEFAULT_RETRIEVAL_TOP_K = 8;
+const MAX_RETRIEVAL_TOP_K = 20;
+
+// Share link lifetime, in hours
+const DEFAULT_SHARE_EXPIRY_HOURS = 24 * 7;
+const MAX_SHARE_EXPIRY_HOURS = 24 * 90;
+
+// Shared pages are static: no scripts, no embedding, no indexing, no caching
+const SHARE_PAGE_HEADERS = {
+  "Content-Security-Policy": "default-src 'none'; style-src 'unsafe-inline'; frame-ancestors 'none'",
+  "X-Robots-Tag": "noindex, nofollow",
+  "Referrer-Policy": "no-referrer",
+  "Cache-Control": "no-store",
+};
+
+const app = new Hono<{ Bindings: CloudflareBindings; Variables: AuthVariables }>();
 
 app.use("/*", cors({
   origin: "*",
-  allowMethods: ["GET", "POST", "DELETE", "OPTIONS"],
+  allowMethods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
   allowHeaders: ["Content-Type", "X-API-Key"],
 }));
 
-// Authentication middleware
+// Once the database is found up to date, the result is kept for the lifetime
+// of the isolate.
+let schemaVerified = false;
+
+/**
+ * Check the database schema version, returning its status only when it does
+ * not match this Worker.
+ */
+async function findOutdatedSchema(db: D1Database): Promise<SchemaStatus | null> {
+  if (schemaVerified) {
+    return null;
+  }
+
+  const status = await getSchemaStatus(db);
+  if (status.upToDate) {
+    schemaVerified = true;
+    return null;
+  }
+
+  return status;
+}
+
+// Authentication middleware. Routes check the caller's scopes with requireScope.
 app.use("/api/*", async (c, next) => {
-  const apiKey = c.req.header("X-API-Key");
-  const serverApiKey = (c.env as any).API_KEY;
-  
-  // If API_KEY is configured, require authentication
-  if (serverApiKey && (!apiKey || apiKey !== serverApiKey)) {
+  let auth: AuthContext | null;
+  try {
+    auth = await authenticate(
+      c.env.privote_db,
+      c.req.header("X-API-Key"),
+      (c.env as any).API_KEY
+    );
+  } catch (error) {
+    // The API key tables may not exist yet. The caller is not authenticated,
+    // so the schema details are left out.
+    if (await findOutdatedSchema(c.env.privote_db)) {
+      return c.json({ error: "Database schema is out of date" }, 503);
+    }
+    throw error;
+  }
+
+  if (!auth) {
     return c.json({ error: "Unauthorized: Invalid or missing API key" }, 401);
   }
-  
+
+  if (auth.keyId) {
+    c.executionCtx.waitUntil(
+      touchApiKey(c.env.privote_db, auth.keyId, getCurrentTimestamp()).catch((error) => {
+        console.error("Error recording API key use:", error);
+      })
+    );
+  }
+
+  c.set("auth", auth);
+  await next();
+});
+
+// Schema version check, after authentication so that only callers with a
+// valid key learn about the database
+app.use("/api/*", async (c, next) => {
+  const status = await findOutdatedSchema(c.env.privote_db);
+
+  if (status) {
+    return c.json({
+      error: "Database schema is out of date",
+      details: describeSchemaStatus(status),
+      schema_version: status.current,
+      required_schema_version: status.required
+    }, 503);
+  }
+
   await next();
 });
 
+const ACTION_ITEM_STATUSES = ["open", "done", "dropped"] as const;
+
+type ActionItemStatus = typeof ACTION_ITEM_STATUSES[number];
+
+interface ActionItem {
+  id: string;
+  meeting_id: string;
+  text: string;
+  assignee: string | null;
+  due_date: string | null;
+  source_quote: string | null;
+  source_start_ms: number | null;
+  status: ActionItemStatus;
+  position: number;
+  created_at: string;
+  updated_at: string;
+}
+
 interface Meeting {
   id: string;
   title: string;
   transcript: string;
   summary: string;
-  action_items: string;
   meeting_date: string;
   meeting_time: string;
+  workspace_id: string;
+  created_by_key_id: string | null;
   created_at: string;
   updated_at: string;
 }
 
-interface TranscriptRequest {
-  transcript: string;
+interface MeetingWithActionItems extends Meeting {
+  action_items: ActionItem[];
+  segments?: TranscriptSegment[];
+}
+
+interface ActionItemInput {
+  id?: string;
+  text?: string;
+  assignee?: string | null;
+  due_date?: string | null;
+  source_quote?: string | null;
+  source_start_ms?: number | null;
+  status?: string;
+}
+
+interface MeetingUpdateRequest {
   title?: string;
   meeting_date?: string;
   meeting_time?: string;
+  summary?: string;
+  transcript?: string;
+  action_items?: ActionItemInput[];
 }
 
-interface AIResponse {
-  response: string;
+interface RegenerateRequest {
+  style?: string;
+  instruction?: string;
 }
 
-async function generateSummary(ai: any, transcript: string): Promise<string> {
-  const prompt = `You are a professional meeting assistant. Summarize the following meeting transcript in a concise, structured manner. Focus on the main topics discussed and overall context.
+interface AskRequest {
+  question?: string;
+  history?: unknown;
+}
 
-Transcript:
-${transcript}
+interface CrossMeetingAskRequest extends AskRequest {
+  top_k?: number;
+}
 
-Provide a clear and concise summary of the meeting.`;
+interface ActionItemUpdateRequest {
+  status?: string;
+}
 
-  const response = await ai.run("@cf/meta/llama-3.1-8b-instruct-fp8-fast", {
-    messages: [
-      { role: "system", content: "You are a helpful meeting assistant that creates clear, concise summaries." },
-      { role: "user", content: prompt }
-    ],
-    max_tokens: 512,
-    temperature: 0.3,
-  }) as AIResponse;
+interface TranscriptRequest {
+  transcript: string;
+  segments?: unknown;
+  title?: string;
+  meeting_date?: string;
+  meeting_time?: string;
+  workspace_id?: string;
+}
 
-  return response.response || "Summary generation failed.";
+interface TranscriptJobInput {
+  transcript: string;
+  segments?: TranscriptSegment[];
+  title: string;
+  meeting_date: string;
+  meeting_time: string;
+  workspace_id: string;
+  created_by_key_id: string | null;
 }
 
-async function extractActionItems(ai: any, transcript: string): Promise<string> {
-  const prompt = `Analyze the following meeting transcript and extract all action items, tasks, and commitments mentioned.
+interface ApiKeyRequest {
+  label?: string;
+  scopes?: unknown;
+  workspace_ids?: unknown;
+}
 
-Transcript:
-${transcript}
+interface KeyWorkspacesRequest {
+  workspace_ids?: unknown;
+}
 
-List each action item on a new line, prefixed with a bullet point. If no action items are found, respond with "No action items identified."`;
+interface WorkspaceRequest {
+  name?: string;
+}
 
-  const response = await ai.run("@cf/meta/llama-3.1-8b-instruct-fp8-fast", {
-    messages: [
-      { role: "system", content: "You are a helpful meeting assistant that extracts action items accurately." },
-      { role: "user", content: prompt }
-    ],
-    max_tokens: 512,
-    temperature: 0.2,
-  }) as AIResponse;
+interface WebhookRequest {
+  url?: string;
+  events?: unknown;
+  workspace_id?: string | null;
+  secret?: string;
+  active?: unknown;
+  rotate_secret?: unknown;
+}
 
-  return response.response || "No action items identified.";
+interface ShareRequest {
+  expires_in_hours?: number;
+  include_transcript?: boolean;
 }
 
-function generateId(): string {
-  return `meeting_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+function generateId(prefix: string = "meeting"): string {
+  return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 }
 
 function getCurrentTimestamp(): string {
   return new Date().toISOString();
 }
 
+function isActionItemStatus(value: unknown): value is ActionItemStatus {
+  return typeof value === "string" && (ACTION_ITEM_STATUSES as readonly string[]).includes(value);
+}
 
-app.post("/api/transcripts", async (c) => {
-  try {
-    const body = await c.req.json<TranscriptRequest>();
+function isIsoDate(value: string): boolean {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
 
-    if (!body.transcript || body.transcript.trim().length === 0) {
-      return c.json({ error: "Transcript is required and cannot be empty" }, 400);
+function isTime(value: string): boolean {
+  return /^\d{2}:\d{2}(:\d{2})?$/.test(value);
+}
+
+function nullableString(value: unknown): string | null {
+  return typeof value === "string" && value.trim().length > 0 ? value.trim() : null;
+}
+
+/**
+ * Validate a list of edited action items. Returns an error message, or null
+ * when every item is well formed.
+ */
+function validateActionItemInputs(items: unknown): string | null {
+  if (!Array.isArray(items)) {
+    return "action_items must be an array";
+  }
+
+  for (const item of items as ActionItemInput[]) {
+    if (!item || typeof item.text !== "string" || item.text.trim().length === 0) {
+      return "Every action item needs non-empty text";
     }
+    if (item.due_date && !isIsoDate(item.due_date)) {
+      return "Action item due dates must use the YYYY-MM-DD format";
+    }
+    if (item.status !== undefined && !isActionItemStatus(item.status)) {
+      return `Action item status must be one of: ${ACTION_ITEM_STATUSES.join(", ")}`;
+    }
+    if (
+      item.source_start_ms !== undefined &&
+      item.source_start_ms !== null &&
+      !(Number.isInteger(item.source_start_ms) && item.source_start_ms >= 0)
+    ) {
+      return "Action item source_start_ms must be a whole number of milliseconds";
+    }
+  }
 
-    const transcript = body.transcript.trim();
-    const title = body.title?.trim() || `Meeting ${new Date().toLocaleDateString()}`;
-    const meetingDate = body.meeting_date || new Date().toISOString().split('T')[0];
-    const meetingTime = body.meeting_time || new Date().toISOString().split('T')[1].split('.')[0];
+  return null;
+}
 
-    console.log(`Processing transcript: ${title}`);
+/**
+ * Build the statements that replace a meeting's action items with an edited
+ * list. Items that carry the ID of an existing item are updated in place so
+ * they keep their creation time; the rest are inserted and any existing item
+ * missing from the list is removed.
+ */
+function replaceActionItemStatements(
+  db: D1Database,
+  meetingId: string,
+  existing: ActionItem[],
+  inputs: ActionItemInput[],
+  timestamp: string
+): D1PreparedStatement[] {
+  const existingIds = new Set(existing.map((item) => item.id));
+  const keptIds = new Set<string>();
+  const statements: D1PreparedStatement[] = [];
+  const inserts: ActionItem[] = [];
 
-    const [summary, actionItems] = await Promise.all([
-      generateSummary(c.env.AI, transcript),
-      extractActionItems(c.env.AI, transcript),
-    ]);
+  inputs.forEach((input, position) => {
+    const fields = {
+      text: (input.text as string).trim(),
+      assignee: nullableString(input.assignee),
+      due_date: nullableString(input.due_date),
+      source_quote: nullableString(input.source_quote),
+      source_start_ms: input.source_start_ms ?? null,
+      status: isActionItemStatus(input.status) ? input.status : "open",
+    };
 
-    const id = generateId();
-    const timestamp = getCurrentTimestamp();
+    if (input.id && existingIds.has(input.id) && !keptIds.has(input.id)) {
+      keptIds.add(input.id);
+      statements.push(
+        db
+          .prepare(
+            `UPDATE action_items
+             SET text = ?, assignee = ?, due_date = ?, source_quote = ?, source_start_ms = ?, status = ?, position = ?, updated_at = ?
+             WHERE id = ?`
+          )
+          .bind(
+            fields.text,
+            fields.assignee,
+            fields.due_date,
+            fields.source_quote,
+            fields.source_start_ms,
+            fields.status,
+            position,
+            timestamp,
+            input.id
+          )
+      );
+      return;
+    }
 
-    await c.env.privote_db
+    inserts.push({
+      id: generateId("action"),
+      meeting_id: meetingId,
+      ...fields,
+      position,
+      created_at: timestamp,
+      updated_at: timestamp,
+    });
+  });
+
+  for (const item of existing) {
+    if (!keptIds.has(item.id)) {
+      statements.push(
+        db.prepare("DELETE FROM action_items WHERE id = ?").bind(item.id)
+      );
+    }
+  }
+
+  return [...statements, ...insertActionItemStatements(db, inserts)];
+}
+
+/**
+ * Turn free-form user input into a safe FTS5 query. Each word is quoted so
+ * that FTS5 operators in the input are matched literally, and the last word
+ * is treated as a prefix so results appear while the user is still typing.
+ * Punctuation is dropped, as the tokenizer ignores it and a phrase without
+ * any word is a syntax error.
+ */
+function buildSearchQuery(input: string): string | null {
+  const terms = input
+    .split(/\s+/)
+    .map((term) => term.replace(/[^\p{L}\p{N}]+/gu, " ").trim())
+    .filter((term) => term.length > 0)
+    .slice(0, 12);
+
+  if (terms.length === 0) {
+    return null;
+  }
+
+  return terms
+    .map((term, i) => `"${term}"${i === terms.length - 1 ? "*" : ""}`)
+    .join(" ");
+}
+
+/**
+ * Turn extracted action items into rows. With segments, each source quote
+ * is matched to the time it was said.
+ */
+function buildActionItems(
+  meetingId: string,
+  items: ExtractedActionItem[],
+  timestamp: string,
+  segments: TranscriptSegment[] = []
+): ActionItem[] {
+  return items.map((item, index) => {
+    const source = locateQuote(segments, item.source_quote);
+
+    return {
+      id: generateId("action"),
+      meeting_id: meetingId,
+      text: item.text,
+      assignee: item.assignee,
+      due_date: item.due_date,
+      source_quote: source.quote,
+      source_start_ms: source.start_ms,
+      status: "open",
+      position: index,
+      created_at: timestamp,
+      updated_at: timestamp,
+    };
+  });
+}
+
+function insertActionItemStatements(db: D1Database, items: ActionItem[]): D1PreparedStatement[] {
+  return items.map((item) =>
+    db
       .prepare(
-        `INSERT INTO meetings 
-        (id, title, transcript, summary, action_items, meeting_date, meeting_time, created_at, updated_at)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+        `INSERT INTO action_items
+        (id, meeting_id, text, assignee, due_date, source_quote, source_start_ms, status, position, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
       )
       .bind(
-        id,
-        title,
-        transcript,
-        summary,
-        actionItems,
-        meetingDate,
-        meetingTime,
-        timestamp,
-        timestamp
+        item.id,
+        item.meeting_id,
+        item.text,
+        item.assignee,
+        item.due_date,
+        item.source_quote,
+        item.source_start_ms,
+        item.status,
+        item.position,
+        item.created_at,
+        item.updated_at
       )
-      .run();
+  );
+}
+
+/**
+ * Load a meeting if it exists in one of the caller's workspaces. Meetings in
+ * other workspaces are reported as not found rather than forbidden.
+ */
+async function findVisibleMeeting<T = Meeting>(
+  db: D1Database,
+  auth: AuthContext,
+  id: string,
+  columns: string = "*"
+): Promise<T | null> {
+  const condition = workspaceCondition(auth, "workspace_id");
+
+  return db
+    .prepare(
+      `SELECT ${columns} FROM meetings WHERE id = ?${condition ? ` AND ${condition.sql}` : ""}`
+    )
+    .bind(id, ...(condition?.params ?? []))
+    .first<T>();
+}
+
+/**
+ * Send a webhook event after the response, without delaying it.
+ */
+function emitInBackground(
+  c: Context<{ Bindings: CloudflareBindings; Variables: AuthVariables }>,
+  event: WebhookEvent,
+  workspaceId: string,
+  data: unknown
+): void {
+  c.executionCtx.waitUntil(emitEvent(c.env.privote_db, event, workspaceId, data));
+}
+
+function validateWorkspaceIds(value: unknown): string | null {
+  if (
+    !Array.isArray(value) ||
+    value.length === 0 ||
+    !value.every((id) => typeof id === "string" && id.trim().length > 0)
+  ) {
+    return "workspace_ids must be a non-empty array of workspace IDs";
+  }
+  return null;
+}
+
+async function fetchActionItems(db: D1Database, meetingId: string): Promise<ActionItem[]> {
+  const result = await db
+    .prepare("SELECT * FROM action_items WHERE meeting_id = ? ORDER BY position ASC")
+    .bind(meetingId)
+    .all<ActionItem>();
+
+  return result.results;
+}
+
+
+/**
+ * Summarize an uploaded transcript, store the meeting and index it, recording
+ * each stage on the job. Failures are recorded on the job instead of thrown,
+ * as nothing is waiting on the result.
+ */
+async function processTranscriptJob(env: CloudflareBindings, jobId: string): Promise<void> {
+  const db = env.privote_db;
+
+  try {
+    // Queues deliver at least once, so a job may arrive again after it finished
+    const job = await getJob(db, jobId);
+    if (!job) {
+      throw new Error("Job not found");
+    }
+    if (job.status === "completed" || job.status === "failed") {
+      console.log(`Skipping transcript job ${jobId}: already ${job.status}`);
+      return;
+    }
+
+    const input = await getJobInput<TranscriptJobInput>(db, jobId);
+    if (!input) {
+      throw new Error("Job input is missing");
+    }
+
+    console.log(`Processing transcript: ${input.title}`);
+    await updateJob(db, jobId, { status: "processing", stage: "summarizing", progress: 5 });
+
+    const segments = input.segments ?? [];
+
+    // The meeting ID comes from the job, so a redelivered job finds the
+    // meeting an earlier attempt saved instead of summarizing it again
+    const id = jobId.replace(/^job_/, "meeting_");
+    const saved = await db
+      .prepare("SELECT summary, created_at FROM meetings WHERE id = ?")
+      .bind(id)
+      .first<Pick<Meeting, "summary" | "created_at">>();
+
+    let summary: string;
+    let items: ActionItem[];
+    let strategy: SummarizationStrategy | null;
+    let chunkCount: number | null;
+    let timestamp: string;
+
+    if (saved) {
+      console.log(`Resuming transcript job ${jobId}: meeting ${id} is already saved`);
+      ({ summary, created_at: timestamp } = saved);
+      items = await fetchActionItems(db, id);
+      strategy = job.strategy;
+      chunkCount = job.chunk_count;
+    } else {
+      // Summarization is the bulk of the work, so it covers 5-80%
+      const result = await summarizeTranscript(
+        createLLMProvider(env),
+        segments.length > 0 ? renderTimestampedTranscript(segments) : input.transcript,
+        {
+          meetingDate: input.meeting_date,
+          timestamped: segments.length > 0,
+          onProgress: (completed, total) =>
+            updateJob(db, jobId, { progress: 5 + Math.round((completed / total) * 75) }),
+        }
+      );
+      ({ summary, strategy, chunkCount } = result);
+
+      await updateJob(db, jobId, {
+        stage: "saving",
+        progress: 85,
+        strategy,
+        chunk_count: chunkCount,
+      });
 
-    const meeting: Meeting = {
+      timestamp = getCurrentTimestamp();
+      items = buildActionItems(id, result.actionItems, timestamp, segments);
+
+      await db.batch([
+        db
+          .prepare(
+            `INSERT INTO meetings 
+            (id, title, transcript, summary, meeting_date, meeting_time, workspace_id, created_by_key_id, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+          )
+          .bind(
+            id,
+            input.title,
+            input.transcript,
+            summary,
+            input.meeting_date,
+            input.meeting_time,
+            input.workspace_id ?? DEFAULT_WORKSPACE_ID,
+            input.created_by_key_id ?? null,
+            timestamp,
+            timestamp
+          ),
+        ...insertActionItemStatements(db, items),
+        ...insertSegmentStatements(db, id, segments),
+      ]);
+    }
+
+    await updateJob(db, jobId, { stage: "indexing", progress: 90, meeting_id: id });
+
+    // A failed embedding should not lose the summary, so indexing errors are
+    // logged rather than failing the job.
+    let indexedChunks = 0;
+    try {
+      indexedChunks = await indexMeetingTranscript(db, createEmbeddingProvider(env), createVectorStore(env), id, input.transcript);
+    } catch (error) {
+      console.error(`Error indexing transcript for ${id}:`, error);
+    }
+
+    console.log(
+      `Processed ${id} (${strategy}, ${chunkCount} chunks, ${indexedChunks} indexed)`
+    );
+    await updateJob(db, jobId, {
+      status: "completed",
+      stage: "done",
+      progress: 100,
+      strategy,
+      chunk_count: chunkCount,
+    });
+
+    const meeting: MeetingWithActionItems = {
       id,
-      title,
-      transcript,
+      title: input.title,
+      transcript: input.transcript,
       summary,
-      action_items: actionItems,
-      meeting_date: meetingDate,
-      meeting_time: meetingTime,
+      action_items: items,
+      segments,
+      meeting_date: input.meeting_date,
+      meeting_time: input.meeting_time,
+      workspace_id: input.workspace_id ?? DEFAULT_WORKSPACE_ID,
+      created_by_key_id: input.created_by_key_id ?? null,
       created_at: timestamp,
       updated_at: timestamp,
     };
+    await emitEvent(db, "meeting.created", meeting.workspace_id, { meeting });
+
+  } catch (error) {
+    console.error(`Error processing transcript job ${jobId}:`, error);
+    await updateJob(db, jobId, {
+      status: "failed",
+      error: error instanceof Error ? error.message : "Unknown error",
+    }).catch((updateError) => {
+      console.error(`Error recording failure for job ${jobId}:`, updateError);
+    });
+  }
+}
+
+app.post("/api/transcripts", requireScope("write"), async (c) => {
+  try {
+    const body = await c.req.json<TranscriptRequest>();
+
+    if (!body.transcript || body.transcript.trim().length === 0) {
+      return c.json({ error: "Transcript is required and cannot be empty" }, 400);
+    }
+
+    if (body.segments !== undefined) {
+      const validationError = validateSegments(body.segments);
+      if (validationError) {
+        return c.json({ error: validationError }, 400);
+      }
+    }
+
+    const auth = c.get("auth");
+    const workspaceId = body.workspace_id?.trim() || defaultWorkspaceFor(auth);
+
+    if (!canAccessWorkspace(auth, workspaceId)) {
+      return c.json({ error: `API key has no access to workspace ${workspaceId}` }, 403);
+    }
+
+    if ((await findMissingWorkspaces(c.env.privote_db, [workspaceId])).length > 0) {
+      return c.json({ error: `Workspace ${workspaceId} not found` }, 400);
+    }
+
+    const input: TranscriptJobInput = {
+      transcript: body.transcript.trim(),
+      segments: body.segments
+        ? normalizeSegments(body.segments as TranscriptSegment[])
+        : [],
+      title: body.title?.trim() || `Meeting ${new Date().toLocaleDateString()}`,
+      meeting_date: body.meeting_date || new Date().toISOString().split('T')[0],
+      meeting_time: body.meeting_time || new Date().toISOString().split('T')[1].split('.')[0],
+      workspace_id: workspaceId,
+      created_by_key_id: auth.keyId,
+    };
+
+    const job = await createJob(
+      c.env.privote_db,
+      generateId("job"),
+      "transcript",
+      workspaceId,
+      input,
+      getCurrentTimestamp()
+    );
+
+    // Prefer the queue when one is bound: consumers are not limited to the
+    // time a request may keep running after its response.
+    const queue = (c.env as any).TRANSCRIPT_QUEUE as Queue<TranscriptJobMessage> | undefined;
+    if (queue) {
+      await queue.send({ job_id: job.id });
+    } else {
+      c.executionCtx.waitUntil(processTranscriptJob(c.env, job.id));
+    }
 
     return c.json({
       success: true,
-      message: "Transcript processed successfully",
-      meeting
-    }, 201);
+      message: "Transcript accepted for processing",
+      job,
+      status_url: `/api/jobs/${job.id}`
+    }, 202);
 
   } catch (error) {
     console.error("Error processing transcript:", error);
@@ -163,23 +780,65 @@ app.post("/api/transcripts", async (c) => {
   }
 });
 
-app.get("/api/meetings", async (c) => {
+app.get("/api/jobs/:id", requireScope("read"), async (c) => {
+  try {
+    const id = c.req.param("id");
+    const job = await getJobStatus(c.env.privote_db, id);
+
+    if (!job || !canAccessWorkspace(c.get("auth"), job.workspace_id)) {
+      return c.json({ error: "Job not found" }, 404);
+    }
+
+    return c.json({
+      success: true,
+      job
+    });
+
+  } catch (error) {
+    console.error("Error fetching job:", error);
+    return c.json({
+      error: "Failed to fetch job",
+      details: error instanceof Error ? error.message : "Unknown error"
+    }, 500);
+  }
+});
+
+app.get("/api/meetings", requireScope("read"), async (c) => {
   try {
     const limit = parseInt(c.req.query("limit") || "50");
     const offset = parseInt(c.req.query("offset") || "0");
+    const workspaceId = c.req.query("workspace_id");
+
+    const conditions: string[] = [];
+    const params: string[] = [];
+
+    const visible = workspaceCondition(c.get("auth"), "workspace_id");
+    if (visible) {
+      conditions.push(visible.sql);
+      params.push(...visible.params);
+    }
+
+    if (workspaceId) {
+      conditions.push("workspace_id = ?");
+      params.push(workspaceId);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
 
     const result = await c.env.privote_db
       .prepare(
-        `SELECT id, title, meeting_date, meeting_time, created_at, updated_at 
+        `SELECT id, title, meeting_date, meeting_time, workspace_id, created_by_key_id, created_at, updated_at 
          FROM meetings 
+         ${where}
          ORDER BY created_at DESC 
          LIMIT ? OFFSET ?`
       )
-      .bind(limit, offset)
+      .bind(...params, limit, offset)
       .all();
 
     const countResult = await c.env.privote_db
-      .prepare("SELECT COUNT(*) as count FROM meetings")
+      .prepare(`SELECT COUNT(*) as count FROM meetings ${where}`)
+      .bind(...params)
       .first<{ count: number }>();
 
     return c.json({
@@ -202,38 +861,93 @@ app.get("/api/meetings", async (c) => {
   }
 });
 
-app.get("/api/meetings/:id", async (c) => {
+app.get("/api/meetings/search", requireScope("read"), async (c) => {
   try {
-    const id = c.req.param("id");
+    const q = c.req.query("q") || "";
+    const limit = parseInt(c.req.query("limit") || "20");
+    const offset = parseInt(c.req.query("offset") || "0");
+    const query = buildSearchQuery(q);
 
-    if (!id) {
-      return c.json({ error: "Meeting ID is required" }, 400);
+    if (!query) {
+      return c.json({ error: "Search query (q) must contain at least one word" }, 400);
     }
 
-    const meeting = await c.env.privote_db
-      .prepare("SELECT * FROM meetings WHERE id = ?")
-      .bind(id)
-      .first<Meeting>();
+    const visible = workspaceCondition(c.get("auth"), "m.workspace_id");
+    const visibleSql = visible ? `AND ${visible.sql}` : "";
+    const visibleParams = visible?.params ?? [];
 
-    if (!meeting) {
-      return c.json({ error: "Meeting not found" }, 404);
-    }
+    const result = await c.env.privote_db
+      .prepare(
+        `SELECT m.id, m.title, m.meeting_date, m.meeting_time, m.workspace_id, m.created_at, m.updated_at,
+                highlight(meetings_fts, 1, '<mark>', '</mark>') AS title_highlight,
+                snippet(meetings_fts, 2, '<mark>', '</mark>', '…', 24) AS transcript_snippet,
+                snippet(meetings_fts, 3, '<mark>', '</mark>', '…', 24) AS summary_snippet,
+                snippet(meetings_fts, 4, '<mark>', '</mark>', '…', 24) AS action_items_snippet
+         FROM meetings_fts
+         JOIN meetings m ON m.id = meetings_fts.meeting_id
+         WHERE meetings_fts MATCH ? ${visibleSql}
+         ORDER BY bm25(meetings_fts, 0.0, 10.0, 1.0, 5.0, 3.0)
+         LIMIT ? OFFSET ?`
+      )
+      .bind(query, ...visibleParams, limit, offset)
+      .all<Record<string, string>>();
+
+    const countResult = await c.env.privote_db
+      .prepare(
+        `SELECT COUNT(*) as count
+         FROM meetings_fts
+         JOIN meetings m ON m.id = meetings_fts.meeting_id
+         WHERE meetings_fts MATCH ? ${visibleSql}`
+      )
+      .bind(query, ...visibleParams)
+      .first<{ count: number }>();
+
+    // snippet() returns the start of a column even when the match is
+    // elsewhere, so only report the snippets that contain a hit.
+    const results = result.results.map((row) => {
+      const snippets: Record<string, string> = {};
+      for (const column of ["transcript", "summary", "action_items"]) {
+        const snippet = row[`${column}_snippet`];
+        if (snippet && snippet.includes("<mark>")) {
+          snippets[column] = snippet;
+        }
+      }
+
+      return {
+        id: row.id,
+        title: row.title,
+        title_highlight: row.title_highlight,
+        meeting_date: row.meeting_date,
+        meeting_time: row.meeting_time,
+        workspace_id: row.workspace_id,
+        created_at: row.created_at,
+        updated_at: row.updated_at,
+        snippets,
+      };
+    });
 
     return c.json({
       success: true,
-      meeting
+      query: q,
+      results,
+      pagination: {
+        total: countResult?.count || 0,
+        limit,
+        offset,
+        hasMore: (offset + limit) < (countResult?.count || 0)
+      }
     });
 
   } catch (error) {
-    console.error("Error fetching meeting:", error);
+    console.error("Error searching meetings:", error);
     return c.json({
-      error: "Failed to fetch meeting",
+      error: "Failed to search meetings",
       details: error instanceof Error ? error.message : "Unknown error"
     }, 500);
   }
 });
 
-app.delete("/api/meetings/:id", async (c) => {
+app.get("/api/meetings/:id", requireScope("read"), async (c) => {
   try {
     const id = c.req.param("id");
 
@@ -241,51 +955,1168 @@ app.delete("/api/meetings/:id", async (c) => {
       return c.json({ error: "Meeting ID is required" }, 400);
     }
 
-    const existing = await c.env.privote_db
-      .prepare("SELECT id FROM meetings WHERE id = ?")
-      .bind(id)
-      .first();
+    const meeting = await findVisibleMeeting(c.env.privote_db, c.get("auth"), id);
 
-    if (!existing) {
+    if (!meeting) {
       return c.json({ error: "Meeting not found" }, 404);
     }
 
-    await c.env.privote_db
-      .prepare("DELETE FROM meetings WHERE id = ?")
-      .bind(id)
-      .run();
+    const [actionItems, segments] = await Promise.all([
+      fetchActionItems(c.env.privote_db, id),
+      fetchSegments(c.env.privote_db, id),
+    ]);
 
     return c.json({
       success: true,
-      message: "Meeting deleted successfully"
+      meeting: { ...meeting, action_items: actionItems, segments }
     });
 
   } catch (error) {
-    console.error("Error deleting meeting:", error);
+    console.error("Error fetching meeting:", error);
     return c.json({
-      error: "Failed to delete meeting",
+      error: "Failed to fetch meeting",
       details: error instanceof Error ? error.message : "Unknown error"
     }, 500);
   }
 });
 
-app.get("/health", (c) => {
-  return c.json({
-    status: "healthy",
-    timestamp: new Date().toISOString()
-  });
-});
+app.patch("/api/meetings/:id", requireScope("write"), async (c) => {
+  try {
+    const id = c.req.param("id");
+    const body = await c.req.json<MeetingUpdateRequest>();
 
-app.notFound((c) => {
-  return c.json({ error: "Not Found" }, 404);
-});
+    const meeting = await findVisibleMeeting(c.env.privote_db, c.get("auth"), id);
 
-app.onError((err, c) => {
-  console.error("Unhandled error:", err);
-  return c.json({
-    error: "Internal Server Error",
-    details: err.message
-  }, 500);
-});
+    if (!meeting) {
+      return c.json({ error: "Meeting not found" }, 404);
+    }
+
+    const updates: Partial<Meeting> = {};
 
-export default app;
+    for (const field of ["title", "summary", "transcript"] as const) {
+      if (body[field] === undefined) continue;
+      if (typeof body[field] !== "string" || body[field].trim().length === 0) {
+        return c.json({ error: `${field} cannot be empty` }, 400);
+      }
+      updates[field] = body[field].trim();
+    }
+
+    if (body.meeting_date !== undefined) {
+      if (typeof body.meeting_date !== "string" || !isIsoDate(body.meeting_date)) {
+        return c.json({ error: "meeting_date must use the YYYY-MM-DD format" }, 400);
+      }
+      updates.meeting_date = body.meeting_date;
+    }
+
+    if (body.meeting_time !== undefined) {
+      if (typeof body.meeting_time !== "string" || !isTime(body.meeting_time)) {
+        return c.json({ error: "meeting_time must use the HH:MM or HH:MM:SS format" }, 400);
+      }
+      updates.meeting_time = body.meeting_time;
+    }
+
+    if (body.action_items !== undefined) {
+      const validationError = validateActionItemInputs(body.action_items);
+      if (validationError) {
+        return c.json({ error: validationError }, 400);
+      }
+    }
+
+    if (Object.keys(updates).length === 0 && body.action_items === undefined) {
+      return c.json({ error: "No updatable fields provided" }, 400);
+    }
+
+    const timestamp = getCurrentTimestamp();
+    const columns = Object.keys(updates);
+    const statements: D1PreparedStatement[] = [
+      c.env.privote_db
+        .prepare(
+          `UPDATE meetings SET ${[...columns, "updated_at"].map((col) => `${col} = ?`).join(", ")}
+           WHERE id = ?`
+        )
+        .bind(...Object.values(updates), timestamp, id),
+    ];
+
+    // An edited transcript no longer lines up with the recording
+    if (updates.transcript !== undefined) {
+      statements.push(
+        c.env.privote_db.prepare("DELETE FROM segments WHERE meeting_id = ?").bind(id)
+      );
+    }
+
+    if (body.action_items !== undefined) {
+      const existingItems = await fetchActionItems(c.env.privote_db, id);
+      statements.push(
+        ...replaceActionItemStatements(
+          c.env.privote_db,
+          id,
+          existingItems,
+          body.action_items,
+          timestamp
+        )
+      );
+    }
+
+    await c.env.privote_db.batch(statements);
+
+    if (updates.transcript !== undefined) {
+      try {
+        await indexMeetingTranscript(
+          c.env.privote_db,
+          createEmbeddingProvider(c.env),
+          createVectorStore(c.env),
+          id,
+          updates.transcript
+        );
+      } catch (error) {
+        console.error(`Error re-indexing transcript for ${id}:`, error);
+      }
+    }
+
+    const updated: MeetingWithActionItems = {
+      ...meeting,
+      ...updates,
+      updated_at: timestamp,
+      action_items: await fetchActionItems(c.env.privote_db, id),
+      segments: await fetchSegments(c.env.privote_db, id),
+    };
+    emitInBackground(c, "meeting.updated", updated.workspace_id, { meeting: updated });
+
+    return c.json({
+      success: true,
+      message: "Meeting updated successfully",
+      meeting: updated
+    });
+
+  } catch (error) {
+    console.error("Error updating meeting:", error);
+    return c.json({
+      error: "Failed to update meeting",
+      details: error instanceof Error ? error.message : "Unknown error"
+    }, 500);
+  }
+});
+
+app.post("/api/meetings/:id/regenerate", requireScope("write"), async (c) => {
+  try {
+    const id = c.req.param("id");
+    const body = await c.req.json<RegenerateRequest>().catch(() => ({} as RegenerateRequest));
+
+    if (!body.style || !(SUMMARY_STYLES as readonly string[]).includes(body.style)) {
+      return c.json({
+        error: `Style must be one of: ${SUMMARY_STYLES.join(", ")}`
+      }, 400);
+    }
+
+    if (body.instruction !== undefined && typeof body.instruction !== "string") {
+      return c.json({ error: "instruction must be a string" }, 400);
+    }
+
+    const meeting = await findVisibleMeeting(c.env.privote_db, c.get("auth"), id);
+
+    if (!meeting) {
+      return c.json({ error: "Meeting not found" }, 404);
+    }
+
+    console.log(`Regenerating summary for ${id} with style ${body.style}`);
+
+    const segments = await fetchSegments(c.env.privote_db, id);
+    const { summary, strategy, chunkCount } = await regenerateSummary(
+      createLLMProvider(c.env),
+      segments.length > 0 ? renderTimestampedTranscript(segments) : meeting.transcript,
+      {
+        style: body.style as SummaryStyle,
+        instruction: body.instruction,
+        timestamped: segments.length > 0,
+      }
+    );
+
+    const timestamp = getCurrentTimestamp();
+
+    await c.env.privote_db
+      .prepare("UPDATE meetings SET summary = ?, updated_at = ? WHERE id = ?")
+      .bind(summary, timestamp, id)
+      .run();
+
+    const updated: MeetingWithActionItems = {
+      ...meeting,
+      summary,
+      updated_at: timestamp,
+      action_items: await fetchActionItems(c.env.privote_db, id),
+      segments,
+    };
+    emitInBackground(c, "meeting.updated", updated.workspace_id, { meeting: updated });
+
+    return c.json({
+      success: true,
+      message: "Summary regenerated successfully",
+      meeting: updated,
+      processing: {
+        strategy,
+        chunks: chunkCount,
+        style: body.style
+      }
+    });
+
+  } catch (error) {
+    console.error("Error regenerating summary:", error);
+    return c.json({
+      error: "Failed to regenerate summary",
+      details: error instanceof Error ? error.message : "Unknown error"
+    }, 500);
+  }
+});
+
+app.post("/api/meetings/:id/ask", requireScope("read"), async (c) => {
+  try {
+    const id = c.req.param("id");
+    const body = await c.req.json<AskRequest>().catch(() => ({} as AskRequest));
+    const question = typeof body.question === "string" ? body.question.trim() : "";
+
+    if (!question) {
+      return c.json({ error: "Question is required and cannot be empty" }, 400);
+    }
+
+    if (question.length > 1000) {
+      return c.json({ error: "Question must be 1000 characters or fewer" }, 400);
+    }
+
+    const meeting = await findVisibleMeeting<Pick<Meeting, "id" | "transcript">>(
+      c.env.privote_db,
+      c.get("auth"),
+      id,
+      "id, transcript"
+    );
+
+    if (!meeting) {
+      return c.json({ error: "Meeting not found" }, 404);
+    }
+
+    const { answer, citations } = await answerQuestion(
+      createLLMProvider(c.env),
+      meeting.transcript,
+      question,
+      body.history
+    );
+
+    return c.json({
+      success: true,
+      question,
+      answer,
+      citations
+    });
+
+  } catch (error) {
+    console.error("Error answering question:", error);
+    return c.json({
+      error: "Failed to answer question",
+      details: error instanceof Error ? error.message : "Unknown error"
+    }, 500);
+  }
+});
+
+app.post("/api/meetings/:id/share", requireScope("write"), async (c) => {
+  try {
+    const id = c.req.param("id");
+    const body = await c.req.json<ShareRequest>().catch(() => ({} as ShareRequest));
+    const secret = (c.env as any).SHARE_SECRET as string | undefined;
+
+    if (!secret) {
+      return c.json({
+        error: "Share links are not configured",
+        details: "Set the SHARE_SECRET secret on the Worker to enable share links."
+      }, 503);
+    }
+
+    const expiresInHours = body.expires_in_hours ?? DEFAULT_SHARE_EXPIRY_HOURS;
+    if (
+      typeof expiresInHours !== "number" ||
+      !Number.isFinite(expiresInHours) ||
+      expiresInHours <= 0 ||
+      expiresInHours > MAX_SHARE_EXPIRY_HOURS
+    ) {
+      return c.json({
+        error: `expires_in_hours must be a number between 0 and ${MAX_SHARE_EXPIRY_HOURS}`
+      }, 400);
+    }
+
+    if (body.include_transcript !== undefined && typeof body.include_transcript !== "boolean") {
+      return c.json({ error: "include_transcript must be a boolean" }, 400);
+    }
+
+    const meeting = await findVisibleMeeting(c.env.privote_db, c.get("auth"), id, "id");
+
+    if (!meeting) {
+      return c.json({ error: "Meeting not found" }, 404);
+    }
+
+    const expiresAt = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+    const share = await createShareLink(c.env.privote_db, {
+      id: generateId("share"),
+      meeting_id: id,
+      include_transcript: body.include_transcript ?? false,
+      expires_at: expiresAt.toISOString(),
+      created_by_key_id: c.get("auth").keyId,
+      created_at: getCurrentTimestamp(),
+    });
+    const token = await signShareToken(secret, share.id, expiresAt);
+
+    return c.json({
+      success: true,
+      share,
+      token,
+      url: `${new URL(c.req.url).origin}/share/${token}`
+    }, 201);
+
+  } catch (error) {
+    console.error("Error creating share link:", error);
+    return c.json({
+      error: "Failed to create share link",
+      details: error instanceof Error ? error.message : "Unknown error"
+    }, 500);
+  }
+});
+
+app.get("/api/meetings/:id/shares", requireScope("read"), async (c) => {
+  try {
+    const id = c.req.param("id");
+    const meeting = await findVisibleMeeting(c.env.privote_db, c.get("auth"), id, "id");
+
+    if (!meeting) {
+      return c.json({ error: "Meeting not found" }, 404);
+    }
+
+    return c.json({
+      success: true,
+      shares: await listShareLinks(c.env.privote_db, id)
+    });
+
+  } catch (error) {
+    console.error("Error listing share links:", error);
+    return c.json({
+      error: "Failed to list share links",
+      details: error instanceof Error ? error.message : "Unknown error"
+    }, 500);
+  }
+});
+
+app.post("/api/shares/:id/revoke", requireScope("write"), async (c) => {
+  try {
+    const id = c.req.param("id");
+    const share = await getShareLink(c.env.privote_db, id);
+
+    if (
+      !share ||
+      !(await findVisibleMeeting(c.env.privote_db, c.get("auth"), share.meeting_id, "id"))
+    ) {
+      return c.json({ error: "Share link not found" }, 404);
+    }
+
+    await revokeShareLink(c.env.privote_db, id, getCurrentTimestamp());
+
+    return c.json({
+      success: true,
+      message: "Share link revoked",
+      share: await getShareLink(c.env.privote_db, id)
+    });
+
+  } catch (error) {
+    console.error("Error revoking share link:", error);
+    return c.json({
+      error: "Failed to revoke share link",
+      details: error instanceof Error ? error.message : "Unknown error"
+    }, 500);
+  }
+});
+
+app.delete("/api/meetings/:id", requireScope("delete"), async (c) => {
+  try {
+    const id = c.req.param("id");
+
+    if (!id) {
+      return c.json({ error: "Meeting ID is required" }, 400);
+    }
+
+    const existing = await findVisibleMeeting<Pick<Meeting, "id" | "title" | "workspace_id">>(
+      c.env.privote_db,
+      c.get("auth"),
+      id,
+      "id, title, workspace_id"
+    );
+
+    if (!existing) {
+      return c.json({ error: "Meeting not found" }, 404);
+    }
+
+    await removeMeetingFromIndex(c.env.privote_db, createVectorStore(c.env), id);
+
+    await c.env.privote_db.batch([
+      c.env.privote_db
+        .prepare("DELETE FROM action_items WHERE meeting_id = ?")
+        .bind(id),
+      c.env.privote_db
+        .prepare("DELETE FROM meetings WHERE id = ?")
+        .bind(id),
+    ]);
+    emitInBackground(c, "meeting.deleted", existing.workspace_id, { meeting: existing });
+
+    return c.json({
+      success: true,
+      message: "Meeting deleted successfully"
+    });
+
+  } catch (error) {
+    console.error("Error deleting meeting:", error);
+    return c.json({
+      error: "Failed to delete meeting",
+      details: error instanceof Error ? error.message : "Unknown error"
+    }, 500);
+  }
+});
+
+app.post("/api/ask", requireScope("read"), async (c) => {
+  try {
+    const body = await c.req.json<CrossMeetingAskRequest>().catch(() => ({} as CrossMeetingAskRequest));
+    const question = typeof body.question === "string" ? body.question.trim() : "";
+
+    if (!question) {
+      return c.json({ error: "Question is required and cannot be empty" }, 400);
+    }
+
+    if (question.length > 1000) {
+      return c.json({ error: "Question must be 1000 characters or fewer" }, 400);
+    }
+
+    const topK = Math.min(
+      Math.max(parseInt(String(body.top_k ?? DEFAULT_RETRIEVAL_TOP_K)) || DEFAULT_RETRIEVAL_TOP_K, 1),
+      MAX_RETRIEVAL_TOP_K
+    );
+
+    const chunks = await retrieveChunks(
+      c.env.privote_db,
+      createEmbeddingProvider(c.env),
+      createVectorStore(c.env),
+      question,
+      topK,
+      c.get("auth").workspaceIds
+    );
+
+    const { answer, citations } = await answerAcrossMeetings(
+      createLLMProvider(c.env),
+      question,
+      chunks,
+      body.history
+    );
+
+    return c.json({
+      success: true,
+      question,
+      answer,
+      citations,
+      meeting_ids: Array.from(new Set(citations.map((citation) => citation.meeting_id)))
+    });
+
+  } catch (error) {
+    console.error("Error answering question across meetings:", error);
+    return c.json({
+      error: "Failed to answer question",
+      details: error instanceof Error ? error.message : "Unknown error"
+    }, 500);
+  }
+});
+
+app.get("/api/action-items", requireScope("read"), async (c) => {
+  try {
+    const limit = parseInt(c.req.query("limit") || "100");
+    const offset = parseInt(c.req.query("offset") || "0");
+    const status = c.req.query("status");
+    const assignee = c.req.query("assignee");
+    const dueBefore = c.req.query("due_before");
+    const dueAfter = c.req.query("due_after");
+    const meetingId = c.req.query("meeting_id");
+
+    const conditions: string[] = [];
+    const params: (string | number)[] = [];
+
+    if (status) {
+      const statuses = status.split(",").map((s) => s.trim());
+      if (!statuses.every(isActionItemStatus)) {
+        return c.json({
+          error: `Invalid status filter. Expected one of: ${ACTION_ITEM_STATUSES.join(", ")}`
+        }, 400);
+      }
+      conditions.push(`a.status IN (${statuses.map(() => "?").join(", ")})`);
+      params.push(...statuses);
+    }
+
+    if (assignee) {
+      conditions.push("a.assignee = ? COLLATE NOCASE");
+      params.push(assignee.trim());
+    }
+
+    for (const [value, operator] of [[dueBefore, "<="], [dueAfter, ">="]] as const) {
+      if (!value) continue;
+      if (!isIsoDate(value)) {
+        return c.json({ error: "Due date filters must use the YYYY-MM-DD format" }, 400);
+      }
+      conditions.push(`a.due_date IS NOT NULL AND a.due_date ${operator} ?`);
+      params.push(value);
+    }
+
+    if (meetingId) {
+      conditions.push("a.meeting_id = ?");
+      params.push(meetingId);
+    }
+
+    const visible = workspaceCondition(c.get("auth"), "m.workspace_id");
+    if (visible) {
+      conditions.push(visible.sql);
+      params.push(...visible.params);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+    const result = await c.env.privote_db
+      .prepare(
+        `SELECT a.*, m.title AS meeting_title, m.meeting_date
+         FROM action_items a
+         JOIN meetings m ON m.id = a.meeting_id
+         ${where}
+         ORDER BY a.due_date IS NULL, a.due_date ASC, m.created_at DESC, a.position ASC
+         LIMIT ? OFFSET ?`
+      )
+      .bind(...params, limit, offset)
+      .all();
+
+    const countResult = await c.env.privote_db
+      .prepare(
+        `SELECT COUNT(*) as count
+         FROM action_items a
+         JOIN meetings m ON m.id = a.meeting_id
+         ${where}`
+      )
+      .bind(...params)
+      .first<{ count: number }>();
+
+    return c.json({
+      success: true,
+      action_items: result.results,
+      pagination: {
+        total: countResult?.count || 0,
+        limit,
+        offset,
+        hasMore: (offset + limit) < (countResult?.count || 0)
+      }
+    });
+
+  } catch (error) {
+    console.error("Error fetching action items:", error);
+    return c.json({
+      error: "Failed to fetch action items",
+      details: error instanceof Error ? error.message : "Unknown error"
+    }, 500);
+  }
+});
+
+app.patch("/api/action-items/:id", requireScope("write"), async (c) => {
+  try {
+    const id = c.req.param("id");
+    const body = await c.req.json<ActionItemUpdateRequest>();
+
+    if (!isActionItemStatus(body.status)) {
+      return c.json({
+        error: `Status must be one of: ${ACTION_ITEM_STATUSES.join(", ")}`
+      }, 400);
+    }
+
+    const existing = await c.env.privote_db
+      .prepare("SELECT meeting_id FROM action_items WHERE id = ?")
+      .bind(id)
+      .first<{ meeting_id: string }>();
+
+    const meeting = existing
+      ? await findVisibleMeeting(c.env.privote_db, c.get("auth"), existing.meeting_id)
+      : null;
+
+    if (!meeting) {
+      return c.json({ error: "Action item not found" }, 404);
+    }
+
+    await c.env.privote_db
+      .prepare("UPDATE action_items SET status = ?, updated_at = ? WHERE id = ?")
+      .bind(body.status, getCurrentTimestamp(), id)
+      .run();
+
+    const actionItem = await c.env.privote_db
+      .prepare("SELECT * FROM action_items WHERE id = ?")
+      .bind(id)
+      .first<ActionItem>();
+
+    emitInBackground(c, "meeting.updated", meeting.workspace_id, {
+      meeting: { ...meeting, action_items: await fetchActionItems(c.env.privote_db, meeting.id) },
+    });
+
+    return c.json({
+      success: true,
+      action_item: actionItem
+    });
+
+  } catch (error) {
+    console.error("Error updating action item:", error);
+    return c.json({
+      error: "Failed to update action item",
+      details: error instanceof Error ? error.message : "Unknown error"
+    }, 500);
+  }
+});
+
+app.get("/api/admin/keys", requireScope("admin"), async (c) => {
+  try {
+    const keys = await listApiKeys(c.env.privote_db);
+
+    return c.json({
+      success: true,
+      keys
+    });
+
+  } catch (error) {
+    console.error("Error listing API keys:", error);
+    return c.json({
+      error: "Failed to list API keys",
+      details: error instanceof Error ? error.message : "Unknown error"
+    }, 500);
+  }
+});
+
+app.post("/api/admin/keys", requireScope("admin"), async (c) => {
+  try {
+    const body = await c.req.json<ApiKeyRequest>().catch(() => ({} as ApiKeyRequest));
+    const label = typeof body.label === "string" ? body.label.trim() : "";
+
+    if (!label) {
+      return c.json({ error: "Label is required and cannot be empty" }, 400);
+    }
+
+    if (
+      !Array.isArray(body.scopes) ||
+      body.scopes.length === 0 ||
+      !body.scopes.every(isApiKeyScope)
+    ) {
+      return c.json({
+        error: "Scopes must be a non-empty array of: read, write, delete, admin"
+      }, 400);
+    }
+
+    const workspaceIds = body.workspace_ids ?? [DEFAULT_WORKSPACE_ID];
+    const workspaceError = validateWorkspaceIds(workspaceIds);
+    if (workspaceError) {
+      return c.json({ error: workspaceError }, 400);
+    }
+
+    const uniqueWorkspaceIds = Array.from(new Set(workspaceIds as string[]));
+    const missing = await findMissingWorkspaces(c.env.privote_db, uniqueWorkspaceIds);
+    if (missing.length > 0) {
+      return c.json({ error: `Workspace not found: ${missing.join(", ")}` }, 400);
+    }
+
+    const scopes = Array.from(new Set(body.scopes as ApiKeyScope[]));
+    const { apiKey, key } = await createApiKey(
+      c.env.privote_db,
+      generateId("key"),
+      label,
+      scopes,
+      uniqueWorkspaceIds,
+      getCurrentTimestamp()
+    );
+
+    return c.json({
+      success: true,
+      message: "API key created. Store it now; it cannot be shown again.",
+      key,
+      api_key: apiKey
+    }, 201);
+
+  } catch (error) {
+    console.error("Error creating API key:", error);
+    return c.json({
+      error: "Failed to create API key",
+      details: error instanceof Error ? error.message : "Unknown error"
+    }, 500);
+  }
+});
+
+app.post("/api/admin/keys/:id/revoke", requireScope("admin"), async (c) => {
+  try {
+    const id = c.req.param("id");
+    const existing = await getApiKey(c.env.privote_db, id);
+
+    if (!existing) {
+      return c.json({ error: "API key not found" }, 404);
+    }
+
+    await revokeApiKey(c.env.privote_db, id, getCurrentTimestamp());
+
+    return c.json({
+      success: true,
+      message: "API key revoked",
+      api_key: await getApiKey(c.env.privote_db, id)
+    });
+
+  } catch (error) {
+    console.error("Error revoking API key:", error);
+    return c.json({
+      error: "Failed to revoke API key",
+      details: error instanceof Error ? error.message : "Unknown error"
+    }, 500);
+  }
+});
+
+app.put("/api/admin/keys/:id/workspaces", requireScope("admin"), async (c) => {
+  try {
+    const id = c.req.param("id");
+    const body = await c.req.json<KeyWorkspacesRequest>().catch(() => ({} as KeyWorkspacesRequest));
+
+    const workspaceError = validateWorkspaceIds(body.workspace_ids);
+    if (workspaceError) {
+      return c.json({ error: workspaceError }, 400);
+    }
+
+    if (!(await getApiKey(c.env.privote_db, id))) {
+      return c.json({ error: "API key not found" }, 404);
+    }
+
+    const workspaceIds = Array.from(new Set(body.workspace_ids as string[]));
+    const missing = await findMissingWorkspaces(c.env.privote_db, workspaceIds);
+    if (missing.length > 0) {
+      return c.json({ error: `Workspace not found: ${missing.join(", ")}` }, 400);
+    }
+
+    await c.env.privote_db.batch(
+      setKeyWorkspacesStatements(c.env.privote_db, id, workspaceIds)
+    );
+
+    return c.json({
+      success: true,
+      message: "API key workspaces updated",
+      api_key: await getApiKey(c.env.privote_db, id)
+    });
+
+  } catch (error) {
+    console.error("Error updating API key workspaces:", error);
+    return c.json({
+      error: "Failed to update API key workspaces",
+      details: error instanceof Error ? error.message : "Unknown error"
+    }, 500);
+  }
+});
+
+app.get("/api/workspaces", requireScope("read"), async (c) => {
+  try {
+    const workspaces = await listWorkspaces(c.env.privote_db, c.get("auth"));
+
+    return c.json({
+      success: true,
+      workspaces,
+      default_workspace_id: defaultWorkspaceFor(c.get("auth"))
+    });
+
+  } catch (error) {
+    console.error("Error listing workspaces:", error);
+    return c.json({
+      error: "Failed to list workspaces",
+      details: error instanceof Error ? error.message : "Unknown error"
+    }, 500);
+  }
+});
+
+app.post("/api/admin/workspaces", requireScope("admin"), async (c) => {
+  try {
+    const body = await c.req.json<WorkspaceRequest>().catch(() => ({} as WorkspaceRequest));
+    const name = typeof body.name === "string" ? body.name.trim() : "";
+
+    if (!name) {
+      return c.json({ error: "Name is required and cannot be empty" }, 400);
+    }
+
+    if (name.length > 100) {
+      return c.json({ error: "Name must be 100 characters or fewer" }, 400);
+    }
+
+    const workspace = await createWorkspace(
+      c.env.privote_db,
+      generateId("workspace"),
+      name,
+      getCurrentTimestamp()
+    );
+
+    return c.json({
+      success: true,
+      message: "Workspace created",
+      workspace
+    }, 201);
+
+  } catch (error) {
+    console.error("Error creating workspace:", error);
+    return c.json({
+      error: "Failed to create workspace",
+      details: error instanceof Error ? error.message : "Unknown error"
+    }, 500);
+  }
+});
+
+app.get("/api/admin/webhooks", requireScope("admin"), async (c) => {
+  try {
+    const webhooks = await listWebhooks(c.env.privote_db);
+
+    return c.json({
+      success: true,
+      webhooks
+    });
+
+  } catch (error) {
+    console.error("Error listing webhooks:", error);
+    return c.json({
+      error: "Failed to list webhooks",
+      details: error instanceof Error ? error.message : "Unknown error"
+    }, 500);
+  }
+});
+
+app.post("/api/admin/webhooks", requireScope("admin"), async (c) => {
+  try {
+    const body = await c.req.json<WebhookRequest>().catch(() => ({} as WebhookRequest));
+    const url = typeof body.url === "string" ? body.url.trim() : "";
+
+    if (!url || !isAllowedWebhookUrl(url)) {
+      return c.json({
+        error: "URL must be an https:// URL (http:// is only allowed for localhost)"
+      }, 400);
+    }
+
+    const events = body.events === undefined ? [...WEBHOOK_EVENTS] : body.events;
+    if (!Array.isArray(events) || events.length === 0 || !events.every(isWebhookEvent)) {
+      return c.json({
+        error: `Events must be a non-empty array of: ${WEBHOOK_EVENTS.join(", ")}`
+      }, 400);
+    }
+
+    const workspaceId = body.workspace_id ?? null;
+    if (workspaceId !== null) {
+      if (typeof workspaceId !== "string") {
+        return c.json({ error: "Workspace ID must be a string or null" }, 400);
+      }
+
+      const missing = await findMissingWorkspaces(c.env.privote_db, [workspaceId]);
+      if (missing.length > 0) {
+        return c.json({ error: `Unknown workspace: ${workspaceId}` }, 400);
+      }
+    }
+
+    if (body.secret !== undefined && (typeof body.secret !== "string" || body.secret.length < 16)) {
+      return c.json({ error: "Secret must be a string of at least 16 characters" }, 400);
+    }
+
+    const secret = body.secret ?? generateWebhookSecret();
+    const webhook = await createWebhook(
+      c.env.privote_db,
+      {
+        id: generateId("webhook"),
+        url,
+        events: [...new Set(events)],
+        workspace_id: workspaceId,
+        created_at: getCurrentTimestamp(),
+      },
+      secret
+    );
+
+    return c.json({
+      success: true,
+      message: "Webhook created. Store the secret now; it will not be shown again.",
+      webhook,
+      secret
+    }, 201);
+
+  } catch (error) {
+    console.error("Error creating webhook:", error);
+    return c.json({
+      error: "Failed to create webhook",
+      details: error instanceof Error ? error.message : "Unknown error"
+    }, 500);
+  }
+});
+
+app.patch("/api/admin/webhooks/:id", requireScope("admin"), async (c) => {
+  try {
+    const id = c.req.param("id");
+    const body = await c.req.json<WebhookRequest>().catch(() => ({} as WebhookRequest));
+
+    if (!(await getWebhook(c.env.privote_db, id))) {
+      return c.json({ error: "Webhook not found" }, 404);
+    }
+
+    const changes: WebhookUpdate = {};
+
+    if (body.url !== undefined) {
+      const url = typeof body.url === "string" ? body.url.trim() : "";
+      if (!url || !isAllowedWebhookUrl(url)) {
+        return c.json({
+          error: "URL must be an https:// URL (http:// is only allowed for localhost)"
+        }, 400);
+      }
+      changes.url = url;
+    }
+
+    if (body.events !== undefined) {
+      const events = body.events;
+      if (!Array.isArray(events) || events.length === 0 || !events.every(isWebhookEvent)) {
+        return c.json({
+          error: `Events must be a non-empty array of: ${WEBHOOK_EVENTS.join(", ")}`
+        }, 400);
+      }
+      changes.events = [...new Set(events)];
+    }
+
+    if (body.workspace_id !== undefined) {
+      const workspaceId = body.workspace_id;
+      if (workspaceId !== null) {
+        if (typeof workspaceId !== "string") {
+          return c.json({ error: "Workspace ID must be a string or null" }, 400);
+        }
+
+        const missing = await findMissingWorkspaces(c.env.privote_db, [workspaceId]);
+        if (missing.length > 0) {
+          return c.json({ error: `Unknown workspace: ${workspaceId}` }, 400);
+        }
+      }
+      changes.workspace_id = workspaceId;
+    }
+
+    if (body.active !== undefined) {
+      if (typeof body.active !== "boolean") {
+        return c.json({ error: "Active must be true or false" }, 400);
+      }
+      changes.active = body.active;
+    }
+
+    if (body.secret !== undefined && body.rotate_secret === true) {
+      return c.json({ error: "Send either secret or rotate_secret, not both" }, 400);
+    }
+
+    if (body.secret !== undefined) {
+      if (typeof body.secret !== "string" || body.secret.length < 16) {
+        return c.json({ error: "Secret must be a string of at least 16 characters" }, 400);
+      }
+      changes.secret = body.secret;
+    } else if (body.rotate_secret === true) {
+      changes.secret = generateWebhookSecret();
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return c.json({
+        error: "Provide at least one of url, events, workspace_id, active, secret or rotate_secret"
+      }, 400);
+    }
+
+    await updateWebhook(c.env.privote_db, id, changes, getCurrentTimestamp());
+    const webhook = await getWebhook(c.env.privote_db, id);
+
+    if (changes.secret !== undefined) {
+      return c.json({
+        success: true,
+        message: "Webhook updated. Store the new secret now; it will not be shown again.",
+        webhook,
+        secret: changes.secret
+      });
+    }
+
+    return c.json({
+      success: true,
+      message: "Webhook updated",
+      webhook
+    });
+
+  } catch (error) {
+    console.error("Error updating webhook:", error);
+    return c.json({
+      error: "Failed to update webhook",
+      details: error instanceof Error ? error.message : "Unknown error"
+    }, 500);
+  }
+});
+
+app.delete("/api/admin/webhooks/:id", requireScope("admin"), async (c) => {
+  try {
+    const id = c.req.param("id");
+
+    if (!(await getWebhook(c.env.privote_db, id))) {
+      return c.json({ error: "Webhook not found" }, 404);
+    }
+
+    await deleteWebhook(c.env.privote_db, id);
+
+    return c.json({
+      success: true,
+      message: "Webhook deleted"
+    });
+
+  } catch (error) {
+    console.error("Error deleting webhook:", error);
+    return c.json({
+      error: "Failed to delete webhook",
+      details: error instanceof Error ? error.message : "Unknown error"
+    }, 500);
+  }
+});
+
+app.get("/api/admin/webhooks/:id/deliveries", requireScope("admin"), async (c) => {
+  try {
+    const id = c.req.param("id");
+    const limit = Math.min(Math.max(parseInt(c.req.query("limit") || "20", 10) || 20, 1), 100);
+
+    const webhook = await getWebhook(c.env.privote_db, id);
+    if (!webhook) {
+      return c.json({ error: "Webhook not found" }, 404);
+    }
+
+    const deliveries = await listDeliveries(c.env.privote_db, id, limit);
+
+    return c.json({
+      success: true,
+      webhook,
+      deliveries
+    });
+
+  } catch (error) {
+    console.error("Error listing webhook deliveries:", error);
+    return c.json({
+      error: "Failed to list webhook deliveries",
+      details: error instanceof Error ? error.message : "Unknown error"
+    }, 500);
+  }
+});
+
+// Public, read-only meeting page for share links. Outside /api, so no API
+// key is needed; the signed token is the credential.
+app.get("/share/:token", async (c) => {
+  const unavailable = (message: string, status: 404 | 500 | 503) =>
+    c.html(renderShareError(message), status, SHARE_PAGE_HEADERS);
+
+  try {
+    const secret = (c.env as any).SHARE_SECRET as string | undefined;
+    if (!secret) {
+      return unavailable("Sharing is not enabled on this server.", 503);
+    }
+
+    const shareId = await verifyShareToken(secret, c.req.param("token"));
+    const share = shareId ? await getShareLink(c.env.privote_db, shareId) : null;
+
+    // Expired, forged and revoked links look the same to the visitor
+    if (!share || share.revoked_at || Date.parse(share.expires_at) <= Date.now()) {
+      return unavailable("This share link is invalid, has expired or has been revoked.", 404);
+    }
+
+    const meeting = await c.env.privote_db
+      .prepare("SELECT * FROM meetings WHERE id = ?")
+      .bind(share.meeting_id)
+      .first<Meeting>();
+
+    if (!meeting) {
+      return unavailable("The shared meeting no longer exists.", 404);
+    }
+
+    const actionItems = await fetchActionItems(c.env.privote_db, meeting.id);
+
+    return c.html(
+      renderSharePage(
+        {
+          title: meeting.title,
+          summary: meeting.summary,
+          transcript: share.include_transcript ? meeting.transcript : null,
+          meeting_date: meeting.meeting_date,
+          meeting_time: meeting.meeting_time,
+          action_items: actionItems,
+        },
+        share.expires_at
+      ),
+      200,
+      SHARE_PAGE_HEADERS
+    );
+
+  } catch (error) {
+    console.error("Error rendering shared meeting:", error);
+    return unavailable("This page could not be loaded. Please try again later.", 500);
+  }
+});
+
+app.get("/health", async (c) => {
+  try {
+    const schema = await getSchemaStatus(c.env.privote_db);
+    const llm = getLLMConfig(c.env);
+
+    return c.json({
+      status: schema.upToDate ? "healthy" : "schema_out_of_date",
+      timestamp: new Date().toISOString(),
+      schema: {
+        version: schema.current,
+        required: schema.required,
+        ...(schema.upToDate ? {} : { details: describeSchemaStatus(schema) })
+      },
+      llm: {
+        provider: llm.provider,
+        model: llm.model
+      }
+    }, schema.upToDate ? 200 : 503);
+
+  } catch (error) {
+    console.error("Error checking health:", error);
+    return c.json({
+      status: "unhealthy",
+      timestamp: new Date().toISOString(),
+      details: error instanceof Error ? error.message : "Unknown error"
+    }, 503);
+  }
+});
+
+app.notFound((c) => {
+  return c.json({ error: "Not Found" }, 404);
+});
+
+app.onError((err, c) => {
+  console.error("Unhandled error:", err);
+  return c.json({
+    error: "Internal Server Error",
+    details: err.message
+  }, 500);
+});
+
+export default {
+  fetch: app.fetch,
+
+  async queue(batch: MessageBatch<TranscriptJobMessage>, env: CloudflareBindings) {
+    const schema = await findOutdatedSchema(env.privote_db);
+    if (schema) {
+      console.error(`Deferring transcript jobs: ${describeSchemaStatus(schema)}`);
+      batch.retryAll();
+      return;
+    }
+
+    for (const message of batch.messages) {
+      await processTranscriptJob(env, message.body.job_id);
+      message.ack();
+    }
+  },
+
+  // Retries failed webhook deliveries on the cron trigger in wrangler.jsonc
+  async scheduled(_controller: ScheduledController, env: CloudflareBindings) {
+    const schema = await findOutdatedSchema(env.privote_db);
+    if (schema) {
+      console.error(`Skipping webhook retries: ${describeSchemaStatus(schema)}`);
+      return;
+    }
+
+    const attempted = await retryDueDeliveries(env.privote_db);
+    if (attempted > 0) {
+      console.log(`Retried ${attempted} webhook deliveries`);
+    }
+  },
+} satisfies ExportedHandler<CloudflareBindings, TranscriptJobMessage>;
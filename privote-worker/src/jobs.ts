@@ -0,0 +1,137 @@
+/**
+ * Background processing jobs.
+ *
+ * An upload is recorded as a job together with its input and processed after
+ * the response has been sent, either through `waitUntil` or, when a queue is
+ * bound as `TRANSCRIPT_QUEUE`, by the queue consumer. Clients poll the job for
+ * its status, stage and progress.
+ */
+
+import type { SummarizationStrategy } from "./summarize";
+
+export const JOB_STATUSES = ["queued", "processing", "completed", "failed"] as const;
+
+export type JobStatus = typeof JOB_STATUSES[number];
+
+export type JobStage = "queued" | "summarizing" | "saving" | "indexing" | "done";
+
+export interface Job {
+  id: string;
+  type: string;
+  status: JobStatus;
+  stage: JobStage;
+  progress: number;
+  workspace_id: string;
+  meeting_id: string | null;
+  // How the transcript was summarized; set once the job completes
+  strategy: SummarizationStrategy | null;
+  chunk_count: number | null;
+  error: string | null;
+  created_at: string;
+  updated_at: string;
+}
+
+export type JobUpdate = Partial<
+  Pick<Job, "status" | "stage" | "progress" | "meeting_id" | "strategy" | "chunk_count" | "error">
+>;
+
+export interface TranscriptJobMessage {
+  job_id: string;
+}
+
+// A job that has not moved for this long was lost with the isolate running it
+const STALE_JOB_MS = 15 * 60 * 1000;
+
+const JOB_COLUMNS =
+  "id, type, status, stage, progress, workspace_id, meeting_id, strategy, chunk_count, error, created_at, updated_at";
+
+export async function createJob(
+  db: D1Database,
+  id: string,
+  type: string,
+  workspaceId: string,
+  input: unknown,
+  timestamp: string
+): Promise<Job> {
+  await db
+    .prepare(
+      `INSERT INTO jobs (id, type, status, stage, progress, workspace_id, input, created_at, updated_at)
+       VALUES (?, ?, 'queued', 'queued', 0, ?, ?, ?, ?)`
+    )
+    .bind(id, type, workspaceId, JSON.stringify(input), timestamp, timestamp)
+    .run();
+
+  return {
+    id,
+    type,
+    status: "queued",
+    stage: "queued",
+    progress: 0,
+    workspace_id: workspaceId,
+    meeting_id: null,
+    strategy: null,
+    chunk_count: null,
+    error: null,
+    created_at: timestamp,
+    updated_at: timestamp,
+  };
+}
+
+/**
+ * Apply changes to a job. Finishing a job drops its stored input, which for
+ * transcript jobs is a full copy of the transcript.
+ */
+export async function updateJob(db: D1Database, id: string, changes: JobUpdate): Promise<void> {
+  const fields: string[] = [];
+  const values: unknown[] = [];
+
+  for (const [key, value] of Object.entries(changes)) {
+    fields.push(`${key} = ?`);
+    values.push(value);
+  }
+
+  if (changes.status === "completed") {
+    fields.push("input = NULL");
+  }
+
+  fields.push("updated_at = ?");
+  values.push(new Date().toISOString());
+
+  await db
+    .prepare(`UPDATE jobs SET ${fields.join(", ")} WHERE id = ?`)
+    .bind(...values, id)
+    .run();
+}
+
+export async function getJob(db: D1Database, id: string): Promise<Job | null> {
+  return db
+    .prepare(`SELECT ${JOB_COLUMNS} FROM jobs WHERE id = ?`)
+    .bind(id)
+    .first<Job>();
+}
+
+/**
+ * Read a job for a client polling its status. A job that stopped moving while
+ * processing is marked failed here, so the client stops waiting on it. Queued
+ * jobs are left alone: they may be waiting behind a backlog or a retry.
+ */
+export async function getJobStatus(db: D1Database, id: string): Promise<Job | null> {
+  const job = await getJob(db, id);
+
+  if (job?.status === "processing" && Date.now() - Date.parse(job.updated_at) > STALE_JOB_MS) {
+    const error = "Processing stopped before the job finished. Please upload the transcript again.";
+    await updateJob(db, id, { status: "failed", error });
+    return { ...job, status: "failed", error };
+  }
+
+  return job;
+}
+
+export async function getJobInput<T>(db: D1Database, id: string): Promise<T | null> {
+  const row = await db
+    .prepare("SELECT input FROM jobs WHERE id = ?")
+    .bind(id)
+    .first<{ input: string | null }>();
+
+  return row?.input ? (JSON.parse(row.input) as T) : null;
+}
@@ -0,0 +1,275 @@
+/**
+ * Chat model providers.
+ *
+ * Summarization and question answering talk to the LLMProvider interface
+ * only. The provider and its settings come from environment variables:
+ *
+ *   LLM_PROVIDER     "workers-ai" (default), "openai" or "stub"
+ *   LLM_MODEL        model name; required for "openai"
+ *   LLM_TEMPERATURE  default sampling temperature (default 0.3)
+ *   LLM_MAX_TOKENS   default maximum tokens per response (default 1024)
+ *   LLM_BASE_URL     base URL of an OpenAI-compatible API, e.g.
+ *                    http://localhost:11434/v1 for Ollama; required for "openai"
+ *   LLM_API_KEY      bearer token for that API, if it needs one (set as a secret)
+ *
+ * Callers can override the temperature and token limit for a single call,
+ * e.g. a low temperature for JSON extraction.
+ *
+ * Embeddings for semantic search come from an EmbeddingProvider. They use
+ * Workers AI, except with the stub provider, which answers and embeds
+ * deterministically without any network access.
+ */
+
+export const LLM_PROVIDERS = ["workers-ai", "openai", "stub"] as const;
+
+export type LLMProviderName = typeof LLM_PROVIDERS[number];
+
+export interface ChatMessage {
+  role: "system" | "user" | "assistant";
+  content: string;
+}
+
+export interface ChatOptions {
+  temperature?: number;
+  maxTokens?: number;
+}
+
+export interface LLMConfig {
+  provider: LLMProviderName;
+  model: string;
+  temperature: number;
+  maxTokens: number;
+  baseUrl?: string;
+  apiKey?: string;
+}
+
+export interface LLMProvider {
+  readonly name: LLMProviderName;
+  readonly model: string;
+  /**
+   * Run a chat completion and return the trimmed response text, or an empty
+   * string when the model produced nothing.
+   */
+  chat(messages: ChatMessage[], options?: ChatOptions): Promise<string>;
+}
+
+export interface EmbeddingProvider {
+  /**
+   * Embed each text into a vector of EMBEDDING_DIMENSIONS numbers.
+   */
+  embed(texts: string[]): Promise<number[][]>;
+}
+
+// Dimensions of the Workers AI embedding model, which the Vectorize index
+// is created with
+export const EMBEDDING_DIMENSIONS = 768;
+
+const DEFAULT_WORKERS_AI_MODEL = "@cf/meta/llama-3.1-8b-instruct-fp8-fast";
+const EMBEDDING_MODEL = "@cf/baai/bge-base-en-v1.5";
+
+// Maximum number of texts Workers AI embeds in one request
+const EMBEDDING_BATCH_SIZE = 100;
+const DEFAULT_TEMPERATURE = 0.3;
+const DEFAULT_MAX_TOKENS = 1024;
+
+// Self-hosted models on modest hardware can take a while to answer
+const OPENAI_REQUEST_TIMEOUT_MS = 120_000;
+// Error bodies kept in thrown messages
+const MAX_ERROR_BODY_LENGTH = 300;
+
+export function isLLMProviderName(value: unknown): value is LLMProviderName {
+  return typeof value === "string" && (LLM_PROVIDERS as readonly string[]).includes(value);
+}
+
+function parseNumberSetting(name: string, value: string | undefined, fallback: number, min: number, max: number): number {
+  if (value === undefined || value.trim() === "") {
+    return fallback;
+  }
+
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < min || parsed > max) {
+    throw new Error(`${name} must be a number between ${min} and ${max}, got "${value}"`);
+  }
+  return parsed;
+}
+
+/**
+ * Read the LLM settings from the environment. Throws on invalid settings, so
+ * misconfiguration shows up on the first request instead of as bad output.
+ */
+export function getLLMConfig(env: CloudflareBindings): LLMConfig {
+  const vars = env as unknown as Record<string, string | undefined>;
+  const provider = vars.LLM_PROVIDER?.trim() || "workers-ai";
+
+  if (!isLLMProviderName(provider)) {
+    throw new Error(`LLM_PROVIDER must be one of: ${LLM_PROVIDERS.join(", ")}`);
+  }
+
+  const model = vars.LLM_MODEL?.trim() || (provider === "workers-ai" ? DEFAULT_WORKERS_AI_MODEL : provider === "stub" ? "stub" : "");
+  if (!model) {
+    throw new Error(`LLM_MODEL is required for the "${provider}" provider`);
+  }
+
+  const baseUrl = vars.LLM_BASE_URL?.trim().replace(/\/+$/, "");
+  if (provider === "openai" && !baseUrl) {
+    throw new Error('LLM_BASE_URL is required for the "openai" provider');
+  }
+
+  return {
+    provider,
+    model,
+    temperature: parseNumberSetting("LLM_TEMPERATURE", vars.LLM_TEMPERATURE, DEFAULT_TEMPERATURE, 0, 2),
+    maxTokens: Math.floor(parseNumberSetting("LLM_MAX_TOKENS", vars.LLM_MAX_TOKENS, DEFAULT_MAX_TOKENS, 1, 32768)),
+    baseUrl,
+    apiKey: vars.LLM_API_KEY || undefined,
+  };
+}
+
+/**
+ * Models on Workers AI, through the `AI` binding.
+ */
+export class WorkersAIProvider implements LLMProvider {
+  readonly name = "workers-ai";
+
+  constructor(private ai: Ai, private config: LLMConfig) {}
+
+  get model(): string {
+    return this.config.model;
+  }
+
+  async chat(messages: ChatMessage[], options: ChatOptions = {}): Promise<string> {
+    const response = await (this.ai as any).run(this.config.model, {
+      messages,
+      max_tokens: options.maxTokens ?? this.config.maxTokens,
+      temperature: options.temperature ?? this.config.temperature,
+    }) as { response?: string };
+
+    return response.response?.trim() || "";
+  }
+}
+
+/**
+ * Any server implementing the OpenAI chat completions API, such as OpenAI
+ * itself, Ollama, llama.cpp's server or vLLM.
+ */
+export class OpenAICompatibleProvider implements LLMProvider {
+  readonly name = "openai";
+
+  constructor(private config: LLMConfig) {}
+
+  get model(): string {
+    return this.config.model;
+  }
+
+  async chat(messages: ChatMessage[], options: ChatOptions = {}): Promise<string> {
+    const headers: Record<string, string> = { "Content-Type": "application/json" };
+    if (this.config.apiKey) {
+      headers.Authorization = `Bearer ${this.config.apiKey}`;
+    }
+
+    const response = await fetch(`${this.config.baseUrl}/chat/completions`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({
+        model: this.config.model,
+        messages,
+        max_tokens: options.maxTokens ?? this.config.maxTokens,
+        temperature: options.temperature ?? this.config.temperature,
+      }),
+      signal: AbortSignal.timeout(OPENAI_REQUEST_TIMEOUT_MS),
+    });
+
+    if (!response.ok) {
+      const text = await response.text().catch(() => "");
+      throw new Error(
+        `LLM request failed with HTTP ${response.status}${text ? `: ${text.slice(0, MAX_ERROR_BODY_LENGTH)}` : ""}`
+      );
+    }
+
+    const data = await response.json() as {
+      choices?: { message?: { content?: string | null } }[];
+    };
+
+    return data.choices?.[0]?.message?.content?.trim() || "";
+  }
+}
+
+/**
+ * Deterministic answers for offline development and tests. The same messages
+ * always produce the same response, and no response contains an action item.
+ */
+export class StubProvider implements LLMProvider {
+  readonly name = "stub";
+
+  constructor(private config: LLMConfig) {}
+
+  get model(): string {
+    return this.config.model;
+  }
+
+  async chat(messages: ChatMessage[]): Promise<string> {
+    const prompt = messages[messages.length - 1]?.content ?? "";
+    const words = prompt.split(/\s+/).filter(Boolean).length;
+
+    return `Stub response from the offline LLM provider to a ${words}-word prompt.`;
+  }
+}
+
+export class WorkersAIEmbeddings implements EmbeddingProvider {
+  constructor(private ai: Ai) {}
+
+  async embed(texts: string[]): Promise<number[][]> {
+    const vectors: number[][] = [];
+
+    for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+      const batch = texts.slice(i, i + EMBEDDING_BATCH_SIZE);
+      const response = await (this.ai as any).run(EMBEDDING_MODEL, { text: batch }) as { data: number[][] };
+      vectors.push(...response.data);
+    }
+
+    return vectors;
+  }
+}
+
+/**
+ * Deterministic embeddings for offline development and tests. Each word is
+ * hashed into one dimension, so texts sharing words are similar, which is
+ * enough to exercise retrieval.
+ */
+export class StubEmbeddings implements EmbeddingProvider {
+  async embed(texts: string[]): Promise<number[][]> {
+    return texts.map((text) => {
+      const vector = new Array<number>(EMBEDDING_DIMENSIONS).fill(0);
+
+      for (const word of text.toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? []) {
+        // FNV-1a
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < word.length; i++) {
+          hash = Math.imul(hash ^ word.charCodeAt(i), 0x01000193);
+        }
+        vector[(hash >>> 0) % EMBEDDING_DIMENSIONS] += 1;
+      }
+
+      return vector;
+    });
+  }
+}
+
+export function createEmbeddingProvider(env: CloudflareBindings): EmbeddingProvider {
+  return getLLMConfig(env).provider === "stub"
+    ? new StubEmbeddings()
+    : new WorkersAIEmbeddings(env.AI);
+}
+
+export function createLLMProvider(env: CloudflareBindings): LLMProvider {
+  const config = getLLMConfig(env);
+
+  switch (config.provider) {
+    case "openai":
+      return new OpenAICompatibleProvider(config);
+    case "stub":
+      return new StubProvider(config);
+    default:
+      return new WorkersAIProvider(env.AI, config);
+  }
+}
@@ -0,0 +1,257 @@
+/**
+ * Question answering over meeting transcripts.
+ *
+ * For a single meeting, the transcript is split into small numbered passages.
+ * When the whole transcript does not fit the prompt budget, the passages that
+ * share the most terms with the question are selected. Questions across
+ * meetings are answered from chunks retrieved by the semantic index. In both
+ * cases the model is asked to cite numbers, which are mapped back to the
+ * source text in the response.
+ */
+
+import type { ChatMessage, LLMProvider } from "./llm";
+import { chunkTranscript, estimateTokens } from "./summarize";
+import type { RetrievedChunk } from "./semantic-index";
+
+const PASSAGE_TOKEN_BUDGET = 250;
+const CONTEXT_TOKEN_BUDGET = 5000;
+const MAX_HISTORY_MESSAGES = 6;
+
+const STOPWORDS = new Set([
+  "a", "about", "an", "and", "are", "as", "at", "be", "by", "did", "do", "does",
+  "for", "from", "how", "i", "in", "is", "it", "of", "on", "or", "our", "so",
+  "that", "the", "this", "to", "was", "we", "were", "what", "when", "where",
+  "which", "who", "why", "will", "with", "you",
+]);
+
+export interface Passage {
+  index: number;
+  text: string;
+}
+
+export interface Citation {
+  passage: number;
+  text: string;
+}
+
+export interface AnswerResult {
+  answer: string;
+  citations: Citation[];
+}
+
+export interface MeetingCitation {
+  source: number;
+  meeting_id: string;
+  meeting_title: string;
+  meeting_date: string;
+  text: string;
+  score: number;
+}
+
+export interface CrossMeetingAnswerResult {
+  answer: string;
+  citations: MeetingCitation[];
+}
+
+export function splitIntoPassages(transcript: string): Passage[] {
+  return chunkTranscript(transcript, PASSAGE_TOKEN_BUDGET, 0).map((text, i) => ({
+    index: i + 1,
+    text,
+  }));
+}
+
+function tokenize(text: string): string[] {
+  return text
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((term) => term.length > 1 && !STOPWORDS.has(term));
+}
+
+/**
+ * Pick the passages most relevant to the query terms that fit the budget,
+ * returned in transcript order.
+ */
+export function selectPassages(
+  passages: Passage[],
+  query: string,
+  tokenBudget: number = CONTEXT_TOKEN_BUDGET
+): Passage[] {
+  const totalTokens = passages.reduce((sum, p) => sum + estimateTokens(p.text), 0);
+  if (totalTokens <= tokenBudget) {
+    return passages;
+  }
+
+  const queryTerms = new Set(tokenize(query));
+  const scored = passages.map((passage) => {
+    const counts = new Map<string, number>();
+    for (const term of tokenize(passage.text)) {
+      if (queryTerms.has(term)) {
+        counts.set(term, (counts.get(term) || 0) + 1);
+      }
+    }
+
+    let score = 0;
+    for (const count of counts.values()) {
+      score += 1 + Math.log(count);
+    }
+    return { passage, score };
+  });
+
+  scored.sort((a, b) => b.score - a.score || a.passage.index - b.passage.index);
+
+  const selected: Passage[] = [];
+  let used = 0;
+  for (const { passage } of scored) {
+    const size = estimateTokens(passage.text);
+    if (used + size > tokenBudget) continue;
+    selected.push(passage);
+    used += size;
+  }
+
+  return selected.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Extract the numbers cited as [n] or [n, m] in an answer, keeping only
+ * those that refer to a provided source.
+ */
+function citedNumbers(answer: string, validNumbers: Set<number>): number[] {
+  const cited = new Set<number>();
+
+  for (const match of answer.matchAll(/\[([\d,\s]+)\]/g)) {
+    for (const value of match[1].split(",")) {
+      const index = parseInt(value.trim());
+      if (validNumbers.has(index)) {
+        cited.add(index);
+      }
+    }
+  }
+
+  return Array.from(cited).sort((a, b) => a - b);
+}
+
+export function parseCitations(answer: string, passages: Passage[]): Citation[] {
+  const byIndex = new Map(passages.map((p) => [p.index, p]));
+
+  return citedNumbers(answer, new Set(byIndex.keys())).map((index) => ({
+    passage: index,
+    text: byIndex.get(index)!.text,
+  }));
+}
+
+/**
+ * Only well-formed user/assistant turns from the client are forwarded, and
+ * only the most recent ones.
+ */
+function sanitizeHistory(history: unknown): ChatMessage[] {
+  if (!Array.isArray(history)) {
+    return [];
+  }
+
+  return history
+    .filter(
+      (message): message is ChatMessage =>
+        message &&
+        (message.role === "user" || message.role === "assistant") &&
+        typeof message.content === "string"
+    )
+    .slice(-MAX_HISTORY_MESSAGES)
+    .map(({ role, content }) => ({ role, content }));
+}
+
+/**
+ * Answer a question about a transcript, citing the supporting passages.
+ */
+export async function answerQuestion(
+  llm: LLMProvider,
+  transcript: string,
+  question: string,
+  history: unknown = []
+): Promise<AnswerResult> {
+  const previousTurns = sanitizeHistory(history);
+  const lastQuestion = [...previousTurns].reverse().find((m) => m.role === "user");
+
+  const passages = selectPassages(
+    splitIntoPassages(transcript),
+    lastQuestion ? `${question} ${lastQuestion.content}` : question
+  );
+
+  const context = passages.map((p) => `[${p.index}] ${p.text}`).join("\n\n");
+
+  const answer = await llm.chat([
+    {
+      role: "system",
+      content: "You answer questions about a meeting using only the numbered transcript passages provided. After each statement, cite the passages that support it by number in square brackets, e.g. [3] or [2, 5]. If the passages do not contain the answer, say that the transcript does not cover it. Do not make anything up.",
+    },
+    ...previousTurns,
+    {
+      role: "user",
+      content: `Transcript passages:
+${context}
+
+Question: ${question}`,
+    },
+  ], { temperature: 0.2, maxTokens: 768 });
+
+  return {
+    answer: answer || "I could not find an answer to that in the transcript.",
+    citations: parseCitations(answer, passages),
+  };
+}
+
+/**
+ * Answer a question from transcript chunks retrieved across meetings, citing
+ * the numbered sources and through them the meetings they came from.
+ */
+export async function answerAcrossMeetings(
+  llm: LLMProvider,
+  question: string,
+  chunks: RetrievedChunk[],
+  history: unknown = []
+): Promise<CrossMeetingAnswerResult> {
+  if (chunks.length === 0) {
+    return {
+      answer: "No meetings have been indexed yet, so there is nothing to search.",
+      citations: [],
+    };
+  }
+
+  const context = chunks
+    .map(
+      (chunk, i) =>
+        `[${i + 1}] (Meeting "${chunk.meeting_title}", ${chunk.meeting_date})\n${chunk.text}`
+    )
+    .join("\n\n");
+
+  const answer = await llm.chat([
+    {
+      role: "system",
+      content: "You answer questions about a team's past meetings using only the numbered sources provided. Each source is an excerpt from one meeting and is labeled with that meeting's title and date. After each statement, cite the supporting sources by number in square brackets, e.g. [3] or [2, 5]. When the question is about timing, use the meeting dates. If the sources do not contain the answer, say so. Do not make anything up.",
+    },
+    ...sanitizeHistory(history),
+    {
+      role: "user",
+      content: `Sources:
+${context}
+
+Question: ${question}`,
+    },
+  ], { temperature: 0.2, maxTokens: 768 });
+
+  const numbers = new Set(chunks.map((_, i) => i + 1));
+
+  return {
+    answer: answer || "I could not find an answer to that in your meetings.",
+    citations: citedNumbers(answer, numbers).map((source) => {
+      const chunk = chunks[source - 1];
+      return {
+        source,
+        meeting_id: chunk.meeting_id,
+        meeting_title: chunk.meeting_title,
+        meeting_date: chunk.meeting_date,
+        text: chunk.text,
+        score: chunk.score,
+      };
+    }),
+  };
+}
@@ -1,14 +0,0 @@
-DROP TABLE IF EXISTS meetings;
-
-CREATE TABLE meetings (
-    id TEXT PRIMARY KEY,
-    title TEXT NOT NULL,
-    transcript TEXT NOT NULL,
-    summary TEXT NOT NULL,
-    action_items TEXT NOT NULL,
-    meeting_date TEXT NOT NULL,
-    meeting_time TEXT NOT NULL,
-    created_at TEXT NOT NULL,
-    updated_at TEXT NOT NULL
-);
-
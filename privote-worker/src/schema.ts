@@ -0,0 +1,46 @@
+/**
+ * Database schema version checks.
+ *
+ * Each file in `migrations/` records its number in the `schema_version`
+ * table. The Worker is written against SCHEMA_VERSION and refuses to serve
+ * the API until the database has been migrated to exactly that version.
+ */
+
+// Bump together with every new file in migrations/
+export const SCHEMA_VERSION = 8;
+
+export interface SchemaStatus {
+  current: number | null;
+  required: number;
+  upToDate: boolean;
+}
+
+export async function getSchemaStatus(db: D1Database): Promise<SchemaStatus> {
+  let current: number | null = null;
+
+  try {
+    const row = await db
+      .prepare("SELECT MAX(version) AS version FROM schema_version")
+      .first<{ version: number | null }>();
+    current = row?.version ?? null;
+  } catch (error) {
+    // No schema_version table: the database was never migrated
+    if (!(error instanceof Error && error.message.includes("no such table"))) {
+      throw error;
+    }
+  }
+
+  return { current, required: SCHEMA_VERSION, upToDate: current === SCHEMA_VERSION };
+}
+
+export function describeSchemaStatus(status: SchemaStatus): string {
+  if (status.current === null) {
+    return `The database has no schema version. Apply the migrations with \`npx wrangler d1 migrations apply privote-db\` (version ${status.required} is required).`;
+  }
+
+  if (status.current < status.required) {
+    return `The database is at schema version ${status.current}, but this Worker requires version ${status.required}. Apply the pending migrations with \`npx wrangler d1 migrations apply privote-db\`.`;
+  }
+
+  return `The database is at schema version ${status.current}, which is newer than version ${status.required} required by this Worker. Deploy the matching Worker version.`;
+}
@@ -0,0 +1,195 @@
+/**
+ * Timestamped transcript segments.
+ *
+ * The desktop app sends the segments Whisper produced along with the flat
+ * transcript, with times in milliseconds from the start of the recording.
+ * Summarization reads a transcript rendered with a [mm:ss] time per segment
+ * so that summaries and action items can cite when something was said.
+ */
+
+export interface TranscriptSegment {
+  start_ms: number;
+  end_ms: number;
+  text: string;
+}
+
+// Several hours of speech; guards against oversized requests
+const MAX_SEGMENTS = 5000;
+
+// D1 allows 100 bound parameters per statement, at five per segment
+const SEGMENTS_PER_INSERT = 20;
+
+const TIMESTAMP_PREFIX = /^\s*\[?((?:\d{1,2}:)?\d{1,2}:\d{2})\]?\s*/;
+
+/**
+ * Validate uploaded segments. Returns an error message, or null when every
+ * segment is well formed.
+ */
+export function validateSegments(value: unknown): string | null {
+  if (!Array.isArray(value)) {
+    return "segments must be an array";
+  }
+  if (value.length > MAX_SEGMENTS) {
+    return `At most ${MAX_SEGMENTS} segments can be uploaded`;
+  }
+
+  for (const segment of value as Partial<TranscriptSegment>[]) {
+    if (!segment || typeof segment.text !== "string") {
+      return "Every segment needs text";
+    }
+    if (
+      !Number.isInteger(segment.start_ms) ||
+      !Number.isInteger(segment.end_ms) ||
+      (segment.start_ms as number) < 0 ||
+      (segment.end_ms as number) < (segment.start_ms as number)
+    ) {
+      return "Segment times must be whole milliseconds with start_ms <= end_ms";
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Keep only the fields we store and drop segments without speech.
+ */
+export function normalizeSegments(segments: TranscriptSegment[]): TranscriptSegment[] {
+  return segments
+    .map((segment) => ({
+      start_ms: segment.start_ms,
+      end_ms: segment.end_ms,
+      text: segment.text.trim(),
+    }))
+    .filter((segment) => segment.text.length > 0);
+}
+
+/**
+ * Format a time as m:ss, or h:mm:ss for recordings over an hour.
+ */
+export function formatTimestamp(ms: number): string {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, "0")}:${seconds}`
+    : `${minutes}:${seconds}`;
+}
+
+/**
+ * Render segments as one "[m:ss] text" line each, for the model to read.
+ */
+export function renderTimestampedTranscript(segments: TranscriptSegment[]): string {
+  return segments
+    .map((segment) => `[${formatTimestamp(segment.start_ms)}] ${segment.text}`)
+    .join("\n");
+}
+
+function parseTimestamp(value: string): number {
+  return value
+    .split(":")
+    .reduce((total, part) => total * 60 + Number(part), 0) * 1000;
+}
+
+function normalizeForMatch(text: string): string {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, " ").trim();
+}
+
+/**
+ * Find when a quote from the transcript was said. Models are asked to copy
+ * the line's time along with the quote; without one, the quote is matched
+ * against the segment text.
+ * Returns the quote without its time, and the start of its segment or null.
+ */
+export function locateQuote(
+  segments: TranscriptSegment[],
+  quote: string | null
+): { quote: string | null; start_ms: number | null } {
+  if (!quote) {
+    return { quote, start_ms: null };
+  }
+
+  const timestamp = quote.match(TIMESTAMP_PREFIX);
+  const text = timestamp ? quote.slice(timestamp[0].length).trim() || null : quote;
+
+  if (segments.length === 0) {
+    return { quote: text, start_ms: null };
+  }
+
+  if (timestamp) {
+    const ms = parseTimestamp(timestamp[1]);
+    // Snap to the segment that starts at that second, if any
+    const segment = segments.find(
+      (s) => Math.floor(s.start_ms / 1000) === Math.floor(ms / 1000)
+    );
+    return { quote: text, start_ms: segment ? segment.start_ms : ms };
+  }
+
+  const needle = normalizeForMatch(text ?? "");
+  if (!needle) {
+    return { quote: text, start_ms: null };
+  }
+
+  // A quote may span several segments, so look for it in a window of
+  // consecutive segments, crediting the segment the quote starts in
+  for (let i = 0; i < segments.length; i++) {
+    const first = normalizeForMatch(segments[i].text);
+    let window = first;
+    for (let j = i; j < segments.length && j < i + 4; j++) {
+      if (j > i) {
+        window = `${window} ${normalizeForMatch(segments[j].text)}`;
+      }
+      const index = window.indexOf(needle);
+      if (index !== -1 && index < first.length) {
+        return { quote: text, start_ms: segments[i].start_ms };
+      }
+    }
+  }
+
+  return { quote: text, start_ms: null };
+}
+
+export function insertSegmentStatements(
+  db: D1Database,
+  meetingId: string,
+  segments: TranscriptSegment[]
+): D1PreparedStatement[] {
+  const statements: D1PreparedStatement[] = [];
+
+  for (let i = 0; i < segments.length; i += SEGMENTS_PER_INSERT) {
+    const batch = segments.slice(i, i + SEGMENTS_PER_INSERT);
+    statements.push(
+      db
+        .prepare(
+          `INSERT INTO segments (meeting_id, position, start_ms, end_ms, text)
+           VALUES ${batch.map(() => "(?, ?, ?, ?, ?)").join(", ")}`
+        )
+        .bind(
+          ...batch.flatMap((segment, offset) => [
+            meetingId,
+            i + offset,
+            segment.start_ms,
+            segment.end_ms,
+            segment.text,
+          ])
+        )
+    );
+  }
+
+  return statements;
+}
+
+export async function fetchSegments(
+  db: D1Database,
+  meetingId: string
+): Promise<TranscriptSegment[]> {
+  const result = await db
+    .prepare(
+      "SELECT start_ms, end_ms, text FROM segments WHERE meeting_id = ? ORDER BY position ASC"
+    )
+    .bind(meetingId)
+    .all<TranscriptSegment>();
+
+  return result.results;
+}
@@ -0,0 +1,149 @@
+/**
+ * Semantic index over transcript chunks.
+ *
+ * Each transcript is split into passages that are stored in the
+ * `transcript_chunks` table and embedded into the configured vector store.
+ * Retrieval embeds the question, finds the nearest chunks across all
+ * meetings, or those in the caller's workspaces, and loads their text
+ * together with the meeting they belong to.
+ */
+
+import type { EmbeddingProvider } from "./llm";
+import { splitIntoPassages } from "./qa";
+import type { VectorStore } from "./vector-store";
+
+export interface RetrievedChunk {
+  id: string;
+  meeting_id: string;
+  meeting_title: string;
+  meeting_date: string;
+  chunk_index: number;
+  text: string;
+  score: number;
+}
+
+function chunkId(meetingId: string, index: number): string {
+  return `${meetingId}_chunk_${index}`;
+}
+
+async function existingChunkIds(db: D1Database, meetingId: string): Promise<string[]> {
+  const result = await db
+    .prepare("SELECT id FROM transcript_chunks WHERE meeting_id = ?")
+    .bind(meetingId)
+    .all<{ id: string }>();
+
+  return result.results.map((row) => row.id);
+}
+
+/**
+ * Remove a meeting's chunks and their vectors.
+ */
+export async function removeMeetingFromIndex(
+  db: D1Database,
+  store: VectorStore,
+  meetingId: string
+): Promise<void> {
+  const ids = await existingChunkIds(db, meetingId);
+  await store.deleteByMeeting(meetingId, ids);
+  await db
+    .prepare("DELETE FROM transcript_chunks WHERE meeting_id = ?")
+    .bind(meetingId)
+    .run();
+}
+
+/**
+ * (Re)build the chunks and embeddings of a meeting transcript.
+ * Returns the number of chunks indexed.
+ */
+export async function indexMeetingTranscript(
+  db: D1Database,
+  embeddings: EmbeddingProvider,
+  store: VectorStore,
+  meetingId: string,
+  transcript: string
+): Promise<number> {
+  await removeMeetingFromIndex(db, store, meetingId);
+
+  const passages = splitIntoPassages(transcript);
+  if (passages.length === 0) {
+    return 0;
+  }
+
+  const meeting = await db
+    .prepare("SELECT workspace_id FROM meetings WHERE id = ?")
+    .bind(meetingId)
+    .first<{ workspace_id: string }>();
+  if (!meeting) {
+    throw new Error(`Meeting ${meetingId} not found`);
+  }
+
+  const timestamp = new Date().toISOString();
+  await db.batch(
+    passages.map((passage) =>
+      db
+        .prepare(
+          `INSERT INTO transcript_chunks (id, meeting_id, chunk_index, text, created_at)
+           VALUES (?, ?, ?, ?, ?)`
+        )
+        .bind(chunkId(meetingId, passage.index), meetingId, passage.index, passage.text, timestamp)
+    )
+  );
+
+  const vectors = await embeddings.embed(passages.map((passage) => passage.text));
+  await store.upsert(
+    passages.map((passage, i) => ({
+      id: chunkId(meetingId, passage.index),
+      meetingId,
+      workspaceId: meeting.workspace_id,
+      values: vectors[i],
+    }))
+  );
+
+  return passages.length;
+}
+
+/**
+ * Find the transcript chunks most similar to a query across all meetings,
+ * or only those in the given workspaces.
+ */
+export async function retrieveChunks(
+  db: D1Database,
+  embeddings: EmbeddingProvider,
+  store: VectorStore,
+  query: string,
+  topK: number,
+  workspaceIds: string[] | null = null
+): Promise<RetrievedChunk[]> {
+  if (workspaceIds !== null && workspaceIds.length === 0) {
+    return [];
+  }
+
+  const [vector] = await embeddings.embed([query]);
+  const matches = await store.query(vector, topK, workspaceIds);
+
+  if (matches.length === 0) {
+    return [];
+  }
+
+  const workspaceFilter = workspaceIds
+    ? `AND m.workspace_id IN (${workspaceIds.map(() => "?").join(", ")})`
+    : "";
+
+  const result = await db
+    .prepare(
+      `SELECT c.id, c.meeting_id, c.chunk_index, c.text, m.title AS meeting_title, m.meeting_date
+       FROM transcript_chunks c
+       JOIN meetings m ON m.id = c.meeting_id
+       WHERE c.id IN (${matches.map(() => "?").join(", ")}) ${workspaceFilter}`
+    )
+    .bind(...matches.map((match) => match.id), ...(workspaceIds ?? []))
+    .all<Omit<RetrievedChunk, "score">>();
+
+  const rows = new Map(result.results.map((row) => [row.id, row]));
+
+  // Vectors can outlive their chunk rows briefly (e.g. Vectorize deletes
+  // are asynchronous), so matches without a row are dropped.
+  return matches
+    .filter((match) => rows.has(match.id))
+    .map((match) => ({ ...rows.get(match.id)!, score: match.score }));
+}
@@ -0,0 +1,249 @@
+/**
+ * Read-only share links.
+ *
+ * A share link carries a signed token naming a row in `share_links` and its
+ * expiry. The signature (HMAC-SHA256 with the `SHARE_SECRET` secret) stops
+ * tokens from being forged or extended; the row lets a link be revoked
+ * before it expires. Shared pages are rendered on the server with every
+ * value escaped and no scripts.
+ */
+
+export interface ShareLink {
+  id: string;
+  meeting_id: string;
+  include_transcript: boolean;
+  expires_at: string;
+  created_by_key_id: string | null;
+  created_at: string;
+  revoked_at: string | null;
+}
+
+interface ShareLinkRow extends Omit<ShareLink, "include_transcript"> {
+  include_transcript: number;
+}
+
+interface TokenPayload {
+  sid: string;
+  exp: number;
+}
+
+export interface SharedMeeting {
+  title: string;
+  summary: string;
+  transcript: string | null;
+  meeting_date: string;
+  meeting_time: string;
+  action_items: {
+    text: string;
+    assignee: string | null;
+    due_date: string | null;
+    status: string;
+  }[];
+}
+
+const encoder = new TextEncoder();
+
+function toBase64Url(bytes: Uint8Array): string {
+  let binary = "";
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(value: string): Uint8Array {
+  const base64 = value.replace(/-/g, "+").replace(/_/g, "/");
+  const binary = atob(base64 + "=".repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+function importKey(secret: string): Promise<CryptoKey> {
+  return crypto.subtle.importKey(
+    "raw",
+    encoder.encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign", "verify"]
+  );
+}
+
+function toShareLink(row: ShareLinkRow): ShareLink {
+  return { ...row, include_transcript: row.include_transcript === 1 };
+}
+
+export async function signShareToken(secret: string, shareId: string, expiresAt: Date): Promise<string> {
+  const payload: TokenPayload = { sid: shareId, exp: Math.floor(expiresAt.getTime() / 1000) };
+  const encodedPayload = toBase64Url(encoder.encode(JSON.stringify(payload)));
+  const signature = await crypto.subtle.sign("HMAC", await importKey(secret), encoder.encode(encodedPayload));
+
+  return `${encodedPayload}.${toBase64Url(new Uint8Array(signature))}`;
+}
+
+/**
+ * Return the share ID named by a token whose signature is valid and which
+ * has not expired, or null.
+ */
+export async function verifyShareToken(secret: string, token: string): Promise<string | null> {
+  const [encodedPayload, encodedSignature, ...rest] = token.split(".");
+  if (!encodedPayload || !encodedSignature || rest.length > 0) {
+    return null;
+  }
+
+  try {
+    const valid = await crypto.subtle.verify(
+      "HMAC",
+      await importKey(secret),
+      fromBase64Url(encodedSignature),
+      encoder.encode(encodedPayload)
+    );
+    if (!valid) {
+      return null;
+    }
+
+    const payload = JSON.parse(new TextDecoder().decode(fromBase64Url(encodedPayload))) as TokenPayload;
+    if (typeof payload.sid !== "string" || typeof payload.exp !== "number") {
+      return null;
+    }
+
+    return payload.exp * 1000 > Date.now() ? payload.sid : null;
+  } catch {
+    // Malformed base64 or JSON
+    return null;
+  }
+}
+
+export async function createShareLink(
+  db: D1Database,
+  share: Omit<ShareLink, "revoked_at">
+): Promise<ShareLink> {
+  await db
+    .prepare(
+      `INSERT INTO share_links (id, meeting_id, include_transcript, expires_at, created_by_key_id, created_at)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    )
+    .bind(
+      share.id,
+      share.meeting_id,
+      share.include_transcript ? 1 : 0,
+      share.expires_at,
+      share.created_by_key_id,
+      share.created_at
+    )
+    .run();
+
+  return { ...share, revoked_at: null };
+}
+
+export async function getShareLink(db: D1Database, id: string): Promise<ShareLink | null> {
+  const row = await db
+    .prepare("SELECT * FROM share_links WHERE id = ?")
+    .bind(id)
+    .first<ShareLinkRow>();
+
+  return row ? toShareLink(row) : null;
+}
+
+export async function listShareLinks(db: D1Database, meetingId: string): Promise<ShareLink[]> {
+  const result = await db
+    .prepare("SELECT * FROM share_links WHERE meeting_id = ? ORDER BY created_at DESC")
+    .bind(meetingId)
+    .all<ShareLinkRow>();
+
+  return result.results.map(toShareLink);
+}
+
+export async function revokeShareLink(db: D1Database, id: string, timestamp: string): Promise<void> {
+  await db
+    .prepare("UPDATE share_links SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL")
+    .bind(timestamp, id)
+    .run();
+}
+
+function escapeHtml(text: string): string {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function paragraphs(text: string): string {
+  return text
+    .split(/\n{2,}/)
+    .map((block) => block.trim())
+    .filter(Boolean)
+    .map((block) => `<p>${escapeHtml(block).replace(/\n/g, "<br>")}</p>`)
+    .join("\n");
+}
+
+const PAGE_STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; max-width: 760px; margin: 40px auto; padding: 0 20px; color: #1f2937; line-height: 1.6; }
+  h1 { margin-bottom: 4px; }
+  .meta { color: #6b7280; margin-top: 0; }
+  h2 { margin-top: 32px; border-bottom: 1px solid #e5e7eb; padding-bottom: 4px; }
+  li { margin-bottom: 8px; }
+  .item-meta { color: #6b7280; font-size: 14px; }
+  .status-done { text-decoration: line-through; color: #6b7280; }
+  footer { margin-top: 48px; color: #9ca3af; font-size: 13px; }
+`;
+
+function page(title: string, body: string): string {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(title)}</title>
+<style>${PAGE_STYLES}</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+export function renderSharePage(meeting: SharedMeeting, expiresAt: string): string {
+  const actionItems = meeting.action_items.length > 0
+    ? `<ul>
+${meeting.action_items
+  .map((item) => {
+    const meta = [
+      item.assignee ? `Owner: ${escapeHtml(item.assignee)}` : null,
+      item.due_date ? `Due: ${escapeHtml(item.due_date)}` : null,
+      item.status !== "open" ? `Status: ${escapeHtml(item.status)}` : null,
+    ].filter(Boolean);
+
+    return `<li><span class="status-${escapeHtml(item.status)}">${escapeHtml(item.text)}</span>${
+      meta.length > 0 ? `<br><span class="item-meta">${meta.join(" · ")}</span>` : ""
+    }</li>`;
+  })
+  .join("\n")}
+</ul>`
+    : "<p>No action items.</p>";
+
+  const transcript = meeting.transcript
+    ? `<h2>Transcript</h2>\n${paragraphs(meeting.transcript)}`
+    : "";
+
+  return page(
+    meeting.title,
+    `<h1>${escapeHtml(meeting.title)}</h1>
+<p class="meta">${escapeHtml(meeting.meeting_date)} at ${escapeHtml(meeting.meeting_time)}</p>
+<h2>Summary</h2>
+${paragraphs(meeting.summary)}
+<h2>Action Items</h2>
+${actionItems}
+${transcript}
+<footer>Shared from Privote. This link expires on ${escapeHtml(new Date(expiresAt).toUTCString())}.</footer>`
+  );
+}
+
+export function renderShareError(message: string): string {
+  return page(
+    "Link unavailable",
+    `<h1>Link unavailable</h1>
+<p>${escapeHtml(message)}</p>`
+  );
+}
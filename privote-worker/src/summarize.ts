@@ -0,0 +1,474 @@
+/**
+ * Transcript summarization.
+ *
+ * Short transcripts are summarized in a single prompt. Transcripts that would
+ * not fit the model context are split into token-budgeted chunks, each chunk is
+ * summarized on its own (map), and the partial results are combined into the
+ * final summary and action list (reduce).
+ */
+
+import { runPrompt } from "./ai";
+import type { LLMProvider } from "./llm";
+
+// Rough budget for transcript text in a single prompt, leaving room for the
+// instructions and the generated output.
+const SINGLE_PASS_TOKEN_BUDGET = 6000;
+const CHUNK_TOKEN_BUDGET = 3000;
+const CHUNK_OVERLAP_TOKENS = 150;
+
+// Chunks summarized at the same time, to stay within model rate limits
+const MAP_CONCURRENCY = 4;
+
+export type SummarizationStrategy = "single_pass" | "map_reduce";
+
+export const SUMMARY_STYLES = ["brief", "detailed", "executive", "bullet_only"] as const;
+
+export type SummaryStyle = typeof SUMMARY_STYLES[number];
+
+const STYLE_INSTRUCTIONS: Record<SummaryStyle, string> = {
+  brief: "Write a brief summary of no more than four sentences covering only the most important outcomes.",
+  detailed: "Write a detailed summary organized by topic. Cover the discussion, the decisions made, open questions, and any figures or dates that were mentioned.",
+  executive: "Write an executive summary for a stakeholder who did not attend. Lead with the key decisions and outcomes, then risks and next steps. Leave out the back-and-forth of the discussion.",
+  bullet_only: "Respond only with a bulleted list of the key points, one point per line prefixed with \"- \". Do not write any paragraphs.",
+};
+
+const MAX_INSTRUCTION_LENGTH = 500;
+
+export interface SummaryOptions {
+  style?: SummaryStyle;
+  instruction?: string;
+  // Each transcript line starts with a [m:ss] time in the recording
+  timestamped?: boolean;
+}
+
+const TIMESTAMP_INSTRUCTION =
+  "Each transcript line starts with the time it was said, e.g. [12:30]. When you mention a decision or topic, cite the time it was discussed in the same format.";
+
+export interface ExtractedActionItem {
+  text: string;
+  assignee: string | null;
+  due_date: string | null;
+  source_quote: string | null;
+}
+
+export interface SummarizationResult {
+  summary: string;
+  actionItems: ExtractedActionItem[];
+  strategy: SummarizationStrategy;
+  chunkCount: number;
+}
+
+/**
+ * Called as summarization steps finish. For a single pass there is one step;
+ * map-reduce has one step per chunk plus the final combine.
+ */
+export type ProgressCallback = (completed: number, total: number) => void | Promise<void>;
+
+export interface SummarizationContext extends SummaryOptions {
+  meetingDate?: string;
+  onProgress?: ProgressCallback;
+}
+
+/**
+ * Approximate the token count of a piece of text. Llama tokenizers average
+ * roughly four characters per token for English prose.
+ */
+export function estimateTokens(text: string): number {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Split a transcript into chunks that each fit within the token budget.
+ * Chunks break on sentence boundaries where possible and carry a small
+ * overlap so that context spanning a boundary is not lost.
+ */
+export function chunkTranscript(
+  transcript: string,
+  tokenBudget: number = CHUNK_TOKEN_BUDGET,
+  overlapTokens: number = CHUNK_OVERLAP_TOKENS
+): string[] {
+  const sentences = transcript
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map((s) => s.trim())
+    .filter((s) => s.length > 0);
+
+  const chunks: string[] = [];
+  let current: string[] = [];
+  let currentTokens = 0;
+
+  for (const sentence of splitOversizedSentences(sentences, tokenBudget)) {
+    const sentenceTokens = estimateTokens(sentence);
+
+    if (current.length > 0 && currentTokens + sentenceTokens > tokenBudget) {
+      chunks.push(current.join(" "));
+
+      // Carry the tail of the previous chunk into the next one
+      const overlap: string[] = [];
+      let overlapSize = 0;
+      for (let i = current.length - 1; i >= 0; i--) {
+        const size = estimateTokens(current[i]);
+        if (overlapSize + size > overlapTokens) break;
+        overlap.unshift(current[i]);
+        overlapSize += size;
+      }
+
+      current = overlap;
+      currentTokens = overlapSize;
+    }
+
+    current.push(sentence);
+    currentTokens += sentenceTokens;
+  }
+
+  if (current.length > 0) {
+    chunks.push(current.join(" "));
+  }
+
+  return chunks;
+}
+
+/**
+ * Break up sentences that are on their own larger than the budget (e.g. a
+ * transcript without punctuation) on word boundaries.
+ */
+function splitOversizedSentences(sentences: string[], tokenBudget: number): string[] {
+  const maxChars = tokenBudget * 4;
+  const result: string[] = [];
+
+  for (const sentence of sentences) {
+    if (sentence.length <= maxChars) {
+      result.push(sentence);
+      continue;
+    }
+
+    let piece = "";
+    for (const word of sentence.split(/\s+/)) {
+      if (piece.length > 0 && piece.length + word.length + 1 > maxChars) {
+        result.push(piece);
+        piece = "";
+      }
+      piece = piece ? `${piece} ${word}` : word;
+    }
+    if (piece) {
+      result.push(piece);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Map items in batches of `batchSize`, keeping results in order.
+ */
+async function mapInBatches<T, R>(
+  items: T[],
+  batchSize: number,
+  fn: (item: T, index: number) => Promise<R>
+): Promise<R[]> {
+  const results: R[] = [];
+
+  for (let i = 0; i < items.length; i += batchSize) {
+    const batch = items.slice(i, i + batchSize);
+    results.push(...(await Promise.all(batch.map((item, j) => fn(item, i + j)))));
+  }
+
+  return results;
+}
+
+/**
+ * Build the closing instruction of a summary prompt for the requested style,
+ * including any custom instruction supplied by the user.
+ */
+function summaryInstructions(options: SummaryOptions): string {
+  let instructions = options.style
+    ? STYLE_INSTRUCTIONS[options.style]
+    : "Provide a clear and concise summary of the meeting.";
+
+  if (options.timestamped) {
+    instructions += ` ${TIMESTAMP_INSTRUCTION}`;
+  }
+
+  const custom = options.instruction?.trim().slice(0, MAX_INSTRUCTION_LENGTH);
+  if (custom) {
+    instructions += `\n\nAdditional instructions from the user: ${custom}`;
+  }
+
+  return instructions;
+}
+
+function summaryMaxTokens(options: SummaryOptions): number {
+  return options.style === "detailed" ? 1024 : 512;
+}
+
+async function generateSummary(
+  llm: LLMProvider,
+  transcript: string,
+  options: SummaryOptions
+): Promise<string> {
+  const prompt = `You are a professional meeting assistant. Summarize the following meeting transcript in a concise, structured manner. Focus on the main topics discussed and overall context.
+
+Transcript:
+${transcript}
+
+${summaryInstructions(options)}`;
+
+  const summary = await runPrompt(
+    llm,
+    "You are a helpful meeting assistant that creates clear, concise summaries.",
+    prompt,
+    { maxTokens: summaryMaxTokens(options) }
+  );
+
+  return summary || "Summary generation failed.";
+}
+
+/**
+ * Parse the model's JSON answer into action items. Models occasionally wrap
+ * the array in prose or code fences, so only the outermost array is read, and
+ * a bulleted list is accepted as a fallback.
+ */
+export function parseActionItems(raw: string): ExtractedActionItem[] {
+  const start = raw.indexOf("[");
+  const end = raw.lastIndexOf("]");
+
+  if (start !== -1 && end > start) {
+    try {
+      const parsed = JSON.parse(raw.slice(start, end + 1));
+      if (Array.isArray(parsed)) {
+        return parsed
+          .map(normalizeActionItem)
+          .filter((item): item is ExtractedActionItem => item !== null);
+      }
+    } catch (error) {
+      console.warn("Failed to parse action items as JSON, falling back to bullets");
+    }
+  }
+
+  return raw
+    .split("\n")
+    .map((line) => line.trim())
+    .filter((line) => /^[•\-*]/.test(line))
+    .map((line) => line.replace(/^[•\-*]\s*/, "").trim())
+    .filter((line) => line.length > 0)
+    .map((text) => ({ text, assignee: null, due_date: null, source_quote: null }));
+}
+
+function normalizeActionItem(value: any): ExtractedActionItem | null {
+  if (!value || typeof value !== "object") {
+    return null;
+  }
+
+  const text = optionalString(value.text ?? value.task);
+  if (!text) {
+    return null;
+  }
+
+  const dueDate = optionalString(value.due_date ?? value.dueDate);
+
+  return {
+    text,
+    assignee: optionalString(value.assignee ?? value.owner),
+    due_date: dueDate && /^\d{4}-\d{2}-\d{2}$/.test(dueDate) ? dueDate : null,
+    source_quote: optionalString(value.source_quote ?? value.quote),
+  };
+}
+
+function optionalString(value: unknown): string | null {
+  if (typeof value !== "string") {
+    return null;
+  }
+  const trimmed = value.trim();
+  if (!trimmed || /^(null|none|n\/a|unknown|unassigned)$/i.test(trimmed)) {
+    return null;
+  }
+  return trimmed;
+}
+
+async function extractActionItems(
+  llm: LLMProvider,
+  transcript: string,
+  context: SummarizationContext
+): Promise<ExtractedActionItem[]> {
+  const dateHint = context.meetingDate
+    ? `The meeting took place on ${context.meetingDate}. Resolve relative due dates such as "Friday" or "next week" against that date.\n\n`
+    : "";
+
+  const prompt = `Analyze the following meeting transcript and extract all action items, tasks, and commitments mentioned.
+
+${dateHint}Transcript:
+${transcript}
+
+Respond with a JSON array only. Each element must be an object with these fields:
+- "text": the action item as a short imperative sentence
+- "assignee": the name of the person responsible, or null if nobody was named
+- "due_date": the due date as YYYY-MM-DD, or null if no date was mentioned
+- "source_quote": ${
+    context.timestamped
+      ? "the exact line from the transcript the item comes from, starting with its [m:ss] time"
+      : "the exact sentence from the transcript the item comes from"
+  }
+
+If no action items are found, respond with [].`;
+
+  const raw = await runPrompt(
+    llm,
+    "You are a helpful meeting assistant that extracts action items accurately and answers in valid JSON.",
+    prompt,
+    { temperature: 0.2, maxTokens: 1024 }
+  );
+
+  return parseActionItems(raw);
+}
+
+async function summarizeChunk(
+  llm: LLMProvider,
+  chunk: string,
+  index: number,
+  total: number,
+  options: SummaryOptions = {}
+): Promise<string> {
+  const prompt = `The following is part ${index + 1} of ${total} of a longer meeting transcript. Summarize the topics, decisions and open questions in this part only.
+
+Transcript part:
+${chunk}
+
+Provide a concise summary of this part of the meeting.${
+    options.timestamped ? ` ${TIMESTAMP_INSTRUCTION}` : ""
+  }`;
+
+  return runPrompt(
+    llm,
+    "You are a helpful meeting assistant that creates clear, concise summaries.",
+    prompt
+  );
+}
+
+async function combineSummaries(
+  llm: LLMProvider,
+  partials: string[],
+  options: SummaryOptions
+): Promise<string> {
+  const combined = partials
+    .map((partial, i) => `Part ${i + 1}:\n${partial}`)
+    .join("\n\n");
+
+  // Partial summaries of a very long meeting may themselves exceed the
+  // budget, in which case they are reduced in groups first.
+  if (estimateTokens(combined) > SINGLE_PASS_TOKEN_BUDGET && partials.length > 1) {
+    const groups = chunkTranscript(partials.join("\n"), CHUNK_TOKEN_BUDGET, 0);
+    if (groups.length < partials.length) {
+      const reduced = await mapInBatches(groups, MAP_CONCURRENCY, (group, i) =>
+        summarizeChunk(llm, group, i, groups.length, options)
+      );
+      return combineSummaries(llm, reduced, options);
+    }
+  }
+
+  const prompt = `You are a professional meeting assistant. Below are summaries of consecutive parts of a single meeting. Combine them into one concise, structured summary of the whole meeting. Remove repetition and keep the main topics, decisions and overall context.
+
+${combined}
+
+${summaryInstructions(options)}`;
+
+  const summary = await runPrompt(
+    llm,
+    "You are a helpful meeting assistant that creates clear, concise summaries.",
+    prompt,
+    { maxTokens: summaryMaxTokens(options) }
+  );
+
+  return summary || "Summary generation failed.";
+}
+
+/**
+ * Merge the action items found in each chunk. Overlapping chunks can yield
+ * the same item twice, so items with the same normalized text are collapsed
+ * and any owner or due date found on a duplicate is kept.
+ */
+function combineActionItems(partials: ExtractedActionItem[][]): ExtractedActionItem[] {
+  const merged = new Map<string, ExtractedActionItem>();
+
+  for (const item of partials.flat()) {
+    const key = item.text.toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+    const existing = merged.get(key);
+
+    if (!existing) {
+      merged.set(key, { ...item });
+      continue;
+    }
+
+    existing.assignee = existing.assignee || item.assignee;
+    existing.due_date = existing.due_date || item.due_date;
+    existing.source_quote = existing.source_quote || item.source_quote;
+  }
+
+  return Array.from(merged.values());
+}
+
+/**
+ * Summarize a transcript and extract its action items, choosing between a
+ * single prompt and map-reduce based on the transcript length.
+ */
+export async function summarizeTranscript(
+  llm: LLMProvider,
+  transcript: string,
+  context: SummarizationContext = {}
+): Promise<SummarizationResult> {
+  if (estimateTokens(transcript) <= SINGLE_PASS_TOKEN_BUDGET) {
+    const [summary, actionItems] = await Promise.all([
+      generateSummary(llm, transcript, context),
+      extractActionItems(llm, transcript, context),
+    ]);
+    await context.onProgress?.(1, 1);
+
+    return { summary, actionItems, strategy: "single_pass", chunkCount: 1 };
+  }
+
+  const chunks = chunkTranscript(transcript);
+  const totalSteps = chunks.length + 1;
+  let completedSteps = 0;
+
+  const partials = await mapInBatches(chunks, MAP_CONCURRENCY, async (chunk, i) => {
+    const partial = await Promise.all([
+      summarizeChunk(llm, chunk, i, chunks.length, context),
+      extractActionItems(llm, chunk, context),
+    ]);
+    await context.onProgress?.(++completedSteps, totalSteps);
+    return partial;
+  });
+
+  const summary = await combineSummaries(
+    llm,
+    partials.map(([partialSummary]) => partialSummary),
+    context
+  );
+  await context.onProgress?.(totalSteps, totalSteps);
+  const actionItems = combineActionItems(
+    partials.map(([, partialItems]) => partialItems)
+  );
+
+  return { summary, actionItems, strategy: "map_reduce", chunkCount: chunks.length };
+}
+
+/**
+ * Regenerate only the summary of a transcript, e.g. in a different style.
+ * Action items are left alone so that edits and status changes survive.
+ */
+export async function regenerateSummary(
+  llm: LLMProvider,
+  transcript: string,
+  options: SummaryOptions
+): Promise<Omit<SummarizationResult, "actionItems">> {
+  if (estimateTokens(transcript) <= SINGLE_PASS_TOKEN_BUDGET) {
+    const summary = await generateSummary(llm, transcript, options);
+    return { summary, strategy: "single_pass", chunkCount: 1 };
+  }
+
+  const chunks = chunkTranscript(transcript);
+  const partials = await mapInBatches(chunks, MAP_CONCURRENCY, (chunk, i) =>
+    summarizeChunk(llm, chunk, i, chunks.length, options)
+  );
+  const summary = await combineSummaries(llm, partials, options);
+
+  return { summary, strategy: "map_reduce", chunkCount: chunks.length };
+}
@@ -0,0 +1,174 @@
+/**
+ * Vector storage for transcript chunk embeddings.
+ *
+ * Retrieval code talks to the VectorStore interface only. The D1
+ * implementation keeps embeddings next to the meetings and scores them in the
+ * Worker, which needs no extra infrastructure and works offline with
+ * `wrangler dev`. When a Vectorize index is bound as `VECTORIZE`, it is used
+ * instead, as it scales to far more chunks.
+ *
+ * Queries can be limited to some workspaces. The stores filter before
+ * ranking, so chunks from other workspaces never crowd out the results.
+ */
+
+export interface VectorRecord {
+  id: string;
+  meetingId: string;
+  workspaceId: string;
+  values: number[];
+}
+
+export interface VectorMatch {
+  id: string;
+  meetingId: string;
+  score: number;
+}
+
+export interface VectorStore {
+  upsert(records: VectorRecord[]): Promise<void>;
+  // workspaceIds limits matches to those workspaces; null searches all
+  query(vector: number[], topK: number, workspaceIds: string[] | null): Promise<VectorMatch[]>;
+  deleteByMeeting(meetingId: string, ids: string[]): Promise<void>;
+}
+
+// Rows scanned per query page by the D1 store, to bound memory use
+const D1_SCAN_PAGE_SIZE = 500;
+
+export function cosineSimilarity(a: number[], b: number[]): number {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) {
+    return 0;
+  }
+
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Embeddings stored as JSON in the `chunk_embeddings` table and ranked by a
+ * brute-force cosine scan. Workspaces are looked up from the meetings table.
+ */
+export class D1VectorStore implements VectorStore {
+  constructor(private db: D1Database) {}
+
+  async upsert(records: VectorRecord[]): Promise<void> {
+    if (records.length === 0) {
+      return;
+    }
+
+    await this.db.batch(
+      records.map((record) =>
+        this.db
+          .prepare(
+            `INSERT OR REPLACE INTO chunk_embeddings (chunk_id, meeting_id, embedding)
+             VALUES (?, ?, ?)`
+          )
+          .bind(record.id, record.meetingId, JSON.stringify(record.values))
+      )
+    );
+  }
+
+  async query(vector: number[], topK: number, workspaceIds: string[] | null): Promise<VectorMatch[]> {
+    const matches: VectorMatch[] = [];
+
+    const workspaceFilter = workspaceIds
+      ? `JOIN meetings m ON m.id = e.meeting_id
+         WHERE m.workspace_id IN (${workspaceIds.map(() => "?").join(", ")})`
+      : "";
+
+    for (let offset = 0; ; offset += D1_SCAN_PAGE_SIZE) {
+      const page = await this.db
+        .prepare(
+          `SELECT e.chunk_id, e.meeting_id, e.embedding FROM chunk_embeddings e
+           ${workspaceFilter}
+           ORDER BY e.chunk_id LIMIT ? OFFSET ?`
+        )
+        .bind(...(workspaceIds ?? []), D1_SCAN_PAGE_SIZE, offset)
+        .all<{ chunk_id: string; meeting_id: string; embedding: string }>();
+
+      for (const row of page.results) {
+        matches.push({
+          id: row.chunk_id,
+          meetingId: row.meeting_id,
+          score: cosineSimilarity(vector, JSON.parse(row.embedding)),
+        });
+      }
+
+      // Keep only the best candidates between pages
+      matches.sort((a, b) => b.score - a.score);
+      matches.length = Math.min(matches.length, topK);
+
+      if (page.results.length < D1_SCAN_PAGE_SIZE) {
+        break;
+      }
+    }
+
+    return matches;
+  }
+
+  async deleteByMeeting(meetingId: string): Promise<void> {
+    await this.db
+      .prepare("DELETE FROM chunk_embeddings WHERE meeting_id = ?")
+      .bind(meetingId)
+      .run();
+  }
+}
+
+/**
+ * Vectors in a Vectorize index, with their meeting and workspace as metadata.
+ * Filtering by workspace needs a metadata index on `workspace_id`.
+ */
+export class VectorizeVectorStore implements VectorStore {
+  constructor(private index: Vectorize) {}
+
+  async upsert(records: VectorRecord[]): Promise<void> {
+    if (records.length === 0) {
+      return;
+    }
+
+    await this.index.upsert(
+      records.map((record) => ({
+        id: record.id,
+        values: record.values,
+        metadata: { meeting_id: record.meetingId, workspace_id: record.workspaceId },
+      }))
+    );
+  }
+
+  async query(vector: number[], topK: number, workspaceIds: string[] | null): Promise<VectorMatch[]> {
+    const result = await this.index.query(vector, {
+      topK,
+      returnMetadata: "indexed",
+      // The generated binding types predate the $in operator
+      ...(workspaceIds
+        ? { filter: { workspace_id: { $in: workspaceIds } } as unknown as VectorizeVectorMetadataFilter }
+        : {}),
+    });
+
+    return result.matches.map((match) => ({
+      id: match.id,
+      meetingId: String(match.metadata?.meeting_id ?? ""),
+      score: match.score,
+    }));
+  }
+
+  async deleteByMeeting(meetingId: string, ids: string[]): Promise<void> {
+    if (ids.length === 0) {
+      return;
+    }
+    await this.index.deleteByIds(ids);
+  }
+}
+
+export function createVectorStore(env: CloudflareBindings): VectorStore {
+  const index = (env as any).VECTORIZE as Vectorize | undefined;
+  return index ? new VectorizeVectorStore(index) : new D1VectorStore(env.privote_db);
+}
@@ -0,0 +1,409 @@
+/**
+ * Webhooks.
+ *
+ * Subscriptions in `webhooks` name a URL, a signing secret and the events
+ * they want. Each event creates one row in `webhook_deliveries` per matching
+ * subscription, and every HTTP attempt is logged in `webhook_attempts`.
+ * Deliveries are attempted right away; failures are retried with backoff by
+ * the scheduled handler until MAX_ATTEMPTS is reached.
+ *
+ * Payloads are signed like this, so receivers can verify them and reject
+ * replays:
+ *
+ *   X-Privote-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ */
+
+export const WEBHOOK_EVENTS = ["meeting.created", "meeting.updated", "meeting.deleted"] as const;
+
+export type WebhookEvent = typeof WEBHOOK_EVENTS[number];
+
+export type DeliveryStatus = "pending" | "succeeded" | "failed";
+
+export interface Webhook {
+  id: string;
+  url: string;
+  events: WebhookEvent[];
+  // null to receive events from every workspace
+  workspace_id: string | null;
+  active: boolean;
+  created_at: string;
+  updated_at: string;
+}
+
+interface WebhookRow extends Omit<Webhook, "events" | "active"> {
+  events: string;
+  active: number;
+}
+
+export interface WebhookDelivery {
+  id: string;
+  webhook_id: string;
+  event: WebhookEvent;
+  status: DeliveryStatus;
+  attempts: number;
+  last_response_status: number | null;
+  last_error: string | null;
+  next_attempt_at: string | null;
+  created_at: string;
+  updated_at: string;
+}
+
+interface DueDelivery {
+  id: string;
+  event: WebhookEvent;
+  payload: string;
+  attempts: number;
+  url: string;
+  secret: string;
+}
+
+// Delay before each retry; a delivery fails for good once these run out
+const RETRY_DELAYS_MS = [60_000, 5 * 60_000, 30 * 60_000, 2 * 60 * 60_000, 12 * 60 * 60_000];
+export const MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1;
+
+const DELIVERY_TIMEOUT_MS = 10_000;
+// Deliveries retried per scheduled run
+const RETRY_BATCH_SIZE = 50;
+// Response bodies kept in the attempt log
+const MAX_LOGGED_RESPONSE_LENGTH = 500;
+
+const WEBHOOK_COLUMNS = "id, url, events, workspace_id, active, created_at, updated_at";
+
+export function isWebhookEvent(value: unknown): value is WebhookEvent {
+  return typeof value === "string" && (WEBHOOK_EVENTS as readonly string[]).includes(value);
+}
+
+/**
+ * Webhook URLs must use HTTPS, except for local receivers during development.
+ */
+export function isAllowedWebhookUrl(value: string): boolean {
+  try {
+    const url = new URL(value);
+    if (url.protocol === "https:") {
+      return true;
+    }
+    return url.protocol === "http:" && ["localhost", "127.0.0.1", "[::1]"].includes(url.hostname);
+  } catch {
+    return false;
+  }
+}
+
+function toWebhook(row: WebhookRow): Webhook {
+  return {
+    ...row,
+    events: row.events.split(",").filter(isWebhookEvent),
+    active: row.active === 1,
+  };
+}
+
+function generateDeliveryId(): string {
+  return `delivery_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+export function generateWebhookSecret(): string {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  return "whsec_" + Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+export async function signPayload(secret: string, timestamp: number, body: string): Promise<string> {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const signature = await crypto.subtle.sign("HMAC", key, encoder.encode(`${timestamp}.${body}`));
+
+  return Array.from(new Uint8Array(signature), (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+export async function createWebhook(
+  db: D1Database,
+  webhook: Omit<Webhook, "active" | "updated_at">,
+  secret: string
+): Promise<Webhook> {
+  await db
+    .prepare(
+      `INSERT INTO webhooks (id, url, secret, events, workspace_id, active, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, 1, ?, ?)`
+    )
+    .bind(
+      webhook.id,
+      webhook.url,
+      secret,
+      webhook.events.join(","),
+      webhook.workspace_id,
+      webhook.created_at,
+      webhook.created_at
+    )
+    .run();
+
+  return { ...webhook, active: true, updated_at: webhook.created_at };
+}
+
+export async function listWebhooks(db: D1Database): Promise<Webhook[]> {
+  const result = await db
+    .prepare(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks ORDER BY created_at DESC`)
+    .all<WebhookRow>();
+
+  return result.results.map(toWebhook);
+}
+
+export async function getWebhook(db: D1Database, id: string): Promise<Webhook | null> {
+  const row = await db
+    .prepare(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE id = ?`)
+    .bind(id)
+    .first<WebhookRow>();
+
+  return row ? toWebhook(row) : null;
+}
+
+export interface WebhookUpdate {
+  url?: string;
+  events?: WebhookEvent[];
+  workspace_id?: string | null;
+  active?: boolean;
+  secret?: string;
+}
+
+/**
+ * Pending deliveries are sent with the webhook's current URL and secret, and
+ * wait while it is inactive, so changes here also apply to their retries.
+ */
+export async function updateWebhook(
+  db: D1Database,
+  id: string,
+  changes: WebhookUpdate,
+  timestamp: string
+): Promise<void> {
+  const fields: string[] = [];
+  const values: unknown[] = [];
+
+  for (const [key, value] of Object.entries(changes)) {
+    if (value === undefined) {
+      continue;
+    }
+    fields.push(`${key} = ?`);
+    if (key === "events") {
+      values.push((value as WebhookEvent[]).join(","));
+    } else if (key === "active") {
+      values.push(value ? 1 : 0);
+    } else {
+      values.push(value);
+    }
+  }
+
+  fields.push("updated_at = ?");
+  values.push(timestamp);
+
+  await db
+    .prepare(`UPDATE webhooks SET ${fields.join(", ")} WHERE id = ?`)
+    .bind(...values, id)
+    .run();
+}
+
+export async function deleteWebhook(db: D1Database, id: string): Promise<void> {
+  await db.prepare("DELETE FROM webhooks WHERE id = ?").bind(id).run();
+}
+
+export async function listDeliveries(
+  db: D1Database,
+  webhookId: string,
+  limit: number
+): Promise<(WebhookDelivery & { attempt_log: unknown[] })[]> {
+  const deliveries = await db
+    .prepare(
+      `SELECT id, webhook_id, event, status, attempts, last_response_status, last_error,
+              next_attempt_at, created_at, updated_at
+       FROM webhook_deliveries
+       WHERE webhook_id = ?
+       ORDER BY created_at DESC
+       LIMIT ?`
+    )
+    .bind(webhookId, limit)
+    .all<WebhookDelivery>();
+
+  if (deliveries.results.length === 0) {
+    return [];
+  }
+
+  const ids = deliveries.results.map((delivery) => delivery.id);
+  const attempts = await db
+    .prepare(
+      `SELECT delivery_id, attempt, response_status, error, duration_ms, created_at
+       FROM webhook_attempts
+       WHERE delivery_id IN (${ids.map(() => "?").join(", ")})
+       ORDER BY attempt ASC`
+    )
+    .bind(...ids)
+    .all<{ delivery_id: string }>();
+
+  return deliveries.results.map((delivery) => ({
+    ...delivery,
+    attempt_log: attempts.results
+      .filter((attempt) => attempt.delivery_id === delivery.id)
+      .map(({ delivery_id, ...attempt }) => attempt),
+  }));
+}
+
+/**
+ * Queue a delivery of the event to every active subscription that wants it.
+ * Returns the IDs of the deliveries created.
+ */
+export async function enqueueEvent(
+  db: D1Database,
+  event: WebhookEvent,
+  workspaceId: string,
+  data: unknown
+): Promise<string[]> {
+  const hooks = await db
+    .prepare(
+      `SELECT id, events FROM webhooks
+       WHERE active = 1 AND (workspace_id IS NULL OR workspace_id = ?)`
+    )
+    .bind(workspaceId)
+    .all<{ id: string; events: string }>();
+
+  const subscribed = hooks.results.filter((hook) => hook.events.split(",").includes(event));
+  if (subscribed.length === 0) {
+    return [];
+  }
+
+  const now = new Date();
+  const timestamp = now.toISOString();
+  // Delivery is attempted right away by the caller. The first retry time
+  // only matters if that attempt never runs, e.g. the isolate is evicted.
+  const firstRetryAt = new Date(now.getTime() + RETRY_DELAYS_MS[0]).toISOString();
+  const deliveries = subscribed.map((hook) => {
+    const id = generateDeliveryId();
+    const payload = JSON.stringify({ id, event, created_at: timestamp, data });
+    return { id, hookId: hook.id, payload };
+  });
+
+  await db.batch(
+    deliveries.map((delivery) =>
+      db
+        .prepare(
+          `INSERT INTO webhook_deliveries
+           (id, webhook_id, event, payload, status, attempts, next_attempt_at, created_at, updated_at)
+           VALUES (?, ?, ?, ?, 'pending', 0, ?, ?, ?)`
+        )
+        .bind(delivery.id, delivery.hookId, event, delivery.payload, firstRetryAt, timestamp, timestamp)
+    )
+  );
+
+  return deliveries.map((delivery) => delivery.id);
+}
+
+async function attemptDelivery(db: D1Database, delivery: DueDelivery): Promise<void> {
+  const attempt = delivery.attempts + 1;
+  const sentAt = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+
+  let responseStatus: number | null = null;
+  let error: string | null = null;
+
+  try {
+    const signature = await signPayload(delivery.secret, sentAt, delivery.payload);
+    const response = await fetch(delivery.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "Privote-Webhooks/1.0",
+        "X-Privote-Event": delivery.event,
+        "X-Privote-Delivery": delivery.id,
+        "X-Privote-Signature": `t=${sentAt},v1=${signature}`,
+      },
+      body: delivery.payload,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+    });
+
+    responseStatus = response.status;
+    if (!response.ok) {
+      const text = await response.text().catch(() => "");
+      error = `HTTP ${response.status}${text ? `: ${text.slice(0, MAX_LOGGED_RESPONSE_LENGTH)}` : ""}`;
+    }
+  } catch (err) {
+    error = err instanceof Error ? err.message : "Unknown error";
+  }
+
+  const now = new Date();
+  const succeeded = error === null;
+  const exhausted = !succeeded && attempt >= MAX_ATTEMPTS;
+  const status: DeliveryStatus = succeeded ? "succeeded" : exhausted ? "failed" : "pending";
+  const nextAttemptAt = status === "pending"
+    ? new Date(now.getTime() + RETRY_DELAYS_MS[attempt - 1]).toISOString()
+    : null;
+
+  await db.batch([
+    db
+      .prepare(
+        `INSERT INTO webhook_attempts (delivery_id, attempt, response_status, error, duration_ms, created_at)
+         VALUES (?, ?, ?, ?, ?, ?)`
+      )
+      .bind(delivery.id, attempt, responseStatus, error, Date.now() - started, now.toISOString()),
+    db
+      .prepare(
+        `UPDATE webhook_deliveries
+         SET status = ?, attempts = ?, last_response_status = ?, last_error = ?,
+             next_attempt_at = ?, updated_at = ?
+         WHERE id = ?`
+      )
+      .bind(status, attempt, responseStatus, error, nextAttemptAt, now.toISOString(), delivery.id),
+  ]);
+}
+
+const DUE_DELIVERY_QUERY = `
+  SELECT d.id, d.event, d.payload, d.attempts, w.url, w.secret
+  FROM webhook_deliveries d
+  JOIN webhooks w ON w.id = d.webhook_id
+  WHERE d.status = 'pending' AND w.active = 1`;
+
+/**
+ * Attempt the given pending deliveries now.
+ */
+export async function deliverNow(db: D1Database, deliveryIds: string[]): Promise<void> {
+  if (deliveryIds.length === 0) {
+    return;
+  }
+
+  const due = await db
+    .prepare(`${DUE_DELIVERY_QUERY} AND d.id IN (${deliveryIds.map(() => "?").join(", ")})`)
+    .bind(...deliveryIds)
+    .all<DueDelivery>();
+
+  await Promise.all(due.results.map((delivery) => attemptDelivery(db, delivery)));
+}
+
+/**
+ * Retry pending deliveries whose backoff has elapsed. Returns how many were
+ * attempted.
+ */
+export async function retryDueDeliveries(db: D1Database): Promise<number> {
+  const due = await db
+    .prepare(`${DUE_DELIVERY_QUERY} AND d.next_attempt_at <= ? ORDER BY d.next_attempt_at LIMIT ?`)
+    .bind(new Date().toISOString(), RETRY_BATCH_SIZE)
+    .all<DueDelivery>();
+
+  await Promise.all(due.results.map((delivery) => attemptDelivery(db, delivery)));
+  return due.results.length;
+}
+
+/**
+ * Queue an event and attempt its deliveries. Failures are left to the retry
+ * schedule and never thrown, so callers can fire and forget.
+ */
+export async function emitEvent(
+  db: D1Database,
+  event: WebhookEvent,
+  workspaceId: string,
+  data: unknown
+): Promise<void> {
+  try {
+    await deliverNow(db, await enqueueEvent(db, event, workspaceId, data));
+  } catch (error) {
+    console.error(`Error emitting webhook event ${event}:`, error);
+  }
+}
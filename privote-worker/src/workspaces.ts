@@ -0,0 +1,126 @@
+/**
+ * Workspaces.
+ *
+ * Every meeting belongs to one workspace, and each API key is granted one or
+ * more workspaces through `api_key_workspaces`. Keys only see meetings in
+ * their workspaces. The API_KEY secret, open access and keys with the admin
+ * scope see every workspace.
+ */
+
+import type { AuthContext } from "./auth";
+
+export const DEFAULT_WORKSPACE_ID = "default";
+
+export interface Workspace {
+  id: string;
+  name: string;
+  created_at: string;
+}
+
+export interface SqlCondition {
+  sql: string;
+  params: string[];
+}
+
+export function canAccessWorkspace(auth: AuthContext, workspaceId: string): boolean {
+  return auth.workspaceIds === null || auth.workspaceIds.includes(workspaceId);
+}
+
+/**
+ * SQL condition limiting `column` to the caller's workspaces, or null when
+ * the caller can see every workspace.
+ */
+export function workspaceCondition(auth: AuthContext, column: string): SqlCondition | null {
+  if (auth.workspaceIds === null) {
+    return null;
+  }
+
+  if (auth.workspaceIds.length === 0) {
+    return { sql: "0 = 1", params: [] };
+  }
+
+  return {
+    sql: `${column} IN (${auth.workspaceIds.map(() => "?").join(", ")})`,
+    params: auth.workspaceIds,
+  };
+}
+
+/**
+ * The workspace uploads go to when the caller does not name one.
+ */
+export function defaultWorkspaceFor(auth: AuthContext): string {
+  if (auth.workspaceIds === null || auth.workspaceIds.includes(DEFAULT_WORKSPACE_ID)) {
+    return DEFAULT_WORKSPACE_ID;
+  }
+  return auth.workspaceIds[0] ?? DEFAULT_WORKSPACE_ID;
+}
+
+export async function listWorkspaces(db: D1Database, auth: AuthContext): Promise<Workspace[]> {
+  const condition = workspaceCondition(auth, "id");
+
+  const result = await db
+    .prepare(
+      `SELECT id, name, created_at FROM workspaces
+       ${condition ? `WHERE ${condition.sql}` : ""}
+       ORDER BY name COLLATE NOCASE ASC`
+    )
+    .bind(...(condition?.params ?? []))
+    .all<Workspace>();
+
+  return result.results;
+}
+
+export async function findMissingWorkspaces(db: D1Database, ids: string[]): Promise<string[]> {
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const result = await db
+    .prepare(`SELECT id FROM workspaces WHERE id IN (${ids.map(() => "?").join(", ")})`)
+    .bind(...ids)
+    .all<{ id: string }>();
+
+  const found = new Set(result.results.map((row) => row.id));
+  return ids.filter((id) => !found.has(id));
+}
+
+export async function createWorkspace(
+  db: D1Database,
+  id: string,
+  name: string,
+  timestamp: string
+): Promise<Workspace> {
+  await db
+    .prepare("INSERT INTO workspaces (id, name, created_at) VALUES (?, ?, ?)")
+    .bind(id, name, timestamp)
+    .run();
+
+  return { id, name, created_at: timestamp };
+}
+
+export async function getKeyWorkspaceIds(db: D1Database, keyId: string): Promise<string[]> {
+  const result = await db
+    .prepare("SELECT workspace_id FROM api_key_workspaces WHERE api_key_id = ? ORDER BY workspace_id")
+    .bind(keyId)
+    .all<{ workspace_id: string }>();
+
+  return result.results.map((row) => row.workspace_id);
+}
+
+/**
+ * Statements replacing the workspaces a key has access to.
+ */
+export function setKeyWorkspacesStatements(
+  db: D1Database,
+  keyId: string,
+  workspaceIds: string[]
+): D1PreparedStatement[] {
+  return [
+    db.prepare("DELETE FROM api_key_workspaces WHERE api_key_id = ?").bind(keyId),
+    ...workspaceIds.map((workspaceId) =>
+      db
+        .prepare("INSERT INTO api_key_workspaces (api_key_id, workspace_id) VALUES (?, ?)")
+        .bind(keyId, workspaceId)
+    ),
+  ];
+}